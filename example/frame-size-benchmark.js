@@ -0,0 +1,80 @@
+// Measures how SETTINGS_MAX_FRAME_SIZE affects bulk transfer: a client endpoint uploads a large body
+// to a server endpoint in memory, and the DATA frames arriving at the server are counted.
+//
+// Usage: node example/frame-size-benchmark.js [megabytes]
+//
+// DATA frames cannot be larger than the flow control windows, so both the stream windows
+// (SETTINGS_INITIAL_WINDOW_SIZE) and the connection window are raised along with the frame size.
+// With the default windows of 65535 bytes every row would stop at around 64 KB frames.
+
+var bunyan = require('bunyan');
+var Endpoint = require('../lib/protocol/endpoint').Endpoint;
+
+// Logging is off unless a level is given in the HTTP2_LOG environment variable, since it would
+// distort the measurements
+var log = bunyan.createLogger({
+  name: 'benchmark',
+  level: process.env.HTTP2_LOG || 'fatal',
+  serializers: require('..').serializers
+});
+
+var MEGABYTE = 1024 * 1024;
+var megabytes = Number(process.argv[2]) || 16;
+var frameSizes = [16384, 65536, MEGABYTE, Math.pow(2, 24) - 1];
+var MAX_WINDOW_SIZE = Math.pow(2, 31) - 1;
+
+function run(maxFrameSize, callback) {
+  // Windows of a few frames, so that the sender does not stall waiting for WINDOW_UPDATEs
+  var windowSize = Math.min(Math.max(4 * maxFrameSize, 65535), MAX_WINDOW_SIZE);
+  var settings = {
+    SETTINGS_MAX_FRAME_SIZE: maxFrameSize,
+    SETTINGS_INITIAL_WINDOW_SIZE: windowSize
+  };
+  var options = { connectionWindowSize: windowSize };
+
+  var frames = 0;
+  var countFrames = {
+    afterDeserialization: function(frame, forward, done) {
+      if ((frame.type === 'DATA') && frame.data.length) {
+        frames += 1;
+      }
+      forward(frame);
+      done();
+    }
+  };
+
+  var client = new Endpoint(log.child({ role: 'client' }), 'CLIENT', settings, {}, options);
+  var server = new Endpoint(log.child({ role: 'server' }), 'SERVER', settings, countFrames, options);
+  client.pipe(server).pipe(client);
+
+  var start;
+  server.on('stream', function(stream) {
+    stream.on('data', function() {});
+    stream.on('end', function() {
+      var elapsed = Date.now() - start;
+      client.close();
+      callback({ frames: frames, elapsed: elapsed });
+    });
+  });
+
+  client._connection.once('RECEIVING_SETTINGS_MAX_FRAME_SIZE', function() {
+    start = Date.now();
+    var stream = client.createStream();
+    stream.headers({ ':method': 'POST', ':path': '/' });
+    stream.end(new Buffer(megabytes * MEGABYTE));
+  });
+}
+
+function next(i) {
+  if (i === frameSizes.length) {
+    return;
+  }
+  run(frameSizes[i], function(result) {
+    console.log('SETTINGS_MAX_FRAME_SIZE=' + frameSizes[i] + ': ' +
+                (result.frames / megabytes).toFixed(1) + ' DATA frames/MB, ' +
+                (megabytes * 1000 / result.elapsed).toFixed(1) + ' MB/s');
+    next(i + 1);
+  });
+}
+
+next(0);
@@ -0,0 +1,820 @@
+// gRPC over HTTP/2
+// ================
+
+// [gRPC](https://github.com/grpc/grpc/blob/master/doc/PROTOCOL-HTTP2.md) calls are HTTP/2 POST
+// requests with a `content-type: application/grpc` header. Both bodies are sequences of
+// length-prefixed messages, and the outcome of the call is signaled in the `grpc-status` and
+// `grpc-message` trailers of the response. This module implements the transport on top of the
+// [http2](http.html) client and server API. Messages are Buffers: serializing them (e.g. with a
+// protocol buffers library) is up to the user, or to the `serialize` and `deserialize` options.
+
+var Transform = require('stream').Transform;
+var Duplex = require('stream').Duplex;
+var url = require('url');
+var util = require('util');
+var http2 = require('./http');
+
+exports.GrpcError = GrpcError;
+exports.Client = Client;
+exports.ClientCall = ClientCall;
+exports.Server = Server;
+exports.ServerCall = ServerCall;
+exports.MessageDecoder = MessageDecoder;
+exports.encodeMessage = encodeMessage;
+exports.encodeTimeout = encodeTimeout;
+exports.parseTimeout = parseTimeout;
+
+// Public API
+// ----------
+
+// * **grpc.status**: the [status codes](https://github.com/grpc/grpc/blob/master/doc/statuscodes.md)
+//   by name (`grpc.status.OK`, `grpc.status.DEADLINE_EXCEEDED`, etc.)
+//
+// * **new GrpcError(code, [details], [metadata])**: the error of a failed call. `error.code` is the
+//   status code, `error.details` is the status message, and `error.metadata` holds the trailers.
+//
+// * **new Client(address, [options])**: a client of the server at `address`
+//   (e.g. 'https://localhost:50051'). Options:
+//   * `agent`: the [Agent](http.html) to send the requests with (`http2.globalAgent` by default)
+//   * `plain`: use HTTP/2 over plain TCP with prior knowledge for 'http:' addresses
+//   * `metadata`, `deadline`, `serialize`, `deserialize`, `maxMessageSize`: the defaults of the
+//     call options below
+//   * other options are passed to the agent (e.g. `ca` or `rejectUnauthorized`)
+//
+//   Every call takes a `path` ('/package.Service/Method') and the following call options:
+//   * `metadata`: the custom request headers. Values of '-bin' headers are Buffers.
+//   * `deadline`: the deadline of the call in milliseconds, sent in the `grpc-timeout` header. The
+//     call fails with DEADLINE_EXCEEDED when it expires.
+//   * `serialize(message): Buffer`, `deserialize(buffer): message`: message conversion. If either
+//     throws, the call fails with INTERNAL.
+//   * `maxMessageSize`: the size limit of incoming messages (4 MB by default)
+//
+//   * **client.unary(path, message, [options], callback)**: send one message and call
+//     `callback(error, response, trailers)` with the single response message.
+//   * **client.serverStream(path, message, [options])**: send one message and return a
+//     **ClientCall** to read the response messages from.
+//   * **client.clientStream(path, [options], callback)**: return a **ClientCall** to write the
+//     request messages into. The callback is called like with `unary`.
+//   * **client.bidi(path, [options])**: return a **ClientCall** to write and read messages.
+//
+// * **Class: ClientCall**: a duplex stream of messages in object mode
+//   * **Event: 'metadata' (headers)**: the response headers arrived
+//   * **Event: 'status' (status)**: the call is over. `status` has the `code`, `details` and
+//     `metadata` (trailers) properties. If the code is not OK, 'error' is emitted too.
+//   * **Event: 'error' (error)**: the call failed with a **GrpcError**
+//   * **call.cancel()**: cancel the call (it fails with CANCELLED)
+//
+// * **new Server([options])**: a set of gRPC methods. The `maxMessageSize` option limits incoming
+//   messages (4 MB by default).
+//   * **server.handle(request, response): Boolean**: serve a request of an
+//     [http2 server](http.html). Returns false if it is not a gRPC request, so that the caller can
+//     answer it in some other way.
+//   * **server.unary(path, handler, [options])**: add a method with a single request and response
+//     message. The handler is called with `(call, callback)`: `call.request` is the request
+//     message, and `callback(error, response, [trailers])` finishes the call.
+//   * **server.serverStream(path, handler, [options])**: the handler is called with `(call)`.
+//     `call.request` is the request message, the response messages are written to `call`, and
+//     `call.end()` finishes the call.
+//   * **server.clientStream(path, handler, [options])**: the handler is called with
+//     `(call, callback)`, and reads the request messages from `call`.
+//   * **server.bidi(path, handler, [options])**: the handler is called with `(call)`.
+//   * Method options are `serialize` and `deserialize`. If either throws, the call fails with
+//     INTERNAL. Calls of unknown methods fail with UNIMPLEMENTED.
+//
+// * **Class: ServerCall**: a duplex stream of messages in object mode
+//   * **call.metadata**: the request headers
+//   * **call.deadline**: the deadline of the call as a Date, or undefined. When it expires, the call
+//     is finished with DEADLINE_EXCEEDED and cancelled.
+//   * **call.cancelled**, **Event: 'cancelled'**: the client has cancelled the call, or the deadline
+//     has expired. Messages written after this are dropped.
+//   * **call.sendMetadata(headers)**: send the response headers before the first message
+//   * **call.sendError(error)**: finish the call with `error.code` (UNKNOWN if it is not a status
+//     code), `error.message` and `error.metadata`
+//   * ending the writable side finishes the call with OK. `call.setTrailers(trailers)` sets custom
+//     trailers that are sent with the status.
+//
+// * **encodeMessage(buffer): Buffer** and **new MessageDecoder([maxMessageSize])**: the
+//   length-prefixed message framing. The decoder is a transform stream that turns bytes into
+//   message Buffers, and emits a **GrpcError** on malformed input.
+//
+// * **encodeTimeout(milliseconds): String** and **parseTimeout(value): Number**: conversion of
+//   `grpc-timeout` header values
+
+// Constants
+// ---------
+
+var status = exports.status = {
+  OK: 0,
+  CANCELLED: 1,
+  UNKNOWN: 2,
+  INVALID_ARGUMENT: 3,
+  DEADLINE_EXCEEDED: 4,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAVAILABLE: 14,
+  DATA_LOSS: 15,
+  UNAUTHENTICATED: 16
+};
+
+var CONTENT_TYPE = 'application/grpc';
+
+var DEFAULT_MAX_MESSAGE_SIZE = 4 * 1024 * 1024;
+
+// Every message is prefixed with a Compressed-Flag byte and a 4 byte Message-Length
+var PREFIX_SIZE = 5;
+
+// GrpcError class
+// ---------------
+
+function GrpcError(code, details, metadata) {
+  Error.call(this);
+  Error.captureStackTrace(this, GrpcError);
+  this.name = 'GrpcError';
+  this.code = code;
+  this.details = details || '';
+  this.metadata = metadata || {};
+  this.message = this.details || ('gRPC call failed with status ' + code);
+}
+GrpcError.prototype = Object.create(Error.prototype, { constructor: { value: GrpcError } });
+
+// Message framing
+// ---------------
+
+//     +---------------+-----------------------------------------------+
+//     |Compressed (8) |                Message-Length (32)            |
+//     +---------------+-----------------------------------------------+
+//     |                          Message (*)                        ...
+//     +---------------------------------------------------------------+
+//
+// Compression is not supported, so the Compressed-Flag is always 0.
+function encodeMessage(buffer) {
+  var prefix = new Buffer(PREFIX_SIZE);
+  prefix[0] = 0;
+  prefix.writeUInt32BE(buffer.length, 1);
+  return Buffer.concat([prefix, buffer]);
+}
+
+function MessageDecoder(maxMessageSize) {
+  Transform.call(this, { objectMode: true });
+  this._maxMessageSize = maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+  this._chunks = [];
+  this._bufferedLength = 0;
+}
+MessageDecoder.prototype = Object.create(Transform.prototype, { constructor: { value: MessageDecoder } });
+
+// The received chunks are kept in a list, and they are only concatenated when the whole message
+// (or prefix) has arrived. Concatenating on every chunk would copy large messages over and over.
+MessageDecoder.prototype._transform = function _transform(chunk, encoding, done) {
+  this._chunks.push(chunk);
+  this._bufferedLength += chunk.length;
+
+  var prefix;
+  while ((prefix = this._peek(PREFIX_SIZE))) {
+    var compressed = prefix[0];
+    var length = prefix.readUInt32BE(1);
+
+    // * Compressed messages can only arrive if a `grpc-encoding` was negotiated, which never
+    //   happens with us
+    if (compressed !== 0) {
+      return done(new GrpcError(status.INTERNAL, 'Compressed message without grpc-encoding'));
+    }
+    if (length > this._maxMessageSize) {
+      return done(new GrpcError(status.RESOURCE_EXHAUSTED, 'Message larger than ' +
+                                this._maxMessageSize + ' bytes'));
+    }
+    var buffer = this._peek(PREFIX_SIZE + length);
+    if (!buffer) {
+      break;
+    }
+
+    this.push(buffer.slice(PREFIX_SIZE, PREFIX_SIZE + length));
+    this._consume(PREFIX_SIZE + length);
+  }
+
+  done();
+};
+
+// `_peek(size)` returns a Buffer that starts with the first `size` buffered bytes, or undefined if
+// they have not arrived yet
+MessageDecoder.prototype._peek = function _peek(size) {
+  if (this._bufferedLength < size) {
+    return undefined;
+  }
+  if (this._chunks[0].length < size) {
+    this._chunks = [Buffer.concat(this._chunks, this._bufferedLength)];
+  }
+  return this._chunks[0];
+};
+
+MessageDecoder.prototype._consume = function _consume(size) {
+  this._chunks[0] = this._chunks[0].slice(size);
+  if (this._chunks[0].length === 0) {
+    this._chunks.shift();
+  }
+  this._bufferedLength -= size;
+};
+
+MessageDecoder.prototype._flush = function _flush(done) {
+  if (this._bufferedLength > 0) {
+    done(new GrpcError(status.INTERNAL, 'Incomplete message at the end of the stream'));
+  } else {
+    done();
+  }
+};
+
+// Client
+// ------
+
+function Client(address, options) {
+  options = util._extend({}, options);
+  var target = (typeof address === 'string') ? url.parse(address) : address;
+
+  this._agent = options.agent || http2.globalAgent;
+  this._defaults = {
+    metadata: options.metadata,
+    deadline: options.deadline,
+    serialize: options.serialize,
+    deserialize: options.deserialize,
+    maxMessageSize: options.maxMessageSize
+  };
+
+  this._requestOptions = options;
+  delete options.agent;
+  for (var name in this._defaults) {
+    delete options[name];
+  }
+  options.protocol = target.protocol || 'https:';
+  options.host = target.hostname || target.host;
+  options.port = target.port;
+}
+
+Client.prototype.unary = function unary(path, message, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  var call = this._call(path, options);
+  collectResponse(call, callback);
+  call.end(message);
+  return call;
+};
+
+Client.prototype.serverStream = function serverStream(path, message, options) {
+  var call = this._call(path, options);
+  call.end(message);
+  return call;
+};
+
+Client.prototype.clientStream = function clientStream(path, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  var call = this._call(path, options);
+  collectResponse(call, callback);
+  return call;
+};
+
+Client.prototype.bidi = function bidi(path, options) {
+  return this._call(path, options);
+};
+
+Client.prototype._call = function _call(path, options) {
+  options = util._extend(util._extend({}, this._defaults), options);
+  var requestOptions = util._extend({}, this._requestOptions);
+  requestOptions.method = 'POST';
+  requestOptions.path = path;
+
+  return new ClientCall(this._agent, requestOptions, options);
+};
+
+// Calls with a single response message wait for the end of the call, and then report the message
+// or the error.
+function collectResponse(call, callback) {
+  var response, done = false;
+  function finish(error, response, trailers) {
+    if (!done) {
+      done = true;
+      callback(error, response, trailers);
+    }
+  }
+
+  call.on('data', function(message) {
+    if (response !== undefined) {
+      finish(new GrpcError(status.INTERNAL, 'More than one response message'));
+      call.cancel();
+    }
+    response = message;
+  });
+  call.on('error', finish);
+  call.on('status', function(callStatus) {
+    if (callStatus.code !== status.OK) {
+      return;
+    } else if (response === undefined) {
+      finish(new GrpcError(status.INTERNAL, 'No response message'));
+    } else {
+      finish(null, response, callStatus.metadata);
+    }
+  });
+}
+
+// ClientCall class
+// ----------------
+
+function ClientCall(agent, requestOptions, options) {
+  Duplex.call(this, { objectMode: true });
+
+  this._serialize = options.serialize || identity;
+  this._deserialize = options.deserialize || identity;
+  this._maxMessageSize = options.maxMessageSize;
+  this._finished = false;
+  this._response = undefined;
+
+  // * The request headers: `te: trailers` tells proxies that we understand trailers, which is
+  //   where the status arrives
+  var headers = metadataToHeaders(options.metadata);
+  headers['content-type'] = CONTENT_TYPE;
+  headers.te = 'trailers';
+  if (options.deadline !== undefined) {
+    headers['grpc-timeout'] = encodeTimeout(options.deadline);
+    this._deadlineTimer = setTimeout(this._onDeadline.bind(this), options.deadline);
+  }
+  requestOptions.headers = headers;
+
+  var request = this._request = agent.request(requestOptions);
+  request.on('socket', this._onSocket.bind(this));
+  request.on('response', this._onResponse.bind(this));
+  request.on('error', this._onRequestError.bind(this));
+
+  this.on('finish', function() {
+    request.end();
+  });
+}
+ClientCall.prototype = Object.create(Duplex.prototype, { constructor: { value: ClientCall } });
+
+ClientCall.prototype._write = function _write(message, encoding, callback) {
+  if (this._finished) {
+    return callback();
+  }
+  var data;
+  try {
+    data = this._serialize(message);
+  } catch (error) {
+    this._request.abort();
+    this._finish(new GrpcError(status.INTERNAL, 'Cannot serialize request: ' + error.message));
+    return callback();
+  }
+  this._request.write(encodeMessage(data), callback);
+};
+
+ClientCall.prototype._read = function _read() {
+  if (this._response) {
+    this._response.resume();
+  }
+};
+
+ClientCall.prototype.cancel = function cancel() {
+  if (!this._finished) {
+    this._finish(new GrpcError(status.CANCELLED, 'Cancelled by the client'));
+    this._request.abort();
+  }
+};
+
+ClientCall.prototype._onDeadline = function _onDeadline() {
+  if (!this._finished) {
+    this._finish(new GrpcError(status.DEADLINE_EXCEEDED, 'Deadline exceeded'));
+    this._request.abort();
+  }
+};
+
+// * gRPC needs HTTP/2, and fails if the request falls back to HTTP/1. A stream that is closed
+//   without a response (e.g. reset by the server) fails the call too.
+ClientCall.prototype._onSocket = function _onSocket(stream) {
+  var self = this;
+  if (this._request.request) {
+    this._request.abort();
+    this._finish(new GrpcError(status.UNAVAILABLE, 'The server does not support HTTP/2'));
+    return;
+  }
+  stream.on('state', function(state) {
+    if ((state === 'CLOSED') && !self._response) {
+      self._finish(new GrpcError(status.UNAVAILABLE, 'Stream closed without a response'));
+    }
+  });
+};
+
+ClientCall.prototype._onRequestError = function _onRequestError(error) {
+  this._finish(new GrpcError(status.UNAVAILABLE, error.message));
+};
+
+// * The response is checked against the [HTTP to gRPC status mapping][1]
+// * Then the messages are decoded from the body
+// * The status comes in the trailers, or in the headers of a Trailers-Only response
+//
+// [1]: https://github.com/grpc/grpc/blob/master/doc/http-grpc-status-mapping.md
+ClientCall.prototype._onResponse = function _onResponse(response) {
+  var self = this;
+  this._response = response;
+
+  if (response.statusCode !== 200) {
+    response.resume();
+    this._finish(new GrpcError(httpStatusToCode(response.statusCode),
+                               'Unexpected HTTP status ' + response.statusCode));
+    return;
+  }
+  var contentType = response.headers['content-type'] || '';
+  if (contentType.indexOf(CONTENT_TYPE) !== 0) {
+    response.resume();
+    this._finish(new GrpcError(status.UNKNOWN, 'Unexpected content-type: ' + contentType));
+    return;
+  }
+
+  this.emit('metadata', headersToMetadata(response.headers));
+
+  var decoder = new MessageDecoder(this._maxMessageSize);
+  decoder.on('data', function(message) {
+    if (self._finished) {
+      return;
+    }
+    try {
+      message = self._deserialize(message);
+    } catch (error) {
+      self._request.abort();
+      self._finish(new GrpcError(status.INTERNAL, 'Cannot deserialize response: ' + error.message));
+      return;
+    }
+    if (!self.push(message)) {
+      response.pause();
+    }
+  });
+  decoder.on('error', function(error) {
+    self._request.abort();
+    self._finish(error);
+  });
+  decoder.on('end', function() {
+    var trailers = response.trailers || response.headers;
+    if (trailers['grpc-status'] === undefined) {
+      self._finish(new GrpcError(status.INTERNAL, 'The response has no grpc-status'));
+    } else {
+      self._finish(new GrpcError(parseInt(trailers['grpc-status'], 10),
+                                 decodeStatusMessage(trailers['grpc-message'] || ''),
+                                 headersToMetadata(trailers)));
+    }
+  });
+  response.pipe(decoder);
+};
+
+// The call is over: 'status' is emitted, and then 'error' or the end of the readable side
+ClientCall.prototype._finish = function _finish(callStatus) {
+  if (this._finished) {
+    return;
+  }
+  this._finished = true;
+  clearTimeout(this._deadlineTimer);
+
+  this.emit('status', { code: callStatus.code, details: callStatus.details,
+                        metadata: callStatus.metadata });
+  if (callStatus.code === status.OK) {
+    this.push(null);
+  } else {
+    this.emit('error', callStatus);
+  }
+};
+
+// Server
+// ------
+
+function Server(options) {
+  options = options || {};
+  this._methods = {};
+  this._maxMessageSize = options.maxMessageSize;
+}
+
+Server.prototype.unary = function unary(path, handler, options) {
+  this._addMethod(path, 'unary', handler, options);
+};
+
+Server.prototype.serverStream = function serverStream(path, handler, options) {
+  this._addMethod(path, 'serverStream', handler, options);
+};
+
+Server.prototype.clientStream = function clientStream(path, handler, options) {
+  this._addMethod(path, 'clientStream', handler, options);
+};
+
+Server.prototype.bidi = function bidi(path, handler, options) {
+  this._addMethod(path, 'bidi', handler, options);
+};
+
+Server.prototype._addMethod = function _addMethod(path, type, handler, options) {
+  options = options || {};
+  this._methods[path] = {
+    type: type,
+    handler: handler,
+    serialize: options.serialize || identity,
+    deserialize: options.deserialize || identity
+  };
+};
+
+Server.prototype.handle = function handle(request, response) {
+  var contentType = request.headers['content-type'] || '';
+  if (contentType.indexOf(CONTENT_TYPE) !== 0) {
+    return false;
+  }
+
+  if (request.method !== 'POST') {
+    response.writeHead(405, { allow: 'POST' });
+    response.end();
+    return true;
+  }
+
+  var method = this._methods[request.url];
+  var call = new ServerCall(request, response, method || {}, this._maxMessageSize);
+  if (!method) {
+    request.resume();
+    call.sendError(new GrpcError(status.UNIMPLEMENTED, 'Unknown method: ' + request.url));
+    return true;
+  }
+
+  // * Unary and server streaming handlers get the single request message
+  if ((method.type === 'unary') || (method.type === 'serverStream')) {
+    collectRequest(call, function(message) {
+      call.request = message;
+      if (method.type === 'unary') {
+        method.handler(call, respond.bind(undefined, call));
+      } else {
+        method.handler(call);
+      }
+    });
+  } else if (method.type === 'clientStream') {
+    method.handler(call, respond.bind(undefined, call));
+  } else {
+    method.handler(call);
+  }
+
+  return true;
+};
+
+function collectRequest(call, callback) {
+  var messages = [];
+  call.on('data', function(message) {
+    messages.push(message);
+  });
+  call.on('end', function() {
+    if (messages.length !== 1) {
+      call.sendError(new GrpcError(status.INTERNAL, 'Expected one request message, got ' +
+                                   messages.length));
+    } else {
+      callback(messages[0]);
+    }
+  });
+}
+
+function respond(call, error, message, trailers) {
+  if (error) {
+    call.sendError(error);
+  } else {
+    call.setTrailers(trailers);
+    call.end(message);
+  }
+}
+
+// ServerCall class
+// ----------------
+
+function ServerCall(request, response, method, maxMessageSize) {
+  Duplex.call(this, { objectMode: true });
+
+  var self = this;
+  this.metadata = headersToMetadata(request.headers);
+  this.path = request.url;
+  this.cancelled = false;
+  this.request = undefined;
+
+  this._response = response;
+  this._serialize = method.serialize || identity;
+  this._deserialize = method.deserialize || identity;
+  this._trailers = undefined;
+  this._statusSent = false;
+
+  // * The deadline of the call
+  var timeout = parseTimeout(request.headers['grpc-timeout']);
+  if (timeout !== undefined) {
+    this.deadline = new Date(Date.now() + timeout);
+    this._deadlineTimer = setTimeout(function() {
+      self._sendStatus(status.DEADLINE_EXCEEDED, 'Deadline exceeded');
+      self._cancel();
+    }, timeout);
+  }
+
+  // * A stream that is closed before the status is sent has been cancelled by the client
+  request.stream.on('state', function(state) {
+    if (state === 'CLOSED') {
+      clearTimeout(self._deadlineTimer);
+      if (!self._statusSent) {
+        self._statusSent = true;
+        self._cancel();
+      }
+    }
+  });
+
+  // * Request messages
+  var decoder = new MessageDecoder(maxMessageSize);
+  this._request = request;
+  decoder.on('data', function(message) {
+    if (self._statusSent) {
+      return;
+    }
+    try {
+      message = self._deserialize(message);
+    } catch (error) {
+      self.sendError(new GrpcError(status.INTERNAL, 'Cannot deserialize request: ' + error.message));
+      return;
+    }
+    if (!self.push(message)) {
+      request.pause();
+    }
+  });
+  decoder.on('end', function() {
+    self.push(null);
+  });
+  decoder.on('error', function(error) {
+    self.sendError(error);
+  });
+  request.pipe(decoder);
+
+  this.on('finish', function() {
+    self._sendStatus(status.OK);
+  });
+}
+ServerCall.prototype = Object.create(Duplex.prototype, { constructor: { value: ServerCall } });
+
+ServerCall.prototype._read = function _read() {
+  this._request.resume();
+};
+
+ServerCall.prototype._write = function _write(message, encoding, callback) {
+  if (this._statusSent) {
+    return callback();
+  }
+  var data;
+  try {
+    data = this._serialize(message);
+  } catch (error) {
+    this.sendError(new GrpcError(status.INTERNAL, 'Cannot serialize response: ' + error.message));
+    return callback();
+  }
+  this.sendMetadata();
+  this._response.write(encodeMessage(data), callback);
+};
+
+ServerCall.prototype.sendMetadata = function sendMetadata(headers) {
+  if (!this._response.headersSent) {
+    headers = metadataToHeaders(headers);
+    headers['content-type'] = CONTENT_TYPE;
+    this._response.writeHead(200, headers);
+  }
+};
+
+ServerCall.prototype.setTrailers = function setTrailers(trailers) {
+  this._trailers = trailers;
+};
+
+ServerCall.prototype.sendError = function sendError(error) {
+  var code = error.code;
+  if ((typeof code !== 'number') || (code <= status.OK) || (code > status.UNAUTHENTICATED)) {
+    code = status.UNKNOWN;
+  }
+  this._trailers = error.metadata;
+  this._sendStatus(code, error.details || error.message);
+};
+
+// The status is sent in the trailers with [Stream.trailers](protocol/stream.html) when the
+// response ends
+ServerCall.prototype._sendStatus = function _sendStatus(code, details) {
+  if (this._statusSent) {
+    return;
+  }
+  this._statusSent = true;
+  clearTimeout(this._deadlineTimer);
+
+  var trailers = metadataToHeaders(this._trailers);
+  trailers['grpc-status'] = String(code);
+  if (details) {
+    trailers['grpc-message'] = encodeStatusMessage(details);
+  }
+
+  this.sendMetadata();
+  this._response.addTrailers(trailers);
+  this._response.end();
+};
+
+ServerCall.prototype._cancel = function _cancel() {
+  if (!this.cancelled) {
+    this.cancelled = true;
+    this.emit('cancelled');
+  }
+};
+
+// Helper functions
+// ----------------
+
+function identity(message) {
+  return message;
+}
+
+// `grpc-timeout` is at most 8 digits and a unit: Hours, Minutes, Seconds, milliseconds,
+// microseconds or nanoseconds.
+var timeoutUnits = { H: 3600000, M: 60000, S: 1000, m: 1, u: 0.001, n: 0.000001 };
+
+function encodeTimeout(milliseconds) {
+  var value = Math.max(Math.ceil(milliseconds), 0);
+  if (value < 100000000) {
+    return value + 'm';
+  } else if (value / 1000 < 100000000) {
+    return Math.ceil(value / 1000) + 'S';
+  } else {
+    return Math.min(Math.ceil(value / 3600000), 99999999) + 'H';
+  }
+}
+
+function parseTimeout(value) {
+  var match = /^(\d{1,8})([HMSmun])$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * timeoutUnits[match[2]] : undefined;
+}
+
+// `grpc-message` is percent-encoded UTF-8: bytes outside the printable ASCII range and '%' are
+// encoded.
+function encodeStatusMessage(details) {
+  var bytes = new Buffer(details, 'utf8');
+  var encoded = '';
+  for (var i = 0; i < bytes.length; i++) {
+    var byte = bytes[i];
+    if ((byte >= 0x20) && (byte <= 0x7e) && (byte !== 0x25)) {
+      encoded += String.fromCharCode(byte);
+    } else {
+      encoded += '%' + (byte < 0x10 ? '0' : '') + byte.toString(16).toUpperCase();
+    }
+  }
+  return encoded;
+}
+
+function decodeStatusMessage(encoded) {
+  var bytes = [];
+  for (var i = 0; i < encoded.length; i++) {
+    var hex = encoded.substr(i + 1, 2);
+    if ((encoded[i] === '%') && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(encoded.charCodeAt(i) & 0xff);
+    }
+  }
+  return new Buffer(bytes).toString('utf8');
+}
+
+// Custom metadata is sent in headers. The values of '-bin' headers are base64 encoded binary.
+function metadataToHeaders(metadata) {
+  var headers = {};
+  for (var name in metadata) {
+    var key = name.toLowerCase();
+    var value = metadata[name];
+    headers[key] = /-bin$/.test(key) ? new Buffer(value).toString('base64') : value;
+  }
+  return headers;
+}
+
+// The reserved headers of the transport are not part of the metadata
+var reservedHeaders = ['content-type', 'te', 'host'];
+
+function headersToMetadata(headers) {
+  var metadata = {};
+  for (var name in headers) {
+    if ((name.indexOf('grpc-') === 0) || (reservedHeaders.indexOf(name) !== -1)) {
+      continue;
+    }
+    metadata[name] = /-bin$/.test(name) ? new Buffer(headers[name], 'base64') : headers[name];
+  }
+  return metadata;
+}
+
+function httpStatusToCode(statusCode) {
+  switch (statusCode) {
+    case 400: return status.INTERNAL;
+    case 401: return status.UNAUTHENTICATED;
+    case 403: return status.PERMISSION_DENIED;
+    case 404: return status.UNIMPLEMENTED;
+    case 429:
+    case 502:
+    case 503:
+    case 504: return status.UNAVAILABLE;
+    default : return status.UNKNOWN;
+  }
+}
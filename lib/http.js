@@ -17,24 +17,189 @@
 //   - **Event: 'connection' (socket, [endpoint])**: there's a second argument if the negotiation of
 //     HTTP/2 was successful: the reference to the [Endpoint](protocol/endpoint.html) object tied to the
 //     socket.
+//   - **Event: 'shutdown' (endpoint, drained)**: an HTTP/2 connection has been closed after
+//     `server.close()`. `drained` is false if it was closed before all its streams could finish.
+//   - **Event: 'timeout' (stream)**: an HTTP/2 stream has timed out (see `server.setTimeout()`).
+//     `stream` is the [Stream](protocol/stream.html) object of the request. If there are no
+//     listeners for this event on the server, the request or the response, the stream is reset with
+//     a CANCEL error code.
+//   - **Event: 'checkContinue' (request, response)**: emitted instead of 'request' for requests
+//     with an `Expect: 100-continue` header, if there are listeners for it. The listener decides
+//     whether to call `response.writeContinue()` before reading the body. Without listeners, a
+//     `100 Continue` response is sent automatically and 'request' is emitted.
+//   - **Event: 'connect' (request, tunnel, response)**: an HTTP/2 client asked for a
+//     [CONNECT](https://tools.ietf.org/html/rfc7540#section-8.3) tunnel to `request.url` (the
+//     'host:port' authority). `tunnel` is an **http2.Tunnel**: `tunnel.accept()` accepts the
+//     request with a 200 response, and so does the first write implicitly. Accept it as soon as the
+//     connection to the target is up, because clients may wait for the 200 before sending
+//     anything (like TLS clients do). To refuse it, send another status code with `response`.
+//     Without listeners, CONNECT requests are answered with 501. CONNECT requests of HTTP/1 clients
+//     are not forwarded.
+//   - **Event: 'extendedConnect' (request, tunnel, response)**: an HTTP/2 client sent an
+//     [extended CONNECT](https://tools.ietf.org/html/rfc8441) request to run the protocol named in
+//     `request.protocol` on a tunnel to `request.url`. The tunnel is accepted or refused the same
+//     way as with 'connect'. The server enables extended CONNECT in its SETTINGS, unless the
+//     `settings` option sets SETTINGS_ENABLE_CONNECT_PROTOCOL to false.
+//   - **Event: 'websocket' (socket, request)**: an HTTP/2 client opened a WebSocket to
+//     `request.url`. If there are listeners for this event, WebSocket requests are accepted with
+//     a 200 response and `socket` is an **http2.WebSocket** (see [websocket.js](websocket.html)).
+//     Otherwise they are emitted as 'extendedConnect', or answered with 501 if nobody listens.
+//   - **server.setTimeout(msecs, [callback])**, **server.timeout**: the inactivity timeout of every
+//     HTTP/2 stream (and of the sockets of HTTP/1 connections). It is disabled by default. The
+//     callback is subscribed to the 'timeout' event.
+//   - **server.getConnectionStats()**: returns an array with an object for every HTTP/2 connection,
+//     with the following properties: `remoteAddress`, `remotePort`, and `smoothedRtt` and `minRtt`,
+//     the round-trip times measured with PINGs (see the `keepAlive` option and `endpoint.ping()` in
+//     [protocol/endpoint.js](protocol/endpoint.html)). The round-trip times are undefined until the
+//     first PING answer arrives. `counters` are the flood protection counters of the connection
+//     (see `endpoint.getCounters()`).
+//   - **server.setConnectionWindowSize(size)**: enlarge the connection level flow control window of
+//     the current and future HTTP/2 connections (see the `connectionWindowSize` option)
+//   - **server.close([options], [callback])**: stops accepting new connections, and
+//     [gracefully shuts down](protocol/endpoint.html) the HTTP/2 connections: the clients are asked
+//     not to send new requests, and the connections are closed when the requests in progress have
+//     been served. If `options.timeout` is given, connections are closed anyway after that many
+//     milliseconds. The callback is called when all connections are closed.
 //
-// - **http2.createServer(options, [requestListener])**: additional option:
+// - **http2.createServer(options, [requestListener])**: additional options:
 //   - **log**: an optional [bunyan](https://github.com/trentm/node-bunyan) logger object
+//   - **scheduler**: the [scheduler](protocol/scheduler.html) of outgoing frames. Either the name of
+//     a built-in scheduler (`'priority'` (default), `'fifo'`, `'strict'`, `'wfq'` or `'drr'`), or a
+//     constructor that is called for every connection.
+//   - **timeout**: the initial value of `server.timeout`
+//   - **keepAlive**: `{ interval, timeout }`, send PINGs on HTTP/2 connections when nothing was
+//     received for `interval` milliseconds, and close them if the answer does not arrive in
+//     `timeout` milliseconds (see the `keepAlive` option in
+//     [protocol/endpoint.js](protocol/endpoint.html)). Disabled by default.
+//   - **idleTimeout**: close HTTP/2 connections with a GOAWAY frame when no data was sent or
+//     received on them for this many milliseconds (see `endpoint.setTimeout()` in
+//     [protocol/endpoint.js](protocol/endpoint.html)). Plain TCP servers also close connections
+//     that don't send enough data to tell HTTP/1.1 and HTTP/2 apart in this time (10 seconds by
+//     default).
+//   - **limits**: the budgets of the flood protection of HTTP/2 connections: `maxResetsPerSecond`,
+//     `maxPriorityFramesPerSecond`, `maxOutstandingControlFrames`, `maxEmptyFramesPerSecond` and
+//     `maxRefusedStreamsPerSecond` (see [protocol/connection.js](protocol/connection.html) for the defaults).
+//     Clients that exceed them are disconnected with a GOAWAY frame with ENHANCE_YOUR_CALM.
+//   - **connectionWindowSize**: the size of the connection level flow control window that clients
+//     may fill (65535 by default, up to 2^31-1). Only stream windows can be set with
+//     SETTINGS_INITIAL_WINDOW_SIZE, so on high-latency links the connection window limits the
+//     throughput of all the streams together to this many bytes per round trip.
+//   - **windowTuning**: `{ maxWindowSize, updateThreshold }`, grow the flow control windows of
+//     HTTP/2 connections automatically to the bandwidth-delay product measured with PINGs, up to
+//     `maxWindowSize` (16 MB by default), and only send WINDOW_UPDATE when `updateThreshold` (0.5
+//     by default) of a window was consumed (see [protocol/connection.js](protocol/connection.html))
+//   - **manualFlowControl**: if true, the body of requests is acknowledged to clients only when the
+//     application calls `request.stream.consume(bytes)` (see
+//     [protocol/stream.js](protocol/stream.html))
+//   - **padding**: pad outgoing DATA, HEADERS and PUSH_PROMISE frames to hide the length of
+//     responses: `'none'` (default), `{ blockSize: n }`, `{ random: n }` or a function
+//     `(frame, length, maxPadding)` that returns the number of padding bytes (see
+//     [protocol/padding.js](protocol/padding.html))
+//
+// - **http2.raw.createServer([options], [requestListener])**: creates a server for HTTP/2 with prior
+//   knowledge over plain TCP. Connections that do not start with the HTTP/2 connection preface are
+//   served over HTTP/1.1, and their requests are emitted through the same 'request' event.
+//
+// - **http2.http.createServer([options], [requestListener])**: creates a server for "http" URIs
+//   without TLS. Requests are served over HTTP/1.1 until the client asks for an upgrade with the
+//   `Upgrade: h2c` and `HTTP2-Settings` headers; the connection then switches to HTTP/2 and the
+//   upgraded request is emitted through the same 'request' event. Upgrade requests for other
+//   protocols are forwarded to the 'upgrade' listeners, or served over HTTP/1.1 if there are none.
+//   Upgrades with chunked bodies or bodies larger than 65535 bytes are served over HTTP/1.1 too. In
+//   this mode, the 'connection' event is also emitted (without endpoint) for every accepted TCP
+//   connection.
+//
+// - **http2.http.request(options, [callback])** and **http2.http.get(options, [callback])**: send
+//   the first request to a host over HTTP/1.1 with an offer to upgrade to h2c. If the server accepts
+//   it, the response arrives over HTTP/2 and later requests to the same host are multiplexed on the
+//   upgraded connection. Otherwise, the requests to that host are sent over HTTP/1.1.
 //
 // - **Class: http2.ServerResponse**
+//   - **response.writeContinue()**: sends a `100 Continue` interim response, telling the client to
+//     send the request body
+//   - **response.writeEarlyHints(hints, [callback])**: sends a `103 Early Hints` interim response
+//     with the headers in `hints` (e.g. `{ link: ['</style.css>; rel=preload; as=style'] }`), so
+//     that the client can start preloading resources before the final response is ready
 //   - **response.push(options)**: initiates a server push. `options` describes the 'imaginary'
 //     request to which the push stream is a response; the possible options are identical to the
 //     ones accepted by `http2.request`. Returns a ServerResponse object that can be used to send
 //     the response headers and content.
 //
 // - **Class: http2.Agent**
-//   - **new Agent(options)**: additional option:
+//   - **new Agent(options)**: additional options:
 //     - **log**: an optional [bunyan](https://github.com/trentm/node-bunyan) logger object
+//     - **scheduler**: the scheduler of outgoing frames, same as the server option
+//     - **maxSessionsPerOrigin**: the maximum number of HTTP/2 connections to the same host
+//       (default is 1). A new connection is opened when the streams of the existing ones reach the
+//       SETTINGS_MAX_CONCURRENT_STREAMS limit of the server. When the limit is reached on all
+//       connections, requests wait for a free stream slot in the queue of the least busy one.
+//     - **idleTimeout**: close HTTP/2 connections that had no streams for this many milliseconds
+//       (by default, idle connections are kept open)
+//     - **keepAlive**: `{ interval, timeout }`, same as the server option. Connections that don't
+//       answer PINGs are removed from the pool.
+//     - **limits**: the budgets of flood protection, same as the server option
+//     - **connectionWindowSize**: the size of the connection level flow control window that
+//       servers may fill, same as the server option
+//     - **windowTuning**: automatic flow control window tuning, same as the server option
+//     - **manualFlowControl**: if true, the body of responses is acknowledged to servers only when
+//       the application calls `response.stream.consume(bytes)`
+//     - **padding**: the padding policy of outgoing frames, same as the server option
 //   - **agent.sockets**: only contains TCP sockets that corresponds to HTTP/1 requests.
-//   - **agent.endpoints**: contains [Endpoint](protocol/endpoint.html) objects for HTTP/2 connections.
+//   - **agent.endpoints**: contains [Endpoint](protocol/endpoint.html) objects for HTTP/2
+//     connections, per host. If there are several connections to a host, this is the oldest one.
+//     A connection is removed when the server sends a GOAWAY frame, when it is lost, or when it is
+//     closed because of `idleTimeout`.
+//   - **agent.getPoolStats()**: returns the state of the HTTP/2 connection pool. The result has the
+//     same keys as `agent.endpoints`, and the values are objects with the following properties:
+//     - `sessions`: the number of connections to the host
+//     - `idleSessions`: the number of connections without streams
+//     - `activeStreams`: the number of streams in progress
+//     - `pendingStreams`: the number of requests that wait for a free stream slot
+//     - `smoothedRtt`, `minRtt`: the round-trip time to the host, measured with PINGs (see the
+//       `keepAlive` option). `smoothedRtt` is the average of the smoothed round-trip times of the
+//       connections, `minRtt` is the minimum of all measurements. They are undefined until the
+//       first PING answer arrives.
+//   - **agent.setConnectionWindowSize(size)**: enlarge the connection level flow control window of
+//     the current and future HTTP/2 connections
+//   - **agent.connect(authority, [options], [callback])**: open a CONNECT tunnel to `authority`
+//     ('host:port') over a single HTTP/2 stream. `options` describe the proxy the same way as in
+//     `http2.request` (by default, the request is sent to `authority` itself). Returns an
+//     **http2.Tunnel**. The callback is subscribed to its 'connect' event.
+//   - **agent.extendedConnect(options, protocol, [callback])**: open an extended CONNECT tunnel
+//     that carries `protocol` to the resource described by `options` (like in `http2.request`).
+//     Returns an **http2.Tunnel**, and the callback is subscribed to its 'connect' event. The
+//     request is sent when the server has enabled extended CONNECT in its SETTINGS. If it has not,
+//     an Error with the `'CONNECT_PROTOCOL_NOT_ENABLED'` code is emitted on the tunnel, and if the
+//     connection is closed before the SETTINGS arrive, an Error with the `'CONNECTION_CLOSED'` code.
+//   - **agent.webSocket(options, [callback])**: open a WebSocket over an extended CONNECT tunnel.
+//     Returns an **http2.WebSocket** that emits 'open' (response) when the server has accepted it.
+//     The callback is subscribed to the 'open' event. Errors of the tunnel are emitted on the
+//     WebSocket.
+//
+// - **Class: http2.Tunnel**: a duplex stream over the HTTP/2 stream of a CONNECT request. Ending
+//   it half-closes the tunnel (the HTTP/2 stream is ended with END_STREAM).
+//   - **Event: 'connect' (response)**: on the client side, the proxy has accepted the tunnel with a
+//     2xx response
+//   - **Event: 'error' (error)**: on the client side, the proxy refused the tunnel (`error.code` is
+//     'CONNECT_REFUSED', and `error.statusCode` is the status code), or the proxy speaks only HTTP/1
+//   - **Event: 'close'**: the HTTP/2 stream has been closed
+//   - **tunnel.accept([headers])**: on the server side, accept the tunnel with a 200 response
+//   - **tunnel.stream**: the [HTTP/2 Stream](protocol/stream.html) of the tunnel (on the client
+//     side, after 'connect'). Use `tunnel.stream.reset('CONNECT_ERROR')` to signal that the TCP
+//     connection behind the tunnel failed.
+//
+// - **Class: http2.WebSocket**: the WebSocket protocol over a duplex stream. For documentation see
+//   [websocket.js](websocket.html).
+//
+// - **http2.grpc**: a [gRPC](https://grpc.io/) transport with clients and method handlers for
+//   http2 servers. For documentation see [grpc.js](grpc.html).
 //
 // - **http2.request(options, [callback])**:
 //   - similar to http.request
+//   - throws an Error with the `'HEADER_LIST_TOO_LARGE'` code if the headers exceed the
+//     SETTINGS_MAX_HEADER_LIST_SIZE of the server (once it is known). If the request is sent later
+//     (e.g. after an upgrade or when it is replayed), the error is emitted on the request instead.
+//     Trailers that are too large are emitted as an 'error' on the request or response as well.
 //
 // - **http2.get(options, [callback])**:
 //   - similar to http.get
@@ -45,14 +210,48 @@
 //   - **Event: 'push' (promise)**: signals the intention of a server push associated to this
 //     request. `promise` is an IncomingPromise. If there's no listener for this event, the server
 //     push is cancelled.
-//   - **request.setPriority(priority)**: assign a priority to this request. `priority` is a number
-//     between 0 (highest priority) and 2^31-1 (lowest priority). Default value is 2^30.
+//   - **Event: 'timeout'**: the request has timed out (see `message.setTimeout()`)
+//   - **request.setTimeout(timeout, [callback])**: same as `message.setTimeout()`
+//   - **request.addTrailers(trailers)**: send `trailers` after the body, when the request is
+//     ended. Pseudo-header fields are not allowed, and if the request has a `trailer` header, it
+//     has to declare every trailer field. Otherwise an Error is thrown. Works the same way for
+//     responses, where `response.writeHead()` throws as well if it sets a `trailer` header that
+//     does not declare the trailers added before.
+//   - **Event: 'continue'**: the server sent a `100 Continue` interim response
+//   - **Event: 'information' (info)**: the server sent an interim (1xx) response. `info` has the
+//     `statusCode`, `headers`, `httpVersion`, `httpVersionMajor` and `httpVersionMinor`
+//     properties. The 'response' event is emitted only when the final response arrives. A `101`
+//     response, or an interim response that ends the stream, is malformed: the stream is reset, and
+//     an Error with the `'PROTOCOL_ERROR'` code is emitted on the request.
+//   - **Event: 'error' (error)**: if the server closes the connection with a GOAWAY frame before
+//     processing the request, the request is sent again on a new connection if the method is
+//     idempotent (the body is kept in memory until the response arrives for this, up to 64 KB), or
+//     if no part of the body has been sent yet. Otherwise, `error` is an **http2.UnprocessedRequestError**
+//     (with `code` 'REFUSED_STREAM'), and it is up to the user to decide about retrying.
+//   - **request.setPriority(priority)**: assign a priority to this request. `priority` is an object
+//     with the following (optional) properties:
+//     - `parent`: the ID of the stream this request depends on (0, the default, means no dependency)
+//     - `weight`: a number between 1 and 256 (default is 16) that determines the share of this
+//       request among the ones that depend on the same parent
+//     - `exclusive`: if true, this request becomes the sole dependency of `parent`, and the
+//       previous dependencies of `parent` become dependent on this request
+//     - `urgency` and `incremental`: the [extensible priority][4] of the request. If present, it is
+//       sent to the server in a PRIORITY_UPDATE frame.
+//     The numeric priorities of earlier versions are not supported anymore, they throw an Error.
 //
 // - **Class: http2.IncomingMessage**
 //   - has two subclasses for easier interface description: **IncomingRequest** and
 //     **IncomingResponse**
 //   - **message.socket**: in case of an HTTP/2 incoming message, it's a reference to the associated
 //     [HTTP/2 Stream](protocol/stream.html) object (and not to the TCP socket).
+//   - **message.setTimeout(timeout, [callback])**: emit 'timeout' on the request and the response
+//     when no frame has been sent or received on the HTTP/2 stream for `timeout` milliseconds. If
+//     there are no listeners for the event (the callback is subscribed to it), the stream is reset
+//     with a CANCEL error code. Works the same way for outgoing messages.
+//   - **Event: 'timeout'**: the message has timed out
+//   - **Event: 'trailers' (trailers)**: the trailers of an HTTP/2 message arrived. They are
+//     available as `message.trailers` too. Trailers with pseudo-header fields reset the stream
+//     with PROTOCOL_ERROR.
 //
 // - **Class: http2.IncomingRequest (IncomingMessage)**
 //   - **message.url**: in case of an HTTP/2 incoming request, the `url` field always contains the
@@ -61,6 +260,12 @@
 //   - **message.host**: additional field. Mandatory HTTP/2 request metadata. Note that this
 //     replaces the old Host header field, but node-http2 will add Host to the `message.headers` for
 //     backwards compatibility.
+//   - **message.urgency**, **message.incremental**: additional fields. The extensible priority of
+//     the request parsed from the `priority` header: `urgency` is between 0 (most urgent) and 7
+//     (default is 3), `incremental` is false by default. The server sends the responses of more
+//     urgent requests first.
+//   - **message.protocol**: additional field. The protocol of an extended CONNECT request (e.g.
+//     `'websocket'`), undefined for other requests.
 //
 // - **Class: http2.IncomingPromise (IncomingRequest)**
 //   - contains the metadata of the 'imaginary' request to which the server push is an answer.
@@ -70,8 +275,9 @@
 //     request. `promise` is an IncomingPromise. If there's no listener for this event, the server
 //     push is cancelled.
 //   - **promise.cancel()**: cancels the promised server push.
-//   - **promise.setPriority(priority)**: assign a priority to this push stream. `priority` is a
-//     number between 0 (highest priority) and 2^31-1 (lowest priority). Default value is 2^30.
+//   - **promise.setPriority(priority)**: assign a priority to this push stream. `priority` has the
+//     same format as in `request.setPriority(priority)`. By default, push streams depend on the
+//     stream of the associated request.
 //
 // API elements not yet implemented
 // --------------------------------
@@ -87,41 +293,30 @@
 // but will function normally when falling back to using HTTP/1.1.
 //
 // - **Class: http2.Server**
-//   - **Event: 'checkContinue'**: not in the spec
 //   - **Event: 'upgrade'**: upgrade is deprecated in HTTP/2
-//   - **Event: 'timeout'**: HTTP/2 sockets won't timeout because of application level keepalive
-//     (PING frames)
-//   - **Event: 'connect'**: not yet supported
-//   - **server.setTimeout(msecs, [callback])**
-//   - **server.timeout**
 //
 // - **Class: http2.ServerResponse**
 //   - **Event: 'close'**
-//   - **Event: 'timeout'**
-//   - **response.writeContinue()**
 //   - **response.writeHead(statusCode, [reasonPhrase], [headers])**: reasonPhrase will always be
 //     ignored since [it's not supported in HTTP/2][3]
-//   - **response.setTimeout(timeout, [callback])**
 //
 // - **Class: http2.Agent**
-//   - **agent.maxSockets**: only affects HTTP/1 connection pool. When using HTTP/2, there's always
-//     one connection per host.
+//   - **agent.maxSockets**: only affects HTTP/1 connection pool. When using HTTP/2, the number of
+//     connections per host is limited by `maxSessionsPerOrigin`.
 //
 // - **Class: http2.ClientRequest**
 //   - **Event: 'upgrade'**
 //   - **Event: 'connect'**
-//   - **Event: 'continue'**
-//   - **request.setTimeout(timeout, [callback])**
 //   - **request.setNoDelay([noDelay])**
 //   - **request.setSocketKeepAlive([enable], [initialDelay])**
 //
 // - **Class: http2.IncomingMessage**
 //   - **Event: 'close'**
-//   - **message.setTimeout(timeout, [callback])**
 //
 // [1]: https://nodejs.org/api/https.html
 // [2]: https://nodejs.org/api/http.html
 // [3]: https://tools.ietf.org/html/rfc7540#section-8.1.2.4
+// [4]: https://www.rfc-editor.org/rfc/rfc9218
 
 // Common server and client side code
 // ==================================
@@ -130,18 +325,25 @@ var net = require('net');
 var url = require('url');
 var util = require('util');
 var EventEmitter = require('events').EventEmitter;
+var Duplex = require('stream').Duplex;
 var PassThrough = require('stream').PassThrough;
 var Readable = require('stream').Readable;
 var Writable = require('stream').Writable;
 var protocol = require('./protocol');
+var WebSocket = require('./websocket').WebSocket;
 var Endpoint = protocol.Endpoint;
+var framer = require('./protocol/framer');
+var CLIENT_PRELUDE = require('./protocol/endpoint').CLIENT_PRELUDE;
 var http = require('http');
 var https = require('https');
 
 exports.STATUS_CODES = http.STATUS_CODES;
 exports.IncomingMessage = IncomingMessage;
 exports.OutgoingMessage = OutgoingMessage;
+exports.Tunnel = Tunnel;
+exports.WebSocket = WebSocket;
 exports.protocol = protocol;
+exports.grpc = require('./grpc');
 
 var deprecatedHeaders = [
   'connection',
@@ -235,11 +437,9 @@ function IncomingMessage(stream) {
   // * `this.headers` will store the regular headers (and none of the special colon headers)
   this.headers = {};
   this.trailers = undefined;
-  this._lastHeadersSeen = undefined;
 
   // * Other metadata is filled in when the headers arrive.
   stream.once('headers', this._onHeaders.bind(this));
-  stream.once('end', this._onEnd.bind(this));
 }
 IncomingMessage.prototype = Object.create(PassThrough.prototype, { constructor: { value: IncomingMessage } });
 
@@ -263,17 +463,31 @@ IncomingMessage.prototype._onHeaders = function _onHeaders(headers) {
   }
 
   // * The last header block, if it's not the first, will represent the trailers
-  var self = this;
-  this.stream.on('headers', function(headers) {
-    self._lastHeadersSeen = headers;
-  });
+  this.stream.on('headers', this._onTrailers.bind(this));
 };
 
-IncomingMessage.prototype._onEnd = function _onEnd() {
-  this.trailers = this._lastHeadersSeen;
+// [Trailers](https://tools.ietf.org/html/rfc7540#section-8.1) arrive in a header block that ends
+// the stream. They are emitted in the 'trailers' event before 'end'. Pseudo-header fields MUST NOT
+// appear in trailers, and a message that contains them is malformed.
+IncomingMessage.prototype._onTrailers = function _onTrailers(trailers) {
+  for (var name in trailers) {
+    if (name[0] === ':') {
+      this._log.error({ trailers: trailers }, 'Pseudo-header field in trailers');
+      this.stream.reset('PROTOCOL_ERROR');
+      return;
+    }
+  }
+
+  this.trailers = trailers;
+  this.emit('trailers', trailers);
 };
 
-IncomingMessage.prototype.setTimeout = noop;
+IncomingMessage.prototype.setTimeout = function setTimeout(timeout, callback) {
+  if (callback) {
+    this.on('timeout', callback);
+  }
+  this.stream.setTimeout(timeout);
+};
 
 IncomingMessage.prototype._checkSpecialHeader = function _checkSpecialHeader(key, value) {
   if ((typeof value !== 'string') || (value.length === 0)) {
@@ -345,7 +559,9 @@ OutgoingMessage.prototype._finish = function _finish() {
       if (this.request) {
         this.request.addTrailers(this._trailers);
       } else {
-        this.stream.trailers(this._trailers);
+        this._emitHeaderListError(function() {
+          this.stream.trailers(this._trailers);
+        });
       }
     }
     this.finished = true;
@@ -355,6 +571,20 @@ OutgoingMessage.prototype._finish = function _finish() {
   }
 };
 
+// Header lists that exceed the SETTINGS_MAX_HEADER_LIST_SIZE of the peer are rejected by the
+// [Stream](protocol/stream.html) with an exception. When the headers are sent from an event
+// handler, nobody could catch it, so it is emitted as an 'error' on the message instead.
+OutgoingMessage.prototype._emitHeaderListError = function _emitHeaderListError(send) {
+  try {
+    send.call(this);
+  } catch (error) {
+    if (error.code !== 'HEADER_LIST_TOO_LARGE') {
+      throw error;
+    }
+    this.emit('error', error);
+  }
+};
+
 OutgoingMessage.prototype.setHeader = function setHeader(name, value) {
   if (this.headersSent) {
     return this.emit('error', new Error('Can\'t set headers after they are sent.'));
@@ -379,14 +609,121 @@ OutgoingMessage.prototype.getHeader = function getHeader(name) {
   return this._headers[name.toLowerCase()];
 };
 
+// Trailers are sent in a HEADERS frame after the body. They can not contain pseudo-header fields,
+// and if the message has a `trailer` header, every trailer field has to be declared in it. Invalid
+// trailers are rejected with an exception, like node does. The `trailer` header of a response may
+// still change until the headers are sent, so the check is repeated in `writeHead()`.
 OutgoingMessage.prototype.addTrailers = function addTrailers(trailers) {
+  this._checkTrailers(trailers);
   this._trailers = trailers;
 };
 
-OutgoingMessage.prototype.setTimeout = noop;
+OutgoingMessage.prototype._checkTrailers = function _checkTrailers(trailers) {
+  for (var name in trailers) {
+    if (name[0] === ':') {
+      throw new Error('Pseudo-header fields are not allowed in trailers: ' + name);
+    }
+  }
+
+  var declaration = this._trailerDeclaration();
+  if (declaration === undefined) {
+    return;
+  }
+  var declared = String(declaration).toLowerCase().split(',').map(trim);
+  for (name in trailers) {
+    if (declared.indexOf(name.toLowerCase()) === -1) {
+      throw new Error('Trailer field is not declared in the trailer header: ' + name);
+    }
+  }
+};
+
+OutgoingMessage.prototype._trailerDeclaration = function _trailerDeclaration() {
+  return this.getHeader('trailer');
+};
+
+OutgoingMessage.prototype.setTimeout = IncomingMessage.prototype.setTimeout;
 
 OutgoingMessage.prototype._checkSpecialHeader = IncomingMessage.prototype._checkSpecialHeader;
 
+// Tunnel class
+// ------------
+
+// A [CONNECT](https://tools.ietf.org/html/rfc7540#section-8.3) tunnel is a duplex stream made of
+// the two halves of the exchange: data written to it is sent in the outgoing message, and the data
+// of the incoming message can be read from it. On the client side, the incoming message (the
+// response) is attached when it arrives. Ending the tunnel ends the outgoing message, which is the
+// HTTP/2 equivalent of half-closing a TCP connection.
+function Tunnel(outgoing, incoming) {
+  Duplex.call(this);
+
+  this._outgoing = outgoing;
+  this._incoming = undefined;
+  this.stream = undefined;
+
+  this.on('finish', function() {
+    outgoing.end();
+  });
+
+  if (incoming) {
+    this._attach(incoming);
+  }
+}
+Tunnel.prototype = Object.create(Duplex.prototype, { constructor: { value: Tunnel } });
+
+Tunnel.prototype._attach = function _attach(incoming) {
+  var self = this;
+  this._incoming = incoming;
+  this.stream = incoming.stream;
+
+  incoming.on('data', function(chunk) {
+    if (!self.push(chunk)) {
+      incoming.pause();
+    }
+  });
+  incoming.on('end', function() {
+    self.push(null);
+  });
+
+  // * The stream may be closed without an end, e.g. if the peer resets it with CONNECT_ERROR
+  this.stream.on('state', function(state) {
+    if (state === 'CLOSED') {
+      self.emit('close');
+    }
+  });
+};
+
+// On the server side, the outgoing message is the response, and accepting the tunnel is sending its
+// 200 headers. Does nothing if the headers have already been sent.
+Tunnel.prototype.accept = function accept(headers) {
+  this._outgoing.writeHead(200, headers);
+};
+
+Tunnel.prototype._read = function _read() {
+  if (this._incoming) {
+    this._incoming.resume();
+  }
+};
+
+Tunnel.prototype._write = function _write(chunk, encoding, callback) {
+  this._outgoing.write(chunk, encoding, callback);
+};
+
+// When an HTTP/2 stream times out, 'timeout' is emitted on the objects that represent it (the
+// request, the response, and on the server side, the server). If none of them has listeners for the
+// event, the stream is reset, like a timed out socket is destroyed by the node.js HTTP module.
+function forwardTimeout(stream, emitters) {
+  stream.on('timeout', function() {
+    var handled = false;
+    for (var i = 0; i < emitters.length; i++) {
+      handled = emitters[i].emit('timeout', stream) || handled;
+    }
+    if (!handled) {
+      stream._log.info('Stream timed out, resetting it');
+      stream.reset('CANCEL');
+    }
+  });
+}
+
 // Server side
 // ===========
 
@@ -432,8 +769,20 @@ function Server(options) {
   options = util._extend({}, options);
 
   this._log = (options.log || defaultLogger).child({ component: 'http' });
-  this._settings = options.settings;
+  // * [Extended CONNECT](https://tools.ietf.org/html/rfc8441) is enabled unless the settings
+  //   given in the options say otherwise
+  this._settings = util._extend({ SETTINGS_ENABLE_CONNECT_PROTOCOL: true }, options.settings);
+  this._endpointOptions = { scheduler: options.scheduler, keepAlive: options.keepAlive,
+                            limits: options.limits,
+                            connectionWindowSize: options.connectionWindowSize,
+                            windowTuning: options.windowTuning,
+                            manualFlowControl: options.manualFlowControl,
+                            padding: options.padding };
+  this._endpoints = [];
+  this._timeout = undefined;
+  this._idleTimeout = options.idleTimeout;
 
+  var self = this;
   var start = this._start.bind(this);
   var fallback = this._fallback.bind(this);
 
@@ -464,32 +813,60 @@ function Server(options) {
     forwardEvent('listening', this._server, this);
   }
 
-  // HTTP2 over plain TCP
+  // HTTP2 over plain TCP (with prior knowledge), or HTTP/1.1 if the client doesn't start with the
+  // HTTP/2 connection preface
   else if (options.plain) {
     this._log.info('Creating HTTP/2 server over plain TCP');
     this._mode = 'plain';
-    this._server = net.createServer(start);
+    this._server = net.createServer(this._sniff.bind(this));
+    this._httpServer = http.createServer();
+    this._httpServer.on('request', this.emit.bind(this, 'request'));
+    this._httpServer.on('clientError', this.emit.bind(this, 'clientError'));
   }
 
   // HTTP/2 with HTTP/1.1 upgrade
+  else if (options.upgrade) {
+    this._log.info('Creating HTTP/2 server with Upgrade from HTTP/1.1');
+    this._mode = 'upgrade';
+    this._server = http.createServer();
+    this._originalSocketListeners = this._server.listeners('connection');
+    this._server.on('request', this.emit.bind(this, 'request'));
+    this._server.on('upgrade', this._upgrade.bind(this));
+    this._server.on('connection', function(socket) {
+      socket._http1Listeners = http1SocketEvents.map(function(event) {
+        return socket.listeners(event);
+      });
+      self.emit('connection', socket);
+    });
+
+    forwardEvent('error', this._server, this);
+    forwardEvent('listening', this._server, this);
+  }
+
   else {
-    this._log.error('Trying to create HTTP/2 server with Upgrade from HTTP/1.1');
-    throw new Error('HTTP1.1 -> HTTP2 upgrade is not yet supported. Please provide TLS keys.');
+    this._log.error('Trying to create HTTP/2 server without TLS keys, plain or upgrade mode');
+    throw new Error('Please provide TLS keys, or use the plain or upgrade mode.');
   }
 
   this._server.on('close', this.emit.bind(this, 'close'));
+
+  if (options.timeout !== undefined) {
+    this.timeout = options.timeout;
+  }
 }
 Server.prototype = Object.create(EventEmitter.prototype, { constructor: { value: Server } });
 
 // Starting HTTP/2
 Server.prototype._start = function _start(socket) {
-  var endpoint = new Endpoint(this._log, 'SERVER', this._settings);
+  var endpoint = new Endpoint(this._log, 'SERVER', this._settings, undefined,
+                              this._endpointOptions);
 
   this._log.info({ e: endpoint,
                    client: socket.remoteAddress + ':' + socket.remotePort,
                    SNI: socket.servername
                  }, 'New incoming HTTP/2 connection');
 
+  endpoint.socket = socket;
   endpoint.pipe(socket).pipe(endpoint);
 
   var self = this;
@@ -502,13 +879,302 @@ Server.prototype._start = function _start(socket) {
     request.remotePort = socket.remotePort;
     request.connection = request.socket = response.socket = socket;
 
-    request.once('ready', self.emit.bind(self, 'request', request, response));
+    if (self._timeout) {
+      stream.setTimeout(self._timeout);
+    }
+    forwardTimeout(stream, [request, response, self]);
+
+    request.once('ready', self._onRequest.bind(self, request, response));
   });
 
+  if (this._idleTimeout) {
+    endpoint.setTimeout(this._idleTimeout);
+  }
+
   endpoint.on('error', this.emit.bind(this, 'clientError'));
+  endpoint.on('pingTimeout', function() {
+    endpoint.unpipe(socket);
+    socket.destroy();
+  });
   socket.on('error', this.emit.bind(this, 'clientError'));
 
+  this._endpoints.push(endpoint);
+  socket.on('close', function() {
+    var index = self._endpoints.indexOf(endpoint);
+    if (index !== -1) {
+      self._endpoints.splice(index, 1);
+    }
+  });
+  endpoint.on('shutdown', this.emit.bind(this, 'shutdown', endpoint));
+  if (this._shutdownOptions) {
+    endpoint.shutdown(this._shutdownOptions);
+  }
+
   this.emit('connection', socket, endpoint);
+
+  return endpoint;
+};
+
+// Requests that [expect 100-continue](https://tools.ietf.org/html/rfc7231#section-5.1.1) are
+// handed over to the 'checkContinue' listeners if there are any, like in the node.js HTTP module.
+// Otherwise the client is told to go on with sending the body right away.
+Server.prototype._onRequest = function _onRequest(request, response) {
+  if (request.protocol !== undefined) {
+    this._onExtendedConnect(request, response);
+    return;
+  }
+
+  if (request.method === 'CONNECT') {
+    this._onConnect(request, response);
+    return;
+  }
+
+  if (/^100-continue$/i.test(request.headers.expect)) {
+    if (this.listeners('checkContinue').length > 0) {
+      this.emit('checkContinue', request, response);
+      return;
+    }
+    response.writeContinue();
+  }
+
+  this.emit('request', request, response);
+};
+
+// [CONNECT requests](https://tools.ietf.org/html/rfc7540#section-8.3) are handed over to the
+// 'connect' listeners with a tunnel. The tunnel is established with `tunnel.accept()` or the first
+// write (an implicit 200 response), or refused with another status code sent using `response`. Servers that don't
+// listen for 'connect' answer with 501 (Not Implemented).
+Server.prototype._onConnect = function _onConnect(request, response) {
+  if (this.listeners('connect').length === 0) {
+    this._log.info({ authority: request.host }, 'Refusing CONNECT request without \'connect\' listeners');
+    response.writeHead(501);
+    response.end();
+    return;
+  }
+
+  this.emit('connect', request, new Tunnel(response, request), response);
+};
+
+// [Extended CONNECT requests](https://tools.ietf.org/html/rfc8441#section-4) open a tunnel that
+// carries the protocol named in `request.protocol` instead of a TCP connection.
+//
+// * WebSockets are accepted right away if there are 'websocket' listeners. They get a
+//   [WebSocket](websocket.html) running over the tunnel.
+// * Otherwise the request is handed over to the 'extendedConnect' listeners, which accept or
+//   refuse it the same way as 'connect' listeners do.
+// * Servers that listen for neither answer with 501 (Not Implemented).
+Server.prototype._onExtendedConnect = function _onExtendedConnect(request, response) {
+  if ((request.protocol === 'websocket') && (this.listeners('websocket').length > 0)) {
+    response.writeHead(200);
+    this.emit('websocket', new WebSocket(new Tunnel(response, request)), request);
+  } else if (this.listeners('extendedConnect').length > 0) {
+    this.emit('extendedConnect', request, new Tunnel(response, request), response);
+  } else {
+    this._log.info({ protocol: request.protocol }, 'Refusing extended CONNECT request without listeners');
+    response.writeHead(501);
+    response.end();
+  }
+};
+
+// [Starting HTTP/2 for "http" URIs](https://tools.ietf.org/html/rfc7540#section-3.2): the client
+// sends an HTTP/1.1 request with an `Upgrade: h2c` header and a base64url encoded SETTINGS payload
+// in the `HTTP2-Settings` header.
+//
+// * If the request is not a valid h2c upgrade, it is forwarded to the 'upgrade' listeners of the
+//   server. If there are none, the upgrade is ignored and the request is served over HTTP/1.1.
+// * The request body (if any) has to be read entirely before switching protocols. Bodies that
+//   would not fit in the initial flow control window of stream 1, and chunked bodies, are not
+//   worth waiting for: these requests are served over HTTP/1.1 as well.
+// * Then the server answers with `101 Switching Protocols`, starts HTTP/2 on the socket, applies
+//   the settings found in `HTTP2-Settings` and creates stream 1 that carries the upgraded request.
+var MAX_UPGRADE_BODY = 65535;
+
+Server.prototype._upgrade = function _upgrade(request, socket, head) {
+  var settings = parseUpgradeRequest(request);
+
+  if (!settings && (this.listeners('upgrade').length > 0)) {
+    this.emit('upgrade', request, socket, head);
+    return;
+  }
+
+  var bodyLength = parseInt(request.headers['content-length'], 10) || 0;
+  if (!settings || ('transfer-encoding' in request.headers) || (bodyLength > MAX_UPGRADE_BODY)) {
+    this._log.info({ client: socket.remoteAddress + ':' + socket.remotePort,
+                     upgrade: request.headers.upgrade }, 'Ignoring Upgrade request');
+    this._ignoreUpgrade(request, socket, head);
+    return;
+  }
+
+  var self = this;
+  var received = [];
+  var receivedLength = 0;
+
+  function collect(chunk) {
+    received.push(chunk);
+    receivedLength += chunk.length;
+  }
+
+  function onData(chunk) {
+    collect(chunk);
+    if (receivedLength >= bodyLength) {
+      socket.removeListener('data', onData);
+      socket.pause();
+      switchProtocols();
+    }
+  }
+
+  function switchProtocols() {
+    var data = Buffer.concat(received, receivedLength);
+
+    self._log.info({ client: socket.remoteAddress + ':' + socket.remotePort,
+                     method: request.method, path: request.url },
+                   'Upgrading HTTP/1.1 connection to HTTP/2');
+    socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+                 'Connection: Upgrade\r\n' +
+                 'Upgrade: h2c\r\n\r\n');
+
+    // * Frames that arrived together with the request can only be processed after stream 1 exists
+    var endpoint = self._start(socket);
+    endpoint.applySettings(settings);
+    endpoint.createUpgradedStream(upgradedRequestHeaders(request), data.slice(0, bodyLength));
+    if (data.length > bodyLength) {
+      endpoint.write(data.slice(bodyLength));
+    }
+  }
+
+  // * Depending on the node.js version, the body may have been parsed into `request` already, it
+  //   may be at the beginning of `head`, or it may have not arrived yet.
+  var chunk;
+  while ((chunk = request.read()) !== null) {
+    collect(chunk);
+  }
+  collect(head);
+  if (receivedLength >= bodyLength) {
+    switchProtocols();
+  } else {
+    socket.on('data', onData);
+  }
+};
+
+// The HTTP/1.1 server has already handed the socket over as an upgraded connection, so ignoring
+// the upgrade means parsing the request again: the request head is rebuilt without the upgrade
+// related headers, put back into the socket along with the rest of the received data, and the
+// socket is given to the HTTP/1.1 server as if it was a new connection.
+//
+// * Older node.js versions parse the body into `request` before emitting 'upgrade'. Such a body
+//   is decoded already, so it is put back with a Content-Length header of its own.
+// * The listeners the server has set up on the socket the first time are removed so that they are
+//   not called twice.
+// * The socket is handed over after the parser that emitted 'upgrade' has returned, since the new
+//   connection may get the same parser object.
+var http1SocketEvents = ['error', 'timeout', 'resume', 'pause'];
+var upgradeHeaders = ['upgrade', 'http2-settings'];
+
+Server.prototype._ignoreUpgrade = function _ignoreUpgrade(request, socket, head) {
+  var body = [];
+  var chunk;
+  while ((chunk = request.read()) !== null) {
+    body.push(chunk);
+  }
+  body = Buffer.concat(body);
+
+  var lines = [request.method + ' ' + request.url + ' HTTP/' + request.httpVersion];
+  for (var i = 0; i < request.rawHeaders.length; i += 2) {
+    var name = request.rawHeaders[i];
+    var value = request.rawHeaders[i + 1];
+    var key = name.toLowerCase();
+    if (key === 'connection') {
+      value = value.split(',').map(trim).filter(function(option) {
+        return upgradeHeaders.indexOf(option.toLowerCase()) === -1;
+      }).join(', ');
+    } else if ((upgradeHeaders.indexOf(key) !== -1) || ((body.length > 0) &&
+               ((key === 'content-length') || (key === 'transfer-encoding')))) {
+      continue;
+    }
+    if (value !== '') {
+      lines.push(name + ': ' + value);
+    }
+  }
+  if (body.length > 0) {
+    lines.push('Content-Length: ' + body.length);
+  }
+  var data = Buffer.concat([new Buffer(lines.join('\r\n') + '\r\n\r\n', 'binary'), body, head]);
+
+  var listeners = socket._http1Listeners || [];
+  listeners.forEach(function(eventListeners, index) {
+    eventListeners.forEach(function(listener) {
+      socket.removeListener(http1SocketEvents[index], listener);
+    });
+  });
+
+  var self = this;
+  setImmediate(function() {
+    socket.unshift(data);
+    for (var i = 0; i < self._originalSocketListeners.length; i++) {
+      self._originalSocketListeners[i].call(self._server, socket);
+    }
+    socket.resume();
+  });
+};
+
+// Telling apart HTTP/2 with prior knowledge and HTTP/1.1 on plain TCP: the first bytes of the
+// connection are compared with the [client connection preface][1]. The bytes read are put back
+// into the socket before handing it over to the Endpoint or to the HTTP/1.1 server. Clients that
+// don't send enough bytes to decide are disconnected after `idleTimeout` milliseconds (or
+// `SNIFF_TIMEOUT` if it is not set).
+// [1]: https://tools.ietf.org/html/rfc7540#section-3.5
+var SNIFF_TIMEOUT = 10000;
+
+Server.prototype._sniff = function _sniff(socket) {
+  var self = this;
+  var received = new Buffer(0);
+
+  function onError(error) {
+    self.emit('clientError', error);
+  }
+
+  function onTimeout() {
+    self._log.info({ client: socket.remoteAddress + ':' + socket.remotePort },
+                   'Closing connection that sent no request');
+    socket.destroy();
+  }
+
+  function onData(chunk) {
+    received = Buffer.concat([received, chunk]);
+    var length = Math.min(received.length, CLIENT_PRELUDE.length);
+    var matches = received.slice(0, length).equals(CLIENT_PRELUDE.slice(0, length));
+    if (matches && (received.length < CLIENT_PRELUDE.length)) {
+      return;
+    }
+
+    socket.removeListener('data', onData);
+    socket.removeListener('error', onError);
+    socket.removeListener('timeout', onTimeout);
+    socket.setTimeout(0);
+    socket.pause();
+    socket.unshift(received);
+
+    if (matches) {
+      self._start(socket);
+    } else {
+      self._fallbackPlain(socket);
+    }
+  }
+
+  socket.on('data', onData);
+  socket.on('error', onError);
+  socket.on('timeout', onTimeout);
+  socket.setTimeout(this._idleTimeout || SNIFF_TIMEOUT);
+};
+
+Server.prototype._fallbackPlain = function _fallbackPlain(socket) {
+  this._log.info({ client: socket.remoteAddress + ':' + socket.remotePort },
+                 'Falling back to simple HTTP');
+
+  this._httpServer.emit('connection', socket);
+  socket.resume();
+
+  this.emit('connection', socket);
 };
 
 Server.prototype._fallback = function _fallback(socket) {
@@ -537,40 +1203,80 @@ Server.prototype.listen = function listen(port, hostname) {
   return this._server;
 };
 
-Server.prototype.close = function close(callback) {
-  this._log.info('Closing server');
+Server.prototype.getConnectionStats = function getConnectionStats() {
+  return this._endpoints.map(function(endpoint) {
+    return {
+      remoteAddress: endpoint.socket.remoteAddress,
+      remotePort: endpoint.socket.remotePort,
+      smoothedRtt: endpoint.smoothedRtt,
+      minRtt: endpoint.minRtt,
+      counters: endpoint.getCounters()
+    };
+  });
+};
+
+// The new window size applies to the current connections and to the ones accepted later.
+Server.prototype.setConnectionWindowSize = function setConnectionWindowSize(size) {
+  this._endpointOptions.connectionWindowSize = size;
+  this._endpoints.forEach(function(endpoint) {
+    endpoint.setConnectionWindowSize(size);
+  });
+};
+
+Server.prototype.close = function close(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  this._shutdownOptions = { timeout: (options || {}).timeout };
+
+  this._log.info({ connections: this._endpoints.length }, 'Closing server');
   this._server.close(callback);
+  this._endpoints.forEach(function(endpoint) {
+    endpoint.shutdown(this._shutdownOptions);
+  }, this);
 };
 
+// The timeout applies to HTTP/2 streams, and to the sockets of the backing HTTP/1 server.
 Server.prototype.setTimeout = function setTimeout(timeout, callback) {
-  if (this._mode === 'tls') {
-    this._server.setTimeout(timeout, callback);
+  this._timeout = timeout;
+  this._http1Server().setTimeout(timeout, callback);
+  if (callback) {
+    EventEmitter.prototype.on.call(this, 'timeout', callback);
   }
 };
 
 Object.defineProperty(Server.prototype, 'timeout', {
   get: function getTimeout() {
-    if (this._mode === 'tls') {
-      return this._server.timeout;
-    } else {
-      return undefined;
+    if (this._timeout !== undefined) {
+      return this._timeout;
     }
+    // * Until it's set, this is the default timeout of the HTTP/1 server (if there's one)
+    var http1Server = this._http1Server();
+    return http1Server && http1Server.timeout;
   },
   set: function setTimeout(timeout) {
-    if (this._mode === 'tls') {
-      this._server.timeout = timeout;
-    }
+    this._timeout = timeout;
+    this._http1Server().timeout = timeout;
   }
 });
 
+Server.prototype._http1Server = function _http1Server() {
+  return (this._mode === 'plain') ? this._httpServer : this._server;
+};
+
 // Overriding `EventEmitter`'s `on(event, listener)` method to forward certain subscriptions to
 // `server`.There are events on the `http.Server` class where it makes difference whether someone is
 // listening on the event or not. In these cases, we can not simply forward the events from the
-// `server` to `this` since that means a listener. Instead, we forward the subscriptions.
+// `server` to `this` since that means a listener. Instead, we forward the subscriptions. 'timeout'
+// listeners are subscribed on both, since HTTP/2 streams time out too.
 Server.prototype.on = function on(event, listener) {
-  if ((event === 'upgrade') || (event === 'timeout')) {
-    return this._server.on(event, listener && listener.bind(this));
+  if ((event === 'upgrade') && (this._mode !== 'upgrade')) {
+    return this._http1Server().on(event, listener && listener.bind(this));
   } else {
+    if ((event === 'timeout') || (event === 'checkContinue')) {
+      this._http1Server().on(event, listener && listener.bind(this));
+    }
     return EventEmitter.prototype.on.call(this, event, listener);
   }
 };
@@ -636,13 +1342,84 @@ exports.raw.createServer = createServerRaw;
 exports.raw.request = requestRaw;
 exports.raw.get = getRaw;
 
-// Exposed main interfaces for HTTP plaintext upgrade connections (not implemented)
-function notImplemented() {
-    throw new Error('HTTP UPGRADE is not implemented!');
+function createServerUpgrade(options, requestListener) {
+  if (typeof options === 'function') {
+    requestListener = options;
+    options = {};
+  }
+
+  if (options.pfx || (options.key && options.cert)) {
+    throw new Error('options.pfx, options.key, and options.cert are nonsensical!');
+  }
+
+  options.plain = false;
+  options.upgrade = true;
+  var server = new Server(options);
+
+  if (requestListener) {
+    server.on('request', requestListener);
+  }
+
+  return server;
 }
 
+// Exposed main interfaces for HTTP plaintext upgrade connections
 exports.http = {};
-exports.http.createServer = exports.http.request = exports.http.get = notImplemented;
+exports.http.createServer = createServerUpgrade;
+exports.http.request = requestUpgrade;
+exports.http.get = getUpgrade;
+
+// Upgrade from HTTP/1.1
+// ---------------------
+
+// The `HTTP2-Settings` header contains the payload of a SETTINGS frame encoded as a base64url
+// string (without padding).
+function encodeHttp2Settings(settings) {
+  var buffers = [];
+  framer.Serializer.SETTINGS({ settings: settings || {} }, buffers);
+  return buffers[0].toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeHttp2Settings(value) {
+  var buffer = new Buffer(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  var frame = { flags: {} };
+  var error = framer.Deserializer.SETTINGS(buffer, frame, 'SERVER');
+  return error ? undefined : frame.settings;
+}
+
+// Returns the settings sent by the client if `request` is a valid h2c upgrade request. A server
+// MUST NOT upgrade the connection if `HTTP2-Settings` is not present, or if more than one is
+// present (node.js joins repeated headers with a comma, which is not a base64url character).
+function parseUpgradeRequest(request) {
+  var upgrade = (request.headers.upgrade || '').toLowerCase().split(',').map(trim);
+  var http2Settings = request.headers['http2-settings'];
+  if ((upgrade.indexOf('h2c') === -1) || (typeof http2Settings !== 'string') ||
+      (http2Settings.indexOf(',') !== -1)) {
+    return undefined;
+  }
+  return decodeHttp2Settings(http2Settings.trim());
+}
+
+// The HTTP/2 headers of an upgraded request are generated from the HTTP/1.1 request line and
+// headers, leaving out the connection specific headers.
+function upgradedRequestHeaders(request) {
+  var headers = {
+    ':method': request.method,
+    ':scheme': 'http',
+    ':authority': request.headers.host,
+    ':path': request.url
+  };
+  for (var name in request.headers) {
+    if ((deprecatedHeaders.indexOf(name) === -1) && (name !== 'http2-settings')) {
+      headers[name] = request.headers[name];
+    }
+  }
+  return headers;
+}
+
+function trim(string) {
+  return string.trim();
+}
 
 // IncomingRequest class
 // ---------------------
@@ -667,6 +1444,27 @@ IncomingRequest.prototype._onHeaders = function _onHeaders(headers) {
   // * All HTTP/2.0 requests MUST include exactly one valid value for all of these header fields. A
   //   server MUST treat the absence of any of these header fields, presence of multiple values, or
   //   an invalid value as a stream error of type PROTOCOL_ERROR.
+  // * CONNECT requests only have ":method" and ":authority", the authority of the tunnel endpoint
+  //   (see `_onConnectHeaders`)
+  // * [Extended CONNECT](https://tools.ietf.org/html/rfc8441#section-4) requests carry a
+  //   ":protocol" header field and all the usual ones. ":protocol" is only allowed in CONNECT
+  //   requests, and only if we have enabled them with SETTINGS_ENABLE_CONNECT_PROTOCOL.
+  if (':protocol' in headers) {
+    var localSettings = this.stream.connection._localSettings;
+    if ((headers[':method'] !== 'CONNECT') || !localSettings.SETTINGS_ENABLE_CONNECT_PROTOCOL) {
+      this._log.error({ headers: headers }, 'Unexpected :protocol header field');
+      this.stream.reset('PROTOCOL_ERROR');
+      return;
+    }
+    this.protocol = this._checkSpecialHeader(':protocol', headers[':protocol']);
+    if (!this.protocol) {
+      return;
+    }
+  } else if (headers[':method'] === 'CONNECT') {
+    this._onConnectHeaders(headers);
+    return;
+  }
+
   this.method = this._checkSpecialHeader(':method'   , headers[':method']);
   this.scheme = this._checkSpecialHeader(':scheme'   , headers[':scheme']);
   this.host   = this._checkSpecialHeader(':authority', headers[':authority']  );
@@ -679,12 +1477,42 @@ IncomingRequest.prototype._onHeaders = function _onHeaders(headers) {
   // * Host header is included in the headers object for backwards compatibility.
   this.headers.host = this.host;
 
+  // * The [extensible priority](https://www.rfc-editor.org/rfc/rfc9218#section-4) of the request
+  //   is parsed from the `priority` header by the stream.
+  this.urgency = this.stream.urgency;
+  this.incremental = !!this.stream.incremental;
+
   // * Handling regular headers.
   IncomingMessage.prototype._onHeaders.call(this, headers);
 
   // * Signaling that the headers arrived.
   this._log.info({ method: this.method, scheme: this.scheme, host: this.host,
-                   path: this.url, headers: this.headers }, 'Incoming request');
+                   path: this.url, protocol: this.protocol, headers: this.headers }, 'Incoming request');
+  this.emit('ready');
+};
+
+// [The CONNECT method](https://tools.ietf.org/html/rfc7540#section-8.3): the ":scheme" and ":path"
+// header fields MUST be omitted, and ":authority" contains the host and port to connect to. A
+// CONNECT request that does not conform to these restrictions is malformed. Like in the node.js
+// HTTP module, `url` is the authority too.
+IncomingRequest.prototype._onConnectHeaders = function _onConnectHeaders(headers) {
+  this.method = 'CONNECT';
+  this.host = this._checkSpecialHeader(':authority', headers[':authority']);
+  if (!this.host) {
+    return;
+  }
+  if ((':scheme' in headers) || (':path' in headers)) {
+    this._log.error({ headers: headers }, 'Malformed CONNECT request');
+    this.stream.reset('PROTOCOL_ERROR');
+    return;
+  }
+  this.url = this.host;
+  this.headers.host = this.host;
+
+  IncomingMessage.prototype._onHeaders.call(this, headers);
+
+  this._log.info({ method: this.method, authority: this.host, headers: this.headers },
+                 'Incoming CONNECT request');
   this.emit('ready');
 };
 
@@ -726,12 +1554,46 @@ OutgoingResponse.prototype.writeHead = function writeHead(statusCode, reasonPhra
 
   this._log.info({ status: statusCode, headers: this._headers }, 'Sending server response');
 
+  if (this._trailers) {
+    this._checkTrailers(this._trailers);
+  }
+
   headers[':status'] = this.statusCode = statusCode;
 
   this.stream.headers(headers);
   this.headersSent = true;
 };
 
+// [Informational responses](https://tools.ietf.org/html/rfc7540#section-8.1) are sent in header
+// blocks of their own before the final response. They don't change `headersSent`.
+OutgoingResponse.prototype._writeInformational = function _writeInformational(statusCode, headers) {
+  if (this.headersSent) {
+    this._log.warn({ status: statusCode }, 'Informational response after the final response is ignored');
+    return;
+  }
+
+  headers = util._extend({}, headers);
+  headers[':status'] = statusCode;
+
+  this._log.info({ status: statusCode, headers: headers }, 'Sending informational response');
+  this.stream.headers(headers);
+};
+
+OutgoingResponse.prototype.writeContinue = function writeContinue() {
+  this._writeInformational(100);
+};
+
+OutgoingResponse.prototype.writeEarlyHints = function writeEarlyHints(hints, callback) {
+  var headers = {};
+  for (var name in hints) {
+    headers[name.toLowerCase()] = hints[name];
+  }
+  this._writeInformational(103, headers);
+  if (callback) {
+    process.nextTick(callback);
+  }
+};
+
 OutgoingResponse.prototype._implicitHeaders = function _implicitHeaders() {
   if (!this.headersSent) {
     this.writeHead(this.statusCode);
@@ -807,6 +1669,7 @@ exports.OutgoingRequest = OutgoingRequest;
 exports.IncomingResponse = IncomingResponse;
 exports.Agent = Agent;
 exports.globalAgent = undefined;
+exports.UnprocessedRequestError = UnprocessedRequestError;
 
 function requestRaw(options, callback) {
   if (typeof options === "string") {
@@ -840,6 +1703,23 @@ function requestTLS(options, callback) {
   return exports.globalAgent.request(options, callback);
 }
 
+function requestUpgrade(options, callback) {
+  if (typeof options === "string") {
+    options = url.parse(options);
+  }
+  options.plain = false;
+  if (options.protocol && options.protocol !== "http:") {
+    throw new Error('This interface only supports http-schemed URLs');
+  }
+  options.protocol = 'http:';
+  if (options.agent && typeof(options.agent.request) === 'function') {
+    var agentOptions = util._extend({}, options);
+    delete agentOptions.agent;
+    return options.agent.request(agentOptions, callback);
+  }
+  return exports.globalAgent.request(options, callback);
+}
+
 function getRaw(options, callback) {
   if (typeof options === "string") {
     options = url.parse(options);
@@ -856,6 +1736,23 @@ function getRaw(options, callback) {
   return exports.globalAgent.get(options, callback);
 }
 
+function getUpgrade(options, callback) {
+  if (typeof options === "string") {
+    options = url.parse(options);
+  }
+  options.plain = false;
+  if (options.protocol && options.protocol !== "http:") {
+    throw new Error('This interface only supports http-schemed URLs');
+  }
+  options.protocol = 'http:';
+  if (options.agent && typeof(options.agent.get) === 'function') {
+    var agentOptions = util._extend({}, options);
+    delete agentOptions.agent;
+    return options.agent.get(agentOptions, callback);
+  }
+  return exports.globalAgent.get(options, callback);
+}
+
 function getTLS(options, callback) {
   if (typeof options === "string") {
     options = url.parse(options);
@@ -882,8 +1779,22 @@ function Agent(options) {
   options = util._extend({}, options);
 
   this._settings = options.settings;
+  this._endpointOptions = { scheduler: options.scheduler, keepAlive: options.keepAlive,
+                            limits: options.limits,
+                            connectionWindowSize: options.connectionWindowSize,
+                            windowTuning: options.windowTuning,
+                            manualFlowControl: options.manualFlowControl,
+                            padding: options.padding };
   this._log = (options.log || defaultLogger).child({ component: 'http' });
+
+  // * HTTP/2 connections are pooled per host: `_pools[key]` is the list of connections to the
+  //   host identified by `key`, and `endpoints[key]` is the first of them. A new connection is
+  //   opened when the existing ones have no free stream slots, up to `maxSessionsPerOrigin`
+  //   connections. Connections without streams are closed after `idleTimeout` milliseconds.
   this.endpoints = {};
+  this._pools = {};
+  this._maxSessionsPerOrigin = options.maxSessionsPerOrigin || 1;
+  this._idleTimeout = options.idleTimeout;
 
   // * Using an own HTTPS agent, because the global agent does not look at `NPN/ALPNProtocols` when
   //   generating the key identifying the connection, so we may get useless non-negotiated TLS
@@ -893,6 +1804,12 @@ function Agent(options) {
   options.NPNProtocols = supportedProtocols;
   this._httpsAgent = new https.Agent(options);
 
+  // * HTTP/1 requests to "http" URIs (including the ones that offer an upgrade to h2c) go through a
+  //   separate HTTP agent. `_upgrades` tracks the hosts that an upgrade is in progress with
+  //   (`'pending'`) or that have answered an upgrade offer with HTTP/1 (`'refused'`).
+  this._httpAgent = new http.Agent(options);
+  this._upgrades = {};
+
   this.sockets = this._httpsAgent.sockets;
   this.requests = this._httpsAgent.requests;
 }
@@ -908,20 +1825,24 @@ Agent.prototype.request = function request(options, callback) {
   options.method = (options.method || 'GET').toUpperCase();
   options.protocol = options.protocol || 'https:';
   options.host = options.hostname || options.host || 'localhost';
-  options.port = options.port || 443;
+  options.port = options.port || ((options.protocol === 'http:') ? 80 : 443);
   options.path = options.path || '/';
 
-  if (!options.plain && options.protocol === 'http:') {
-    this._log.error('Trying to negotiate client request with Upgrade from HTTP/1.1');
-    this.emit('error', new Error('HTTP1.1 -> HTTP2 upgrade is not yet supported.'));
-  }
-
   var request = new OutgoingRequest(this._log);
+  request._agent = this;
+  request.options = options;
 
   if (callback) {
     request.on('response', callback);
   }
 
+  this._startRequest(request, options);
+
+  return request;
+};
+
+// Sending `request` over an existing HTTP/2 connection to the host, or over a new one
+Agent.prototype._startRequest = function _startRequest(request, options) {
   var key = [
     !!options.plain,
     options.host,
@@ -929,15 +1850,16 @@ Agent.prototype.request = function request(options, callback) {
   ].join(':');
   var self = this;
 
-  // * There's an existing HTTP/2 connection to this host
-  if (key in this.endpoints) {
-    var endpoint = this.endpoints[key];
-    request._start(endpoint.createStream(), options);
+  // * There's an existing HTTP/2 connection to this host that can take the request
+  var endpoint = this._selectEndpoint(key);
+  if (endpoint) {
+    this._startOnEndpoint(request, endpoint, options);
   }
 
   // * HTTP/2 over plain TCP
   else if (options.plain) {
-    endpoint = new Endpoint(this._log, 'CLIENT', this._settings);
+    endpoint = new Endpoint(this._log, 'CLIENT', this._settings, undefined,
+                            this._endpointOptions);
     endpoint.socket = net.connect({
       host: options.host,
       port: options.port,
@@ -954,9 +1876,101 @@ Agent.prototype.request = function request(options, callback) {
       request.emit('error', error);
     });
 
-    this.endpoints[key] = endpoint;
+    this._addEndpoint(key, endpoint);
     endpoint.pipe(endpoint.socket).pipe(endpoint);
-    request._start(endpoint.createStream(), options);
+    this._startOnEndpoint(request, endpoint, options);
+  }
+
+  // * HTTP/2 over plain TCP negotiated using the HTTP/1.1 Upgrade mechanism, or fallback to HTTP1
+  else if (options.protocol === 'http:') {
+    if (options.agent == null) {
+      options.agent = this._httpAgent;
+    }
+
+    // ** The host is known to ignore upgrade offers: plain HTTP1 request
+    if (this._upgrades[key] === 'refused') {
+      request._fallback(http.request(options));
+    }
+
+    // ** An upgrade is already in progress: waiting for its outcome
+    else if (this._upgrades[key] === 'pending') {
+      this.once(key, function(endpoint) {
+        if (endpoint) {
+          request._emitHeaderListError(function() {
+            self._startOnEndpoint(request, endpoint, options);
+          });
+        } else {
+          request._fallback(http.request(options));
+        }
+      });
+    }
+
+    // ** Sending the request over HTTP1 with an offer to upgrade the connection
+    else {
+      this._upgrades[key] = 'pending';
+
+      var upgradeOptions = util._extend({}, options);
+      upgradeOptions.headers = util._extend({}, options.headers);
+      upgradeOptions.headers.connection = 'Upgrade, HTTP2-Settings';
+      upgradeOptions.headers.upgrade = 'h2c';
+      upgradeOptions.headers['http2-settings'] = encodeHttp2Settings(this._settings);
+      var httpRequest = http.request(upgradeOptions);
+      request._fallback(httpRequest);
+
+      httpRequest.on('error', function(error) {
+        self._log.error('Socket error: ' + error.toString());
+        delete self._upgrades[key];
+        self.emit(key, undefined);
+        request.emit('error', error);
+      });
+
+      // *** The server ignored the offer and sent an HTTP1 response
+      httpRequest.on('response', function() {
+        self._log.info({ server: options.host + ':' + options.port },
+                       'Upgrade to HTTP/2 was refused, staying on HTTP/1');
+        self._upgrades[key] = 'refused';
+        self.emit(key, undefined);
+      });
+
+      // *** The server switched to HTTP/2: the response arrives on stream 1
+      httpRequest.on('upgrade', function(response, socket, head) {
+        delete self._upgrades[key];
+        if ((response.headers.upgrade || '').toLowerCase() !== 'h2c') {
+          socket.destroy();
+          self.emit(key, undefined);
+          request.emit('error', new Error('Server switched to an unexpected protocol: ' +
+                                          response.headers.upgrade));
+          return;
+        }
+
+        var endpoint = new Endpoint(self._log, 'CLIENT', self._settings, undefined,
+                                    self._endpointOptions);
+        endpoint.socket = socket;
+
+        endpoint.socket.on('error', function (error) {
+          self._log.error('Socket error: ' + error.toString());
+          request.emit('error', error);
+        });
+
+        endpoint.on('error', function(error){
+          self._log.error('Connection error: ' + error.toString());
+          request.emit('error', error);
+        });
+
+        self._log.info({ e: endpoint, server: options.host + ':' + options.port },
+                       'New outgoing HTTP/2 connection (upgraded from HTTP/1.1)');
+        self._addEndpoint(key, endpoint);
+
+        // **** Stream 1 has to exist (and the response has to listen on it) before the first frames
+        //      sent by the server are processed
+        request._upgraded(self._trackStream(endpoint, endpoint.createUpgradedStream()));
+        if (head && head.length > 0) {
+          endpoint.write(head);
+        }
+        endpoint.pipe(endpoint.socket).pipe(endpoint);
+        self.emit(key, endpoint);
+      });
+    }
   }
 
   // * HTTP/2 over TLS negotiated using NPN or ALPN, or fallback to HTTPS1
@@ -972,7 +1986,20 @@ Agent.prototype.request = function request(options, callback) {
     } else if (options.agent == null) {
       options.agent = this._httpsAgent;
     }
-    var httpsRequest = https.request(options);
+
+    // ** With an Expect header, the HTTPS module would send the request headers before the protocol
+    //    is negotiated, so the header is only set if the request falls back to HTTPS1
+    var httpsOptions = util._extend({}, options);
+    var expect;
+    httpsOptions.headers = {};
+    for (var name in options.headers) {
+      if (name.toLowerCase() === 'expect') {
+        expect = options.headers[name];
+      } else {
+        httpsOptions.headers[name] = options.headers[name];
+      }
+    }
+    var httpsRequest = https.request(httpsOptions);
 
     httpsRequest.on('error', function (error) {
       self._log.error('Socket error: ' + error.toString());
@@ -995,22 +2022,29 @@ Agent.prototype.request = function request(options, callback) {
       if (negotiatedProtocol === protocol.VERSION) {
         httpsRequest.socket.emit('agentRemove');
         unbundleSocket(httpsRequest.socket);
-        endpoint = new Endpoint(self._log, 'CLIENT', self._settings);
+        endpoint = new Endpoint(self._log, 'CLIENT', self._settings, undefined,
+                                self._endpointOptions);
         endpoint.socket = httpsRequest.socket;
         endpoint.pipe(endpoint.socket).pipe(endpoint);
       }
       if (started) {
         // ** In the meantime, an other connection was made to the same host...
         if (endpoint) {
-          // *** and it turned out to be HTTP2 and the request was multiplexed on that one, so we should close this one
-          endpoint.close();
+          // *** and it turned out to be HTTP2 and the request was multiplexed on that one, so this
+          //     one is kept for later requests if the pool has room for it, or closed otherwise
+          var pool = self._pools[key] || [];
+          if (pool.length < self._maxSessionsPerOrigin) {
+            self._addEndpoint(key, endpoint);
+          } else {
+            endpoint.close();
+          }
         }
         // *** otherwise, the fallback to HTTPS1 is already done.
       } else {
         if (endpoint) {
           self._log.info({ e: endpoint, server: options.host + ':' + options.port },
                          'New outgoing HTTP/2 connection');
-          self.endpoints[key] = endpoint;
+          self._addEndpoint(key, endpoint);
           self.emit(key, endpoint);
         } else {
           self.emit(key, undefined);
@@ -1021,14 +2055,329 @@ Agent.prototype.request = function request(options, callback) {
     this.once(key, function(endpoint) {
       started = true;
       if (endpoint) {
-        request._start(endpoint.createStream(), options);
+        self._startOnEndpoint(request, endpoint, options);
       } else {
+        if (expect !== undefined) {
+          httpsRequest.setHeader('expect', expect);
+        }
         request._fallback(httpsRequest);
       }
     });
   }
+};
 
-  return request;
+// Selecting the connection for a new request to `key`:
+//
+// * the first connection that has a free stream slot (the stream limit is only known after the
+//   first SETTINGS frame of the server, so the first connection takes all requests until then)
+// * or nothing, if a new connection can be opened
+// * or the connection with the shortest queue, if the pool is full. The request waits in the queue
+//   of the connection until a stream slot is freed.
+//
+// Connections that have received a GOAWAY are removed first. The connection refuses its unprocessed
+// streams before the 'goaway' event of the endpoint, so the replayed requests arrive here while the
+// connection is still in the pool.
+Agent.prototype._selectEndpoint = function _selectEndpoint(key) {
+  (this._pools[key] || []).filter(function(endpoint) {
+    return endpoint._connection._goawayReceived !== undefined;
+  }).forEach(this._removeEndpoint, this);
+
+  var pool = this._pools[key] || [];
+  var shortest, shortestQueue = Infinity;
+  for (var i = 0; i < pool.length; i++) {
+    var queue = pool[i]._pool.streams.length - pool[i].getStreamLimit();
+    if (queue < 0) {
+      return pool[i];
+    } else if (queue < shortestQueue) {
+      shortest = pool[i];
+      shortestQueue = queue;
+    }
+  }
+  return (pool.length < this._maxSessionsPerOrigin) ? undefined : shortest;
+};
+
+// Endpoints are removed from the pool when the server asks for not initiating new streams with a
+// GOAWAY frame, when the connection is lost (or does not answer keepalive PINGs), or when it was
+// idle for `idleTimeout` milliseconds.
+// `endpoint._pool` holds the bookkeeping of the pool: the streams of the requests sent on the
+// connection that are not closed yet, and the idle timer.
+Agent.prototype._addEndpoint = function _addEndpoint(key, endpoint) {
+  endpoint._pool = { key: key, streams: [], idleTimer: undefined, removed: false };
+
+  this._pools[key] = this._pools[key] || [];
+  this._pools[key].push(endpoint);
+  this.endpoints[key] = this._pools[key][0];
+  endpoint.on('goaway', this._removeEndpoint.bind(this, endpoint));
+  endpoint.socket.on('close', this._removeEndpoint.bind(this, endpoint));
+  endpoint.on('pingTimeout', function() {
+    this._removeEndpoint(endpoint);
+    endpoint.unpipe(endpoint.socket);
+    endpoint.socket.destroy();
+  }.bind(this));
+  this._updateIdleTimer(endpoint);
+};
+
+Agent.prototype._removeEndpoint = function _removeEndpoint(endpoint) {
+  var key = endpoint._pool.key;
+  if (endpoint._pool.removed) {
+    return;
+  }
+  endpoint._pool.removed = true;
+  clearTimeout(endpoint._pool.idleTimer);
+
+  this._log.debug({ e: endpoint }, 'Removing HTTP/2 connection from the pool');
+  var pool = this._pools[key];
+  pool.splice(pool.indexOf(endpoint), 1);
+  if (pool.length === 0) {
+    delete this._pools[key];
+    delete this.endpoints[key];
+  } else {
+    this.endpoints[key] = pool[0];
+  }
+};
+
+// Starting `request` on a new stream of `endpoint`. Extended CONNECT requests may only be sent if
+// the server has enabled them with SETTINGS_ENABLE_CONNECT_PROTOCOL, so on new connections they
+// wait for the first SETTINGS frame of the server.
+Agent.prototype._startOnEndpoint = function _startOnEndpoint(request, endpoint, options) {
+  var settings = endpoint._connection._remoteSettings;
+
+  if (options.connectProtocol === undefined) {
+    this._startStream(request, endpoint, options);
+  } else if (settings === undefined) {
+    this._waitForSettings(request, endpoint, options);
+  } else if (!settings.SETTINGS_ENABLE_CONNECT_PROTOCOL) {
+    var error = new Error('The server does not support extended CONNECT');
+    error.code = 'CONNECT_PROTOCOL_NOT_ENABLED';
+    request.emit('error', error);
+  } else {
+    this._startStream(request, endpoint, options);
+  }
+};
+
+// If the connection fails or is closed before the SETTINGS arrive, an Error with the
+// `'CONNECTION_CLOSED'` code is emitted on the request.
+Agent.prototype._waitForSettings = function _waitForSettings(request, endpoint, options) {
+  var self = this;
+
+  function onSettings() {
+    cleanup();
+    request._emitHeaderListError(function() {
+      self._startOnEndpoint(request, endpoint, options);
+    });
+  }
+  function onClose() {
+    cleanup();
+    var error = new Error('The connection was closed before the server sent its SETTINGS');
+    error.code = 'CONNECTION_CLOSED';
+    request.emit('error', error);
+  }
+  function cleanup() {
+    endpoint._connection.removeListener('remoteSettings', onSettings);
+    endpoint.removeListener('error', onClose);
+    endpoint.removeListener('goaway', onClose);
+    endpoint.socket.removeListener('close', onClose);
+  }
+
+  endpoint._connection.on('remoteSettings', onSettings);
+  endpoint.on('error', onClose);
+  endpoint.on('goaway', onClose);
+  endpoint.socket.on('close', onClose);
+};
+
+// If the request can not be started (its headers are too large for the server), the unused stream
+// gives back its place in the pool.
+Agent.prototype._startStream = function _startStream(request, endpoint, options) {
+  var stream = this._createStream(endpoint);
+  try {
+    request._start(stream, options);
+  } catch (error) {
+    this._releaseStream(endpoint, stream);
+    throw error;
+  }
+};
+
+Agent.prototype._createStream = function _createStream(endpoint) {
+  return this._trackStream(endpoint, endpoint.createStream());
+};
+
+// A stream occupies a place in the pool until it's closed, or refused by the server.
+Agent.prototype._trackStream = function _trackStream(endpoint, stream) {
+  var release = this._releaseStream.bind(this, endpoint, stream);
+
+  endpoint._pool.streams.push(stream);
+  this._updateIdleTimer(endpoint);
+  stream.on('state', function(state) {
+    if (state === 'CLOSED') {
+      release();
+    }
+  });
+  stream.on('refused', release);
+
+  return stream;
+};
+
+Agent.prototype._releaseStream = function _releaseStream(endpoint, stream) {
+  var streams = endpoint._pool.streams;
+  var index = streams.indexOf(stream);
+  if (index !== -1) {
+    streams.splice(index, 1);
+    this._updateIdleTimer(endpoint);
+  }
+};
+
+Agent.prototype._updateIdleTimer = function _updateIdleTimer(endpoint) {
+  var self = this;
+  var pool = endpoint._pool;
+
+  clearTimeout(pool.idleTimer);
+  pool.idleTimer = undefined;
+  if ((this._idleTimeout !== undefined) && !pool.removed && (pool.streams.length === 0)) {
+    pool.idleTimer = setTimeout(function() {
+      self._log.info({ e: endpoint }, 'Closing idle HTTP/2 connection');
+      self._removeEndpoint(endpoint);
+      endpoint.close();
+    }, this._idleTimeout);
+  }
+};
+
+// The statistics of the pool, per host
+Agent.prototype.getPoolStats = function getPoolStats() {
+  var stats = {};
+  for (var key in this._pools) {
+    var hostStats = stats[key] = {
+      sessions: 0,
+      idleSessions: 0,
+      activeStreams: 0,
+      pendingStreams: 0,
+      smoothedRtt: undefined,
+      minRtt: undefined
+    };
+    var rtts = [];
+    this._pools[key].forEach(function(endpoint) {
+      var streams = endpoint._pool.streams;
+      if (endpoint.smoothedRtt !== undefined) {
+        rtts.push(endpoint.smoothedRtt);
+        hostStats.minRtt = Math.min(endpoint.minRtt,
+                                    (hostStats.minRtt !== undefined) ? hostStats.minRtt : Infinity);
+      }
+      hostStats.sessions += 1;
+      if (streams.length === 0) {
+        hostStats.idleSessions += 1;
+      }
+      streams.forEach(function(stream) {
+        if (stream.id === undefined) {
+          hostStats.pendingStreams += 1;
+        } else {
+          hostStats.activeStreams += 1;
+        }
+      });
+    });
+    if (rtts.length > 0) {
+      hostStats.smoothedRtt = rtts.reduce(function(sum, rtt) {
+        return sum + rtt;
+      }) / rtts.length;
+    }
+  }
+  return stats;
+};
+
+Agent.prototype.setConnectionWindowSize = function setConnectionWindowSize(size) {
+  this._endpointOptions.connectionWindowSize = size;
+  for (var key in this._pools) {
+    this._pools[key].forEach(function(endpoint) {
+      endpoint.setConnectionWindowSize(size);
+    });
+  }
+};
+
+// Opening a CONNECT tunnel to `authority` ('host:port') through the proxy described by `options`.
+Agent.prototype.connect = function connect(authority, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  if (typeof options === 'string') {
+    options = url.parse(options);
+  } else if (options) {
+    options = util._extend({}, options);
+  } else {
+    var target = url.parse('//' + authority, false, true);
+    options = { host: target.hostname, port: target.port };
+  }
+  options.method = 'CONNECT';
+  options.authority = authority;
+
+  return this._openTunnel(options, callback);
+};
+
+// Opening an [extended CONNECT](https://tools.ietf.org/html/rfc8441) tunnel that carries `protocol`
+// to the resource described by `options`
+Agent.prototype.extendedConnect = function extendedConnect(options, protocol, callback) {
+  if (typeof options === 'string') {
+    options = url.parse(options);
+  } else {
+    options = util._extend({}, options);
+  }
+  options.method = 'CONNECT';
+  options.connectProtocol = protocol;
+
+  return this._openTunnel(options, callback);
+};
+
+// Opening a [WebSocket over HTTP/2](https://tools.ietf.org/html/rfc8441#section-5). The
+// `Sec-WebSocket-Version` header is required, the other WebSocket headers (like
+// `Sec-WebSocket-Protocol`) can be given in `options.headers`.
+Agent.prototype.webSocket = function webSocket(options, callback) {
+  if (typeof options === 'string') {
+    options = url.parse(options);
+  } else {
+    options = util._extend({}, options);
+  }
+  options.headers = util._extend({ 'sec-websocket-version': '13' }, options.headers);
+
+  var tunnel = this.extendedConnect(options, 'websocket');
+  var socket = new WebSocket(tunnel, { client: true });
+
+  if (callback) {
+    socket.once('open', callback);
+  }
+  tunnel.once('connect', socket.emit.bind(socket, 'open'));
+  tunnel.on('error', socket.emit.bind(socket, 'error'));
+
+  return socket;
+};
+
+// Tunnels need HTTP/2: if the server only speaks HTTP/1, an error is emitted on the tunnel.
+Agent.prototype._openTunnel = function _openTunnel(options, callback) {
+  var request = this.request(options);
+  var tunnel = new Tunnel(request);
+
+  if (callback) {
+    tunnel.once('connect', callback);
+  }
+
+  request.once('socket', function() {
+    if (request.request) {
+      request.abort();
+      tunnel.emit('error', new Error('CONNECT tunnels are only supported over HTTP/2'));
+    }
+  });
+  request.on('error', tunnel.emit.bind(tunnel, 'error'));
+
+  request.once('response', function(response) {
+    tunnel._attach(response);
+    if ((response.statusCode >= 200) && (response.statusCode < 300)) {
+      tunnel.emit('connect', response);
+    } else {
+      var error = new Error('The server refused the tunnel with status ' + response.statusCode);
+      error.code = 'CONNECT_REFUSED';
+      error.statusCode = response.statusCode;
+      tunnel.emit('error', error);
+    }
+  });
+
+  return tunnel;
 };
 
 Agent.prototype.get = function get(options, callback) {
@@ -1041,8 +2390,14 @@ Agent.prototype.destroy = function(error) {
   if (this._httpsAgent) {
     this._httpsAgent.destroy();
   }
-  for (var key in this.endpoints) {
-    this.endpoints[key].close(error);
+  if (this._httpAgent) {
+    this._httpAgent.destroy();
+  }
+  for (var key in this._pools) {
+    this._pools[key].slice().forEach(function(endpoint) {
+      this._removeEndpoint(endpoint);
+      endpoint.close(error);
+    }, this);
   }
 };
 
@@ -1074,11 +2429,27 @@ Object.defineProperty(Agent.prototype, 'maxSockets', {
   },
   set: function setMaxSockets(value) {
     this._httpsAgent.maxSockets = value;
+    this._httpAgent.maxSockets = value;
   }
 });
 
 exports.globalAgent = new Agent();
 
+// UnprocessedRequestError class
+// -----------------------------
+
+// Emitted on requests that the server has not processed before closing the connection, and that
+// could not be replayed safely.
+function UnprocessedRequestError(options) {
+  Error.call(this);
+  Error.captureStackTrace(this, UnprocessedRequestError);
+  this.name = 'UnprocessedRequestError';
+  this.code = 'REFUSED_STREAM';
+  this.message = 'The server closed the connection without processing the request (' +
+                 options.method + ' ' + options.path + ')';
+}
+UnprocessedRequestError.prototype = Object.create(Error.prototype, { constructor: { value: UnprocessedRequestError } });
+
 // OutgoingRequest class
 // ---------------------
 
@@ -1086,11 +2457,31 @@ function OutgoingRequest() {
   OutgoingMessage.call(this);
 
   this._log = undefined;
+  this._agent = undefined;
 
   this.stream = undefined;
+
+  // * State for replaying the request if the server does not process it: `_body` holds the body
+  //   written so far if the method is idempotent, `_bodySent` is true if any part of the body has
+  //   been written to a stream
+  this._body = undefined;
+  this._bodyLength = 0;
+  this._bodySent = false;
+  this._replaying = false;
+  this._replays = 0;
+
+  this._timeout = undefined;
 }
 OutgoingRequest.prototype = Object.create(OutgoingMessage.prototype, { constructor: { value: OutgoingRequest } });
 
+// [Idempotent methods](https://tools.ietf.org/html/rfc7231#section-4.2.2)
+var idempotentMethods = ['GET', 'HEAD', 'OPTIONS', 'TRACE', 'PUT', 'DELETE'];
+
+var MAX_REPLAYS = 3;
+
+// Bodies larger than this are not kept for replaying, which makes the request non-replayable
+var MAX_REPLAY_BODY = 65536;
+
 OutgoingRequest.prototype._start = function _start(stream, options) {
   this.stream = stream;
   this.options = options;
@@ -1107,10 +2498,19 @@ OutgoingRequest.prototype._start = function _start(stream, options) {
     headers.authorization = 'Basic ' + new Buffer(options.auth).toString('base64');
   }
 
-  headers[':scheme'] = options.protocol.slice(0, -1);
+  // * CONNECT requests only carry the authority of the tunnel endpoint, except for extended
+  //   CONNECT requests that carry the usual fields and the name of the tunneled protocol
   headers[':method'] = options.method;
-  headers[':authority'] = options.host;
-  headers[':path'] = options.path;
+  if ((options.method === 'CONNECT') && (options.connectProtocol === undefined)) {
+    headers[':authority'] = options.authority;
+  } else {
+    headers[':scheme'] = options.protocol.slice(0, -1);
+    headers[':authority'] = options.host;
+    headers[':path'] = options.path;
+    if (options.connectProtocol !== undefined) {
+      headers[':protocol'] = options.connectProtocol;
+    }
+  }
 
   this._log.info({ scheme: headers[':scheme'], method: headers[':method'],
                    authority: headers[':authority'], path: headers[':path'],
@@ -1118,23 +2518,144 @@ OutgoingRequest.prototype._start = function _start(stream, options) {
   this.stream.headers(headers);
   this.headersSent = true;
 
+  if ((this._replays === 0) && (idempotentMethods.indexOf(options.method) !== -1)) {
+    this._body = [];
+  }
+  this._replayBody();
+
   this.emit('socket', this.stream);
   var response = new IncomingResponse(this.stream);
   response.req = this;
-  response.once('ready', this.emit.bind(this, 'response', response));
+  response.on('information', this._onInformation.bind(this));
+  response.once('ready', this._onResponse.bind(this, response));
+
+  if (this._timeout) {
+    this.stream.setTimeout(this._timeout);
+  }
+  forwardTimeout(this.stream, [this, response]);
 
   this.stream.on('promise', this._onPromise.bind(this));
+  this.stream.on('refused', this._onRefused.bind(this));
+};
+
+// The headers of a request are given in its options, so its `trailer` header is known before the
+// headers are sent
+OutgoingRequest.prototype._trailerDeclaration = function _trailerDeclaration() {
+  var headers = (this.options && this.options.headers) || {};
+  for (var name in headers) {
+    if (name.toLowerCase() === 'trailer') {
+      return headers[name];
+    }
+  }
+  return this.getHeader('trailer');
 };
 
 OutgoingRequest.prototype._fallback = function _fallback(request) {
-  request.on('response', this.emit.bind(this, 'response'));
+  request.on('response', this._onResponse.bind(this));
+  request.on('continue', this.emit.bind(this, 'continue'));
+  request.on('information', this.emit.bind(this, 'information'));
   this.stream = this.request = request;
+  this._replayBody();
   this.emit('socket', this.socket);
 };
 
+OutgoingRequest.prototype._onResponse = function _onResponse(response) {
+  this._body = undefined;
+  this.emit('response', response);
+};
+
+// Interim responses are signaled with 'information', and `100 Continue` with 'continue' too
+OutgoingRequest.prototype._onInformation = function _onInformation(info) {
+  if (info.statusCode === 100) {
+    this.emit('continue');
+  }
+  this.emit('information', info);
+};
+
+// Keeping track of the body, so that the request can be replayed if needed
+OutgoingRequest.prototype._write = function _write(chunk, encoding, callback) {
+  if (this.stream) {
+    this._bodySent = true;
+    if (this._body) {
+      this._bodyLength += chunk.length;
+      if (this._bodyLength > MAX_REPLAY_BODY) {
+        this._log.debug('Request body is too large to be kept for replaying');
+        this._body = undefined;
+      } else {
+        this._body.push(chunk);
+      }
+    }
+  }
+  OutgoingMessage.prototype._write.call(this, chunk, encoding, callback);
+};
+
+// Requests that the server has not processed because of a GOAWAY frame are sent again on a new
+// connection if that's safe: if the method is idempotent (the body written so far is kept for
+// this), or no part of the body has been sent yet. Otherwise, an UnprocessedRequestError is
+// emitted.
+OutgoingRequest.prototype._onRefused = function _onRefused() {
+  if ((this._body || !this._bodySent) && (this._replays < MAX_REPLAYS)) {
+    this._log.info('The server did not process the request, sending it on a new connection');
+    this._replays += 1;
+    this._replaying = true;
+    this.stream = undefined;
+    this._emitHeaderListError(function() {
+      this._agent._startRequest(this, this.options);
+    });
+  } else {
+    this._log.error('The server did not process the request');
+    this.emit('error', new UnprocessedRequestError(this.options));
+  }
+};
+
+// Writing the body of a replayed request to the new stream, before any write that was postponed
+// until the 'socket' event.
+OutgoingRequest.prototype._replayBody = function _replayBody() {
+  if (!this._replaying) {
+    return;
+  }
+  this._replaying = false;
+
+  (this._body || []).forEach(function(chunk) {
+    this.stream.write(chunk);
+  }, this);
+  if (this.finished) {
+    this._finish();
+  }
+};
+
+// Switching from the HTTP/1 request that carried an upgrade offer to stream 1 of the upgraded
+// connection. The request itself is already sent, only the response arrives on the stream.
+OutgoingRequest.prototype._upgraded = function _upgraded(stream) {
+  delete this.request;
+  this.stream = stream;
+
+  this._log = stream._log.child({ component: 'http' });
+
+  var response = new IncomingResponse(this.stream);
+  response.req = this;
+  response.once('ready', this._onResponse.bind(this, response));
+
+  if (this._timeout) {
+    this.stream.setTimeout(this._timeout);
+  }
+  forwardTimeout(this.stream, [this, response]);
+
+  this.stream.on('promise', this._onPromise.bind(this));
+};
+
+// The priority is checked right away, since it may only be applied later in an event handler
 OutgoingRequest.prototype.setPriority = function setPriority(priority) {
+  if ((typeof priority !== 'object') || (priority === null)) {
+    throw new Error('Priority must be an object, got ' + priority);
+  }
   if (this.stream) {
-    this.stream.priority(priority);
+    if (('urgency' in priority) || ('incremental' in priority)) {
+      this.stream.updatePriority(priority);
+    }
+    if (('parent' in priority) || ('weight' in priority) || ('exclusive' in priority)) {
+      this.stream.priority(priority);
+    }
   } else {
     this.once('socket', this.setPriority.bind(this, priority));
   }
@@ -1167,11 +2688,15 @@ OutgoingRequest.prototype.setSocketKeepAlive = function setSocketKeepAlive(enabl
   }
 };
 
+// The timeout is kept for the stream of the request if it's sent again on a new connection
 OutgoingRequest.prototype.setTimeout = function setTimeout(timeout, callback) {
   if (this.request) {
     this.request.setTimeout(timeout, callback);
-  } else if (!this.stream) {
-    this.on('socket', this.setTimeout.bind(this, timeout, callback));
+  } else if (this.stream) {
+    this._timeout = timeout;
+    OutgoingMessage.prototype.setTimeout.call(this, timeout, callback);
+  } else {
+    this.once('socket', this.setTimeout.bind(this, timeout, callback));
   }
 };
 
@@ -1219,7 +2744,38 @@ IncomingResponse.prototype._onHeaders = function _onHeaders(headers) {
   //   Note: currently, we do not enforce it strictly: we accept any format, and parse it as int
   // * HTTP/2.0 does not define a way to carry the reason phrase that is included in an HTTP/1.1
   //   status line.
-  this.statusCode = parseInt(this._checkSpecialHeader(':status', headers[':status']));
+  var statusCode = parseInt(this._checkSpecialHeader(':status', headers[':status']));
+
+  // * The 101 (Switching Protocols) status code is not supported in HTTP/2, and a response that
+  //   uses it is malformed.
+  if (statusCode === 101) {
+    this._malformed('Invalid 101 response', headers);
+    return;
+  }
+
+  // * Zero or more interim (1xx) responses may precede the final response, each in a header block
+  //   of its own. They are signaled with 'information', and the next header block is awaited. An
+  //   interim response that ends the stream is malformed, since the final response can not follow.
+  var ended = (this.stream.state === 'HALF_CLOSED_REMOTE') || (this.stream.state === 'CLOSED');
+  if ((statusCode >= 100) && (statusCode < 200) && ended) {
+    this._malformed('Interim response with END_STREAM', headers);
+    return;
+  }
+  if ((statusCode >= 100) && (statusCode < 200)) {
+    var info = { statusCode: statusCode, headers: {}, httpVersion: this.httpVersion,
+                 httpVersionMajor: this.httpVersionMajor, httpVersionMinor: this.httpVersionMinor };
+    for (var name in headers) {
+      if (name[0] !== ':') {
+        info.headers[name] = headers[name];
+      }
+    }
+    this._log.info({ status: statusCode, headers: info.headers }, 'Incoming informational response');
+    this.emit('information', info);
+    this.stream.once('headers', this._onHeaders.bind(this));
+    return;
+  }
+
+  this.statusCode = statusCode;
 
   // * Handling regular headers.
   IncomingMessage.prototype._onHeaders.call(this, headers);
@@ -1229,6 +2785,18 @@ IncomingResponse.prototype._onHeaders = function _onHeaders(headers) {
   this.emit('ready');
 };
 
+// A malformed response resets the stream. The request would never get a response, so an error is
+// emitted on it.
+IncomingResponse.prototype._malformed = function _malformed(message, headers) {
+  this._log.error({ headers: headers }, message);
+  this.stream.reset('PROTOCOL_ERROR');
+  if (this.req) {
+    var error = new Error('Malformed response: ' + message);
+    error.code = 'PROTOCOL_ERROR';
+    this.req.emit('error', error);
+  }
+};
+
 // IncomingPromise class
 // -------------------------
 
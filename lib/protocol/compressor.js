@@ -21,6 +21,7 @@ exports.HeaderSetCompressor = HeaderSetCompressor;
 exports.HeaderSetDecompressor = HeaderSetDecompressor;
 exports.Compressor = Compressor;
 exports.Decompressor = Decompressor;
+exports.headerListSize = headerListSize;
 
 var TransformStream = require('stream').Transform;
 var assert = require('assert');
@@ -1076,7 +1077,7 @@ HeaderSetDecompressor.header = function readHeader(buffer) {
 //
 // There are possibly several binary frame that belong to a single non-binary frame.
 
-var MAX_HTTP_PAYLOAD_SIZE = 16384;
+var DEFAULT_MAX_HTTP_PAYLOAD_SIZE = 16384;
 
 // The Compressor class
 // --------------------
@@ -1090,6 +1091,7 @@ function Compressor(log, type) {
 
   assert((type === 'REQUEST') || (type === 'RESPONSE'));
   this._table = new HeaderTable(this._log);
+  this._maxPayloadSize = DEFAULT_MAX_HTTP_PAYLOAD_SIZE;
 
   this.tableSizeChangePending = false;
   this.lowestTableSizePending = 0;
@@ -1106,6 +1108,11 @@ Compressor.prototype.setTableSizeLimit = function setTableSizeLimit(size) {
   this.tableSizeChangePending = true;
 };
 
+// Header blocks are cut into frames that fit into the SETTINGS_MAX_FRAME_SIZE of the peer
+Compressor.prototype.setMaxFrameSize = function setMaxFrameSize(size) {
+  this._maxPayloadSize = size;
+};
+
 // `compress` takes a header set, and compresses it using a new `HeaderSetCompressor` stream
 // instance. This means that from now on, the advantages of streaming header encoding are lost,
 // but the API becomes simpler.
@@ -1173,7 +1180,7 @@ Compressor.prototype.compress = function compress(headers) {
 Compressor.prototype._transform = function _transform(frame, encoding, done) {
   // * and it is a HEADERS or PUSH_PROMISE frame
   //   * it generates a header block using the compress method
-  //   * cuts the header block into `chunks` that are not larger than `MAX_HTTP_PAYLOAD_SIZE`
+  //   * cuts the header block into `chunks` that are not larger than the max. frame size
   //   * for each chunk, it pushes out a chunk frame that is identical to the original, except
   //     the `data` property which holds the given chunk, the type of the frame which is always
   //     CONTINUATION except for the first frame, and the END_HEADERS/END_PUSH_STREAM flag that
@@ -1182,10 +1189,10 @@ Compressor.prototype._transform = function _transform(frame, encoding, done) {
     var buffer = this.compress(frame.headers);
 
     // This will result in CONTINUATIONs from a PUSH_PROMISE being 4 bytes shorter than they could
-    // be, but that's not the end of the world, and it prevents us from going over MAX_HTTP_PAYLOAD_SIZE
-    // on the initial PUSH_PROMISE frame.
+    // be, but that's not the end of the world, and it prevents us from going over the max. frame
+    // size on the initial PUSH_PROMISE frame.
     var adjustment = frame.type === 'PUSH_PROMISE' ? 4 : 0;
-    var chunks = cut(buffer, MAX_HTTP_PAYLOAD_SIZE - adjustment);
+    var chunks = cut(buffer, this._maxPayloadSize - adjustment);
 
     for (var i = 0; i < chunks.length; i++) {
       var chunkFrame;
@@ -1225,7 +1232,20 @@ Compressor.prototype._transform = function _transform(frame, encoding, done) {
 //
 // If there's a frame in progress, `this._inProgress` is `true`. The frames are collected in
 // `this._frames`, and the type of the frame and the stream identifier is stored in `this._type`
-// and `this._stream` respectively.
+// and `this._stream` respectively. Empty CONTINUATION frames that do not end the header block are
+// signaled with the 'emptyFrame' event, so that the connection can count them.
+//
+// The size of header lists is limited by `this._headerListSizeLimit` (our
+// SETTINGS_MAX_HEADER_LIST_SIZE):
+//
+// * a header list that is larger than the limit is still decoded to keep the header table in sync,
+//   but its headers are thrown away, and the frame is marked with the `header_list_too_large` flag
+// * a header block is hardly ever larger than the header list it encodes. Blocks up to twice the
+//   limit are still decoded, so that requests that are somewhat too large can be refused without
+//   closing the connection, but a peer that sends a larger block (typically in an endless series of
+//   CONTINUATION frames) is disconnected with ENHANCE_YOUR_CALM
+var MAX_HEADER_BLOCK_FACTOR = 2;
+
 util.inherits(Decompressor, TransformStream);
 function Decompressor(log, type) {
   TransformStream.call(this, { objectMode: true });
@@ -1237,6 +1257,8 @@ function Decompressor(log, type) {
 
   this._inProgress = false;
   this._base = undefined;
+  this._blockSize = 0;
+  this._headerListSizeLimit = Infinity;
 }
 
 // Changing the header table size
@@ -1244,19 +1266,30 @@ Decompressor.prototype.setTableSizeLimit = function setTableSizeLimit(size) {
   this._table.setSizeLimit(size);
 };
 
+// Changing the header list size limit
+Decompressor.prototype.setHeaderListSizeLimit = function setHeaderListSizeLimit(size) {
+  this._headerListSizeLimit = size;
+};
+
 // `decompress` takes a full header block, and decompresses it using a new `HeaderSetDecompressor`
 // stream instance. This means that from now on, the advantages of streaming header decoding are
-// lost, but the API becomes simpler.
+// lost, but the API becomes simpler. It returns null if the header list exceeds the size limit.
 Decompressor.prototype.decompress = function decompress(block) {
   var decompressor = new HeaderSetDecompressor(this._log, this._table);
   decompressor.end(block);
 
   var seenNonColonHeader = false;
   var headers = {};
+  var size = 0;
   var pair;
   while (pair = decompressor.read()) {
     var name = pair[0];
     var value = pair[1];
+    size += headerFieldSize(name, value);
+    if (size > this._headerListSizeLimit) {
+      headers = null;
+      continue;
+    }
     var isColonHeader = (name.trim()[0] === ':');
     if (seenNonColonHeader && isColonHeader) {
         this.emit('error', 'PROTOCOL_ERROR');
@@ -1277,7 +1310,7 @@ Decompressor.prototype.decompress = function decompress(block) {
   // * If there are multiple Cookie header fields after decompression, these MUST be concatenated
   //   into a single octet string using the two octet delimiter of 0x3B, 0x20 (the ASCII
   //   string "; ").
-  if (('cookie' in headers) && (headers['cookie'] instanceof Array)) {
+  if (headers && ('cookie' in headers) && (headers['cookie'] instanceof Array)) {
     headers['cookie'] = headers['cookie'].join('; ');
   }
 
@@ -1295,6 +1328,9 @@ Decompressor.prototype._transform = function _transform(frame, encoding, done) {
       return;
     }
     this._frames.push(frame);
+    if ((frame.data.length === 0) && !frame.flags.END_HEADERS) {
+      this.emit('emptyFrame', frame);
+    }
   }
 
   // * and the collection process is not `_inProgress`, but the new frame's type is HEADERS or
@@ -1303,6 +1339,7 @@ Decompressor.prototype._transform = function _transform(frame, encoding, done) {
     this._inProgress = true;
     this._base = util._extend({}, frame);
     this._frames = [frame];
+    this._blockSize = 0;
   }
 
   // * otherwise, the frame is forwarded without taking any action
@@ -1310,6 +1347,17 @@ Decompressor.prototype._transform = function _transform(frame, encoding, done) {
     this.push(frame);
   }
 
+  // * The header block can not grow too far beyond the header list size limit
+  if (this._inProgress) {
+    this._blockSize += frame.data.length;
+    if (this._blockSize > MAX_HEADER_BLOCK_FACTOR * this._headerListSizeLimit) {
+      this._log.error({ size: this._blockSize, limit: this._headerListSizeLimit },
+                      'Header block is too large');
+      this.emit('error', 'ENHANCE_YOUR_CALM');
+      return;
+    }
+  }
+
   // * When the frame signals that it's the last in the series, the header block chunks are
   //   concatenated, the headers are decompressed, and a new frame gets pushed out with the
   //   decompressed headers.
@@ -1324,7 +1372,12 @@ Decompressor.prototype._transform = function _transform(frame, encoding, done) {
       this.emit('error', 'COMPRESSION_ERROR');
       return;
     }
-    this.push(util._extend(this._base, { headers: headers }));
+    if (headers === null) {
+      this._log.warn({ limit: this._headerListSizeLimit }, 'Header list exceeds the size limit');
+      this.push(util._extend(this._base, { headers: {}, header_list_too_large: true }));
+    } else {
+      this.push(util._extend(this._base, { headers: headers }));
+    }
     this._inProgress = false;
   }
 
@@ -1334,6 +1387,23 @@ Decompressor.prototype._transform = function _transform(frame, encoding, done) {
 // Helper functions
 // ================
 
+// The size of a header list is the sum of the size of its fields: the length of the name and the
+// value in bytes plus an overhead of 32 bytes. Multiple values of a header count as separate fields.
+function headerFieldSize(name, value) {
+  return Buffer.byteLength(String(name)) + Buffer.byteLength(String(value)) + 32;
+}
+
+function headerListSize(headers) {
+  var size = 0;
+  for (var name in headers) {
+    var values = (headers[name] instanceof Array) ? headers[name] : [headers[name]];
+    for (var i = 0; i < values.length; i++) {
+      size += headerFieldSize(name, values[i]);
+    }
+  }
+  return size;
+}
+
 // Concatenate an array of buffers into a new buffer
 function concat(buffers) {
   var size = 0;
@@ -1,4 +1,5 @@
 var assert = require('assert');
+var util = require('util');
 
 // The Connection class
 // ====================
@@ -14,29 +15,76 @@ exports.Connection = Connection;
 // Public API
 // ----------
 
-// * **new Connection(log, firstStreamId, settings)**: create a new Connection
+// * **new Connection(log, firstStreamId, settings, [options])**: create a new Connection. Options:
+//   * `scheduler`: selects the [scheduler](scheduler.html) of outgoing frames
+//   * `limits`: the budgets of flood protection (see below)
+//   * `connectionWindowSize`: the size of the connection level flow control window that the peer
+//     may fill. Values above 65535 are announced with a WINDOW_UPDATE right after the first SETTINGS
+//     frame.
+//   * `windowTuning`: if given, the connection and stream receive windows are grown automatically
+//     to the measured bandwidth-delay product (see below). Its properties are `maxWindowSize` (the
+//     ceiling, 16 MB by default) and `updateThreshold` (see `flow.setWindowUpdateThreshold()`,
+//     0.5 by default).
+//   * `manualFlowControl`: if true, received DATA is acknowledged only when the application
+//     consumes it with `stream.consume(bytes)` (or `connection.consume(bytes)` for the connection
+//     window only)
+//   * `padding`: the [padding policy](padding.html) of outgoing DATA frames. The padding counts
+//     against the flow control windows, so frames are padded only as far as the windows allow.
 //
 // * **Event: 'error' (type)**: signals a connection level error made by the other end
 //
 // * **Event: 'peerError' (type)**: signals the receipt of a GOAWAY frame that contains an error
 //   code other than NO_ERROR
 //
-// * **Event: 'stream' (stream)**: signals that there's an incoming stream
+// * **Event: 'stream' (stream)**: signals that there's an incoming stream. Streams that the peer
+//   opens above our SETTINGS_MAX_CONCURRENT_STREAMS are refused with REFUSED_STREAM instead, and a
+//   peer that keeps doing so gets a GOAWAY with ENHANCE_YOUR_CALM.
+//
+// * **Event: 'drained'**: signals that the connection has been ended after all in-flight streams
+//   finished. This happens after a graceful shutdown initiated by either end.
 //
 // * **createStream(): stream**: initiate a new stream
 //
+// * **createUpgradedStream([headers], [body]): stream**: create the stream of the HTTP/1.1 request
+//   that initiated an Upgrade to HTTP/2. On the server side, `headers` and `body` describe the
+//   upgraded request.
+//
+// * **applySettings(settings)**: apply settings that the peer sent out of band (in the
+//   HTTP2-Settings header of an Upgrade request). These are not acknowledged with a SETTINGS frame.
+//
+// * **Event: 'remoteSettings' (settings)**: the peer has sent settings. `settings` contains every
+//   value received so far.
+//
 // * **set(settings, callback)**: change the value of one or more settings according to the
 //   key-value pairs of `settings`. The callback is called after the peer acknowledged the changes.
 //
-// * **ping([callback])**: send a ping and call callback when the answer arrives
+// * **ping([payload], [callback])**: send a ping and call callback when the answer arrives. The
+//   payload is an 8 bytes long Buffer (random by default) that must differ from the payload of the
+//   other pings in flight. Returns the ID of the ping.
+//
+// * **cancelPing(id)**: stop waiting for the answer to the ping with the given ID. The callback
+//   will not be called, and a late answer is ignored. Returns false if the ping was not in flight.
+//
+// * **shutdown()**: gracefully close the connection: stop accepting new streams, and end the
+//   connection when all in-flight streams finished
 //
 // * **close([error])**: close the stream with an error code
+//
+// * **consume(bytes)**: release `bytes` of received DATA from the connection window in manual flow
+//   control mode (see [Flow](flow.html))
+//
+// * **setConnectionWindowSize(size)**: enlarge the connection level flow control window that the
+//   peer may fill. The window can not be shrunk, so smaller values are ignored.
+//
+// * **counters**: the number of frames received that cost us work (`resets`, `pings`, `settings`,
+//   `priorityFrames`, `emptyFrames`) and the number of `refusedStreams`. A peer that exceeds the
+//   budgets gets a GOAWAY with ENHANCE_YOUR_CALM.
 
 // Constructor
 // -----------
 
 // The main aspects of managing the connection are:
-function Connection(log, firstStreamId, settings) {
+function Connection(log, firstStreamId, settings, options) {
   // * initializing the base class
   Flow.call(this, 0);
 
@@ -49,14 +97,22 @@ function Connection(log, firstStreamId, settings) {
   // * lifecycle management
   this._initializeLifecycleManagement();
 
+  // * flood protection
+  this._initializeFloodProtection((options || {}).limits);
+
   // * flow control
-  this._initializeFlowControl();
+  this._initializeFlowControl((options || {}).windowTuning, (options || {}).manualFlowControl);
 
   // * settings management
   this._initializeSettingsManagement(settings);
 
+  // * enlarging the connection flow control window (this must follow the first SETTINGS frame)
+  if ((options || {}).connectionWindowSize !== undefined) {
+    this.setConnectionWindowSize(options.connectionWindowSize);
+  }
+
   // * multiplexing
-  this._initializeMultiplexing();
+  this._initializeMultiplexing((options || {}).scheduler, (options || {}).padding);
 }
 Connection.prototype = Object.create(Flow.prototype, { constructor: { value: Connection } });
 
@@ -100,9 +156,16 @@ var Stream  = require('./stream').Stream;
 Connection.prototype._initializeStreamManagement = function _initializeStreamManagement(firstStreamId) {
   // * streams are stored in two data structures:
   //   * `_streamIds` is an id -> stream map of the streams that are allowed to receive frames.
-  //   * `_streamPriorities` is a priority -> [stream] map of stream that allowed to send frames.
+  //   * `_priorityRoot` is the root of the [dependency tree][1] of the streams that are allowed to
+  //     send frames. It stands for stream 0, and the nodes of the tree are the `_priorityNode`s of
+  //     the streams. The root also keeps the list of all the other `nodes` in the order of their
+  //     creation, so that schedulers don't have to walk the tree.
+  //
+  // [1]: https://tools.ietf.org/html/rfc7540#section-5.3
   this._streamIds = [];
-  this._streamPriorities = [];
+  this._priorityRoot = createPriorityNode(undefined, DEFAULT_WEIGHT, 0);
+  this._priorityRoot.nodes = [];
+  this._nextPrioritySequence = 1;
 
   // * The next outbound stream ID and the last inbound stream id
   this._nextStreamId = firstStreamId;
@@ -116,6 +179,15 @@ Connection.prototype._initializeStreamManagement = function _initializeStreamMan
   this._streamSlotsFree = Infinity;
   this._streamLimit = Infinity;
   this.on('RECEIVING_SETTINGS_MAX_CONCURRENT_STREAMS', this._updateStreamLimit);
+
+  // * The number of concurrent inbound streams is limited by our own SETTINGS_MAX_CONCURRENT_STREAMS
+  //   after the peer acknowledged it. `_incomingStreams` counts the streams that the peer opened and
+  //   that are not closed yet.
+  this._incomingStreams = 0;
+  this._incomingStreamLimit = Infinity;
+  this.on('ACKNOWLEDGED_SETTINGS_MAX_CONCURRENT_STREAMS', function(limit) {
+    this._incomingStreamLimit = limit;
+  });
 };
 
 // `_writeControlFrame` is called when there's an incoming frame in the `_control` stream. It
@@ -123,7 +195,8 @@ Connection.prototype._initializeStreamManagement = function _initializeStreamMan
 Connection.prototype._writeControlFrame = function _writeControlFrame(frame) {
   if ((frame.type === 'SETTINGS') || (frame.type === 'PING') ||
       (frame.type === 'GOAWAY') || (frame.type === 'WINDOW_UPDATE') ||
-      (frame.type === 'ALTSVC') || (frame.type == 'ORIGIN')) {
+      (frame.type === 'ALTSVC') || (frame.type == 'ORIGIN') ||
+      (frame.type === 'PRIORITY_UPDATE')) {
     this._log.debug({ frame: frame }, 'Receiving connection level frame');
     this.emit(frame.type, frame);
   } else {
@@ -199,33 +272,145 @@ Connection.prototype._allocateId = function _allocateId(stream, id) {
 // Allocating a priority to a stream, and managing priority changes
 Connection.prototype._allocatePriority = function _allocatePriority(stream) {
   this._log.trace({ s: stream }, 'Allocating priority for stream.');
-  this._insert(stream, stream._priority);
+  stream._priorityNode = createPriorityNode(stream, stream._priority.weight,
+                                            this._nextPrioritySequence++);
+  this._insert(stream._priorityNode, this._priorityRoot, false);
+  this._priorityRoot.nodes.push(stream._priorityNode);
+  this._reprioritize(stream, stream._priority);
   stream.on('priority', this._reprioritize.bind(this, stream));
+  stream.on('state', this._onStreamStateChange.bind(this));
   stream.upstream.on('readable', this.emit.bind(this, 'wakeup'));
   this.emit('wakeup');
 };
 
-Connection.prototype._insert = function _insert(stream, priority) {
-  if (priority in this._streamPriorities) {
-    this._streamPriorities[priority].push(stream);
-  } else {
-    this._streamPriorities[priority] = [stream];
+// Every node of the dependency tree has
+//
+// * a `stream` (the root has none)
+// * a `parent` node, and an array of `children` nodes, ordered by their `sequence`
+// * a `weight` between 1 and 256 that determines its share of the resources among its siblings
+// * a `sequence` number that grows in the order the nodes are created
+//
+// Besides these, the scheduler may store its own state in the nodes.
+var DEFAULT_WEIGHT = 16;
+
+function createPriorityNode(stream, weight, sequence) {
+  return { stream: stream, parent: null, children: [], weight: weight, sequence: sequence };
+}
+
+// Inserting `node` as a child of `parent`. If it's an exclusive dependency, the children of `parent`
+// become the children of `node`.
+Connection.prototype._insert = function _insert(node, parent, exclusive) {
+  if (exclusive) {
+    var children = parent.children;
+    parent.children = [];
+    for (var i = 0; i < children.length; i++) {
+      children[i].parent = node;
+      insertInSequence(node.children, children[i]);
+    }
   }
+  node.parent = parent;
+  insertInSequence(parent.children, node);
+};
+
+// Lists of nodes are kept in the order of their `sequence`, so the position of a node can be found
+// with a binary search.
+function sequenceIndex(nodes, sequence) {
+  var low = 0;
+  var high = nodes.length;
+  while (low < high) {
+    var middle = (low + high) >> 1;
+    if (nodes[middle].sequence < sequence) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function insertInSequence(nodes, node) {
+  nodes.splice(sequenceIndex(nodes, node.sequence), 0, node);
+}
+
+Connection.prototype._detach = function _detach(node) {
+  var siblings = node.parent.children;
+  var index = sequenceIndex(siblings, node.sequence);
+  assert(siblings[index] === node);
+  siblings.splice(index, 1);
+  node.parent = null;
 };
 
+function isAncestor(ancestor, node) {
+  for (var current = node.parent; current; current = current.parent) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// [Reprioritization](https://tools.ietf.org/html/rfc7540#section-5.3.3):
+//
+// * A dependency on a stream that is not currently in the tree results in that stream being given
+//   a default priority.
+// * If a stream is made dependent on one of its own dependencies, the formerly dependent stream is
+//   first moved to be dependent on the reprioritized stream's previous parent. The moved dependency
+//   retains its weight.
+// * Then the stream is moved with its whole subtree under the new parent.
 Connection.prototype._reprioritize = function _reprioritize(stream, priority) {
-  this._removePrioritisedStream(stream);
-  this._insert(stream, priority);
+  var node = stream._priorityNode;
+  var parent = (priority.parent === 0) ? this._priorityRoot :
+               (this._streamIds[priority.parent] || {})._priorityNode;
+  var weight = priority.weight;
+  var exclusive = priority.exclusive;
+
+  if (!parent || (!parent.parent && (parent !== this._priorityRoot)) || (parent === node)) {
+    this._log.debug({ s: stream, parent: priority.parent },
+                    'Unknown parent stream, using default priority.');
+    parent = this._priorityRoot;
+    weight = DEFAULT_WEIGHT;
+    exclusive = false;
+  }
+
+  if (isAncestor(node, parent)) {
+    var previousParent = node.parent;
+    this._detach(parent);
+    this._insert(parent, previousParent, false);
+  }
+
+  this._detach(node);
+  node.weight = weight;
+  this._insert(node, parent, exclusive);
 };
 
+// When a stream is removed from the dependency tree, its dependencies are moved to become
+// dependent on its parent. The weight of the removed stream is distributed between them
+// [proportionally](https://tools.ietf.org/html/rfc7540#section-5.3.4).
 Connection.prototype._removePrioritisedStream = function _removePrioritisedStream(stream) {
-  var bucket = this._streamPriorities[stream._priority];
-  var index = bucket.indexOf(stream);
-  assert(index !== -1);
-  bucket.splice(index, 1);
-  if (bucket.length === 0) {
-    delete this._streamPriorities[stream._priority];
+  var node = stream._priorityNode;
+  if (!node || !node.parent) {
+    return;
+  }
+
+  var parent = node.parent;
+  this._detach(node);
+  var nodes = this._priorityRoot.nodes;
+  var index = sequenceIndex(nodes, node.sequence);
+  if (nodes[index] === node) {
+    nodes.splice(index, 1);
+  }
+
+  var children = node.children;
+  var weightSum = 0;
+  for (var i = 0; i < children.length; i++) {
+    weightSum += children[i].weight;
+  }
+  for (i = 0; i < children.length; i++) {
+    var child = children[i];
+    child.weight = Math.max(Math.floor(node.weight * child.weight / weightSum), 1);
+    this._insert(child, parent, false);
   }
+  node.children = [];
 };
 
 // Creating an *inbound* stream with the given ID. It is called when there's an incoming frame to
@@ -241,6 +426,36 @@ Connection.prototype._createIncomingStream = function _createIncomingStream(id)
   return stream;
 };
 
+// Streams opened by the peer with a HEADERS frame are counted until they are closed.
+Connection.prototype._countIncomingStream = function _countIncomingStream(stream) {
+  this._incomingStreams += 1;
+  var self = this;
+  stream.on('state', function countClosed(state) {
+    if (state === 'CLOSED') {
+      self._incomingStreams -= 1;
+      stream.removeListener('state', countClosed);
+    }
+  });
+};
+
+// A stream that would exceed our concurrent stream limit is reset with REFUSED_STREAM, which tells
+// the peer that the request was not processed and can be safely retried. It is created anyway
+// (without emitting a 'stream' event), so that the rest of its frames are ignored by the stream
+// state machine. A peer that exceeds the limit again and again, although it has already
+// acknowledged it, gets disconnected (see `maxRefusedStreamsPerSecond` in flood protection).
+Connection.prototype._createRefusedStream = function _createRefusedStream(id) {
+  this._log.warn({ stream_id: id, limit: this._incomingStreamLimit },
+                 'Refusing incoming stream above the concurrent stream limit.');
+
+  var stream = new Stream(this._log, this);
+  this._allocateId(stream, id);
+  this._allocatePriority(stream);
+
+  this._consume('refusedStreams');
+
+  return stream;
+};
+
 // Creating an *outbound* stream
 Connection.prototype.createStream = function createStream() {
   this._log.trace('Creating new outbound stream.');
@@ -249,11 +464,76 @@ Connection.prototype.createStream = function createStream() {
   var stream = new Stream(this._log, this);
   this._allocatePriority(stream);
 
+  // * Outbound streams get their ID only when sending their first frame, but the DATA they write
+  //   is cut into frames before that
+  stream.upstream.setMaxFrameSize(this._maxFrameSize);
+
   stream.on('end', this._removeStream.bind(this, stream));
 
   return stream;
 };
 
+// Creating the stream of the request that was sent over HTTP/1.1 before switching to HTTP/2 with
+// the Upgrade mechanism. [This stream][1] is assigned ID 1, and the request is already complete by
+// the time it's created:
+//
+// * the client has sent the whole request, so its side of the stream is "half closed (local)"
+// * the server has received the whole request, so its side of the stream is "half closed (remote)"
+//
+// [1]: https://tools.ietf.org/html/rfc7540#section-3.2
+Connection.prototype.createUpgradedStream = function createUpgradedStream(headers, body) {
+  var frame = {
+    type: 'HEADERS',
+    flags: { END_STREAM: true },
+    stream: 1,
+    headers: headers || {}
+  };
+
+  // * Client side: an outbound stream that has already sent its HEADERS frame
+  var stream;
+  if (this._isClient()) {
+    this._log.debug('Creating upgraded outbound stream.');
+    stream = new Stream(this._log, this);
+    this._allocateId(stream);
+    this._allocatePriority(stream);
+    stream.on('end', this._removeStream.bind(this, stream));
+    stream.sentEndStream = true;
+    stream._transition(true, frame);
+    this._changeStreamCount(frame.count_change);
+  }
+
+  // * Server side: an inbound stream that has already received its HEADERS frame (and the body,
+  //   that has to be in the user side buffer before the end of stream is signaled)
+  else {
+    this._log.debug('Creating upgraded inbound stream.');
+    stream = this._createIncomingStream(1);
+    if (body && body.length > 0) {
+      stream.push(body);
+    }
+    frame.count_change = this._changeStreamCount.bind(this);
+    stream.upstream.write(frame);
+  }
+
+  return stream;
+};
+
+// The client initiates odd numbered streams, the server initiates even numbered ones.
+Connection.prototype._isClient = function _isClient() {
+  return this._nextStreamId % 2 === 1;
+};
+
+// Streams that are no longer in `_streamIds` are closed if they were initiated by us or by the
+// peer before the last stream the peer has opened. The peer may still send [WINDOW_UPDATE,
+// RST_STREAM and PRIORITY](https://tools.ietf.org/html/rfc7540#section-5.1) frames on them for a
+// short period, which have to be ignored.
+Connection.prototype._isClosedStreamId = function _isClosedStreamId(id) {
+  if ((id - this._nextStreamId) % 2 === 0) {
+    return id < this._nextStreamId;
+  } else {
+    return id <= this._lastIncomingStream;
+  }
+};
+
 Connection.prototype._removeStream = function _removeStream(stream) {
   this._log.trace('Removing outbound stream.');
 
@@ -264,8 +544,18 @@ Connection.prototype._removeStream = function _removeStream(stream) {
 // Multiplexing
 // ------------
 
-Connection.prototype._initializeMultiplexing = function _initializeMultiplexing() {
+var createScheduler = require('./scheduler').createScheduler;
+var padding = require('./padding');
+
+Connection.prototype._initializeMultiplexing = function _initializeMultiplexing(scheduler, paddingPolicy) {
+  this._scheduler = createScheduler(scheduler);
+  this._paddingPolicy = padding.createPaddingPolicy(paddingPolicy);
   this.on('window_update', this.emit.bind(this, 'wakeup'));
+  this.on('PRIORITY_UPDATE', this._receivePriorityUpdate);
+  this.on('RECEIVING_SETTINGS_NO_RFC7540_PRIORITIES', function(value) {
+    this._noRfc7540Priorities = value;
+  });
+  this._noRfc7540Priorities = false;
   this._sendScheduled = false;
   this._firstFrameReceived = false;
 };
@@ -291,63 +581,66 @@ Connection.prototype._send = function _send(immediate) {
 
   this._log.trace('Starting forwarding frames from streams.');
 
-  // * Looping through priority `bucket`s in priority order.
-priority_loop:
-  for (var priority in this._streamPriorities) {
-    var bucket = this._streamPriorities[priority];
-    var nextBucket = [];
-
-    // * Forwarding frames from buckets with round-robin scheduling.
-    //   1. pulling out frame
-    //   2. if there's no frame, skip this stream
-    //   3. if forwarding this frame would make `streamCount` greater than `streamLimit`, skip
-    //      this stream
-    //   4. adding stream to the bucket of the next round unless it has ended
-    //   5. assigning an ID to the frame (allocating an ID to the stream if there isn't already)
-    //   6. if forwarding a PUSH_PROMISE, allocate ID to the promised stream
-    //   7. forwarding the frame, changing `streamCount` as appropriate
-    //   8. stepping to the next stream if there's still more frame needed in the output buffer
-    //   9. switching to the bucket of the next round
-    while (bucket.length > 0) {
-      for (var index = 0; index < bucket.length; index++) {
-        var stream = bucket[index];
-        if(!stream || !stream.upstream) continue;
-        var frame = stream.upstream.read((this._window > 0) ? this._window : -1);
-
-        if (!frame) {
-          continue;
-        } else if (frame.count_change > this._streamSlotsFree) {
-          stream.upstream.unshift(frame);
-          continue;
-        }
-
-        if (!stream._ended) {
-          nextBucket.push(stream);
-        } else {
-          delete this._streamIds[stream.id];
-        }
-
-        if (frame.stream === undefined) {
-          frame.stream = stream.id || this._allocateId(stream);
-        }
-
-        if (frame.type === 'PUSH_PROMISE') {
-          this._allocatePriority(frame.promised_stream);
-          frame.promised_stream = this._allocateId(frame.promised_stream);
-        }
-
-        this._log.trace({ s: stream, frame: frame }, 'Forwarding outgoing frame');
-        var moreNeeded = this.push(frame);
-        this._changeStreamCount(frame.count_change);
-
-        if (!moreNeeded) {
-          break priority_loop;
-        }
+  // * Forwarding frames selected by the scheduler until the output buffer is full:
+  //   1. assigning an ID to the frame (allocating an ID to the stream if there isn't already)
+  //   2. if forwarding a PUSH_PROMISE, allocate ID to the promised stream
+  //   3. if forwarding a PRIORITY_UPDATE (that is sent on stream 0), filling in the ID of the stream
+  //      it refers to
+  //   4. padding DATA frames according to the padding policy
+  //   5. forwarding the frame, changing `streamCount` as appropriate
+  //
+  //   Frames of new streams are dropped after the peer has sent its final GOAWAY.
+  var moreNeeded, selected, read = this._readFrame.bind(this);
+  while ((moreNeeded !== false) && (selected = this._scheduler.select(this._priorityRoot, read))) {
+    var stream = selected.stream;
+    var frame = selected.frame;
+
+    if (stream._ended) {
+      delete this._streamIds[stream.id];
+    }
+
+    // * New streams are not initiated after the final GOAWAY of the peer
+    if ((stream.id === undefined) && (this._goawayReceived !== undefined) &&
+        (this._goawayReceived !== MAX_STREAM_ID)) {
+      this._refuseStream(stream);
+      continue;
+    }
+
+    if (frame.stream === undefined) {
+      frame.stream = stream.id || this._allocateId(stream);
+    }
+
+    if (frame.type === 'PUSH_PROMISE') {
+      this._allocatePriority(frame.promised_stream);
+      frame.promised_stream = this._allocateId(frame.promised_stream);
+    }
+
+    if (frame.type === 'PRIORITY_UPDATE') {
+      frame.prioritized_stream = stream.id || this._allocateId(stream);
+    }
+
+    // * RFC 7540 priority signals are not sent if the peer has indicated that it ignores them
+    if (this._noRfc7540Priorities) {
+      if (frame.type === 'PRIORITY') {
+        continue;
+      } else if (frame.type === 'HEADERS') {
+        delete frame.flags.PRIORITY;
       }
+    }
 
-      bucket = nextBucket;
-      nextBucket = [];
+    if (this._paddingPolicy && (frame.type === 'DATA')) {
+      this._padFrame(stream, frame);
     }
+
+    this._log.trace({ s: stream, frame: frame }, 'Forwarding outgoing frame');
+    moreNeeded = this.push(frame);
+    this._changeStreamCount(frame.count_change);
+  }
+
+  // * if the connection is being drained, and all the streams have finished, then end it
+  if (this._draining && (moreNeeded !== false) && this._isDrained()) {
+    this._finishDraining();
+    return;
   }
 
   // * if we couldn't forward any frame, then sleep until window update, or some other wakeup event
@@ -358,11 +651,87 @@ priority_loop:
   this._log.trace({ moreNeeded: moreNeeded }, 'Stopping forwarding frames from streams.');
 };
 
+// Reading the next frame of a stream for the scheduler:
+//
+// * DATA frames are split so that they fit into the connection flow control window and `limit`
+// * a frame that would make `streamCount` greater than `streamLimit` is put back
+Connection.prototype._readFrame = function _readFrame(stream, limit) {
+  if (!stream || !stream.upstream) {
+    return undefined;
+  }
+
+  var size = (this._window > 0) ? this._window : -1;
+  if ((limit !== undefined) && (size !== -1)) {
+    size = (limit > 0) ? Math.min(size, limit) : -1;
+  }
+
+  var frame = stream.upstream.read(size);
+  if (frame && (frame.count_change > this._streamSlotsFree)) {
+    stream.upstream.unshift(frame);
+    return undefined;
+  }
+  return frame || undefined;
+};
+
+// The padding of a DATA frame (and the Pad Length field) counts against both flow control windows.
+// `_readFrame` has made sure that the data fits into the connection window, so the padding may use
+// whatever is left of the connection window, the stream window and the max. frame size. The stream
+// window has already been decreased by the length of the data when the stream queued the frame.
+Connection.prototype._padFrame = function _padFrame(stream, frame) {
+  var length = frame.data.length;
+  var maxPadding = Math.min(padding.MAX_PADDING, this._window - length - 1,
+                            stream.upstream._window - 1, this._maxFrameSize - length - 1);
+  if (maxPadding < 0) {
+    return;
+  }
+
+  var size = this._paddingPolicy(frame, length, maxPadding);
+  if (size === undefined) {
+    return;
+  }
+
+  frame.flags.PADDED = true;
+  frame.padding = size;
+  if (stream.upstream._window !== Infinity) {
+    stream.upstream._window -= size + 1;
+  }
+};
+
+// PRIORITY_UPDATE frames are only sent by clients, and they are applied to the stream they refer
+// to. Updates for streams that do not exist (idle or already closed) are ignored.
+Connection.prototype._receivePriorityUpdate = function _receivePriorityUpdate(frame) {
+  if (this._isClient() || (frame.prioritized_stream === 0)) {
+    this._log.error({ frame: frame }, 'Invalid PRIORITY_UPDATE frame');
+    this.emit('error', 'PROTOCOL_ERROR');
+    return;
+  }
+
+  var stream = this._streamIds[frame.prioritized_stream];
+  if (stream) {
+    stream._onPriorityUpdate(frame);
+  } else {
+    this._log.debug({ frame: frame }, 'Ignoring PRIORITY_UPDATE for unknown stream');
+  }
+};
+
 // The `_receive` method is another virtual method of the [Flow class](flow.html) that has to be
 // implemented by child classes. It forwards the given frame to the appropriate stream:
 Connection.prototype._receive = function _receive(frame, done) {
   this._log.trace({ frame: frame }, 'Forwarding incoming frame');
 
+  // * frames that arrive after the connection has been closed can not be answered anymore
+  if (this._closed) {
+    this._log.debug({ frame: frame }, 'Ignoring frame received after closing the connection');
+    done();
+    return;
+  }
+
+  // * frames that cost us work are counted, and a peer that floods the connection is disconnected
+  if (!this._countFrame(frame)) {
+    done();
+    return;
+  }
+
   // * first frame needs to be checked by the `_onFirstFrameReceived` method
   if (!this._firstFrameReceived) {
     this._firstFrameReceived = true;
@@ -372,7 +741,8 @@ Connection.prototype._receive = function _receive(frame, done) {
   // Do some sanity checking here before we create a stream
   if ((frame.type == 'SETTINGS' ||
        frame.type == 'PING' ||
-       frame.type == 'GOAWAY') &&
+       frame.type == 'GOAWAY' ||
+       frame.type == 'PRIORITY_UPDATE') &&
       frame.stream != 0) {
     // Got connection-level frame on a stream - EEP!
     this.close('PROTOCOL_ERROR');
@@ -390,12 +760,47 @@ Connection.prototype._receive = function _receive(frame, done) {
   }
   // WINDOW_UPDATE can be on either stream or connection
 
+  // * DATA is sampled for the auto-tuning of flow control windows
+  if (this._windowTuning && (frame.type === 'DATA') && (frame.data.length > 0)) {
+    this._sampleBandwidth(frame.data.length);
+  }
+
   // * gets the appropriate stream from the stream registry
   var stream = this._streamIds[frame.stream];
 
-  // * or creates one if it's not in `this.streams`
+  // * or creates one if it's not in `this.streams`. Streams that are initiated after sending the
+  //   final GOAWAY of a graceful shutdown are ignored, and streams above our concurrent stream
+  //   limit are refused.
+  var refused = false;
   if (!stream) {
-    stream = this._createIncomingStream(frame.stream);
+    if ((this._goawaySent !== undefined) && (frame.stream > this._goawaySent)) {
+      this._log.debug({ frame: frame }, 'Ignoring frame of a stream initiated after GOAWAY');
+      if (this._manualFlowControl && (frame.type === 'DATA')) {
+        this.consume(frame.data.length);
+      }
+      done();
+      return;
+    }
+    if (this._isClosedStreamId(frame.stream) && (frame.type === 'WINDOW_UPDATE' ||
+                                                 frame.type === 'RST_STREAM' ||
+                                                 frame.type === 'PRIORITY')) {
+      this._log.debug({ frame: frame }, 'Ignoring frame of a closed stream');
+      done();
+      return;
+    }
+    if (frame.type !== 'HEADERS') {
+      stream = this._createIncomingStream(frame.stream);
+    } else if (this._incomingStreams >= this._incomingStreamLimit) {
+      stream = this._createRefusedStream(frame.stream);
+      refused = true;
+      if (this._closed) {
+        done();
+        return;
+      }
+    } else {
+      stream = this._createIncomingStream(frame.stream);
+      this._countIncomingStream(stream);
+    }
   }
 
   // * in case of PUSH_PROMISE, replaces the promised stream id with a new incoming stream
@@ -408,13 +813,20 @@ Connection.prototype._receive = function _receive(frame, done) {
   // * and writes it to the `stream`'s `upstream`
   stream.upstream.write(frame);
 
+  if (refused && (stream.state !== 'CLOSED')) {
+    stream.reset('REFUSED_STREAM');
+  }
+
   done();
 };
 
 // Settings management
 // -------------------
 
+// The settings that are sent even if they are not given explicitly. Limiting the size of header
+// lists protects against peers that send endless header blocks.
 var defaultSettings = {
+  SETTINGS_MAX_HEADER_LIST_SIZE: 65536
 };
 
 // Settings management initialization:
@@ -422,14 +834,34 @@ Connection.prototype._initializeSettingsManagement = function _initializeSetting
   // * Setting up the callback queue for setting acknowledgements
   this._settingsAckCallbacks = [];
 
+  // * `_localSettings` are the values we sent to the peer, `_remoteSettings` are the values received
+  //   from the peer (undefined until its first SETTINGS frame arrives), and `_headerListSizeLimit`
+  //   is the SETTINGS_MAX_HEADER_LIST_SIZE of the peer
+  this._localSettings = {};
+  this._remoteSettings = undefined;
+  this._headerListSizeLimit = Infinity;
+  this.on('RECEIVING_SETTINGS_MAX_HEADER_LIST_SIZE', function(limit) {
+    this._headerListSizeLimit = limit;
+  });
+
+  // * [Extended CONNECT](https://tools.ietf.org/html/rfc8441#section-3) can not be disabled once
+  //   it has been enabled
+  this.on('RECEIVING_SETTINGS_ENABLE_CONNECT_PROTOCOL', function(value) {
+    if (!value && this._remoteSettings && this._remoteSettings.SETTINGS_ENABLE_CONNECT_PROTOCOL) {
+      this._log.error('Peer tried to disable extended CONNECT');
+      this.emit('error', 'PROTOCOL_ERROR');
+    }
+  });
+
   // * Sending the initial settings.
+  settings = util._extend(util._extend({}, defaultSettings), settings);
   this._log.debug({ settings: settings },
                   'Sending the first SETTINGS frame as part of the connection header.');
-  this.set(settings || defaultSettings);
+  this.set(settings);
 
   // * Forwarding SETTINGS frames to the `_receiveSettings` method
   this.on('SETTINGS', this._receiveSettings);
-  this.on('RECEIVING_SETTINGS_MAX_FRAME_SIZE', this._sanityCheckMaxFrameSize);
+  this.on('RECEIVING_SETTINGS_MAX_FRAME_SIZE', this._setMaxFrameSize);
 };
 
 // * Checking that the first frame the other endpoint sends is SETTINGS
@@ -462,16 +894,31 @@ Connection.prototype._receiveSettings = function _receiveSettings(frame) {
         settings: {}
       });
     }
-    for (var name in frame.settings) {
-      this.emit('RECEIVING_' + name, frame.settings[name]);
-    }
+    this.applySettings(frame.settings);
   }
 };
 
-Connection.prototype._sanityCheckMaxFrameSize = function _sanityCheckMaxFrameSize(value) {
+// Changing the settings requested by the peer. 'remoteSettings' is emitted with all the values
+// received so far.
+Connection.prototype.applySettings = function applySettings(settings) {
+  for (var name in settings) {
+    this.emit('RECEIVING_' + name, settings[name]);
+  }
+  this._remoteSettings = util._extend(this._remoteSettings || {}, settings);
+  this.emit('remoteSettings', this._remoteSettings);
+};
+
+// The peer's SETTINGS_MAX_FRAME_SIZE must be between 2^14 and 2^24-1. A valid value becomes the
+// max. size of the DATA frames produced by the connection and by every stream.
+Connection.prototype._setMaxFrameSize = function _setMaxFrameSize(value) {
   if ((value < 0x4000) || (value >= 0x01000000)) {
     this._log.fatal('Received invalid value for max frame size: ' + value);
-    this.emit('error');
+    this.emit('error', 'PROTOCOL_ERROR');
+  } else {
+    this.setMaxFrameSize(value);
+    this._streamIds.forEach(function(stream) {
+      stream.upstream.setMaxFrameSize(value);
+    });
   }
 };
 
@@ -496,10 +943,27 @@ Connection.prototype.set = function set(settings, callback) {
     settings: settings
   });
   for (var name in settings) {
+    this._localSettings[name] = settings[name];
     this.emit('SENDING_' + name, settings[name]);
   }
 };
 
+// Header lists that are larger than the SETTINGS_MAX_HEADER_LIST_SIZE of the peer would probably
+// be rejected, so they are not sent at all. The error is thrown to the caller of the method that
+// tried to send them.
+var headerListSize = require('./compressor').headerListSize;
+
+Connection.prototype._checkHeaderListSize = function _checkHeaderListSize(headers) {
+  var size = headerListSize(headers);
+  if (size > this._headerListSizeLimit) {
+    var error = new Error('The size of the header list (' + size + ' bytes) exceeds the ' +
+                          'SETTINGS_MAX_HEADER_LIST_SIZE of the peer (' +
+                          this._headerListSizeLimit + ' bytes)');
+    error.code = 'HEADER_LIST_TOO_LARGE';
+    throw error;
+  }
+};
+
 // Lifecycle management
 // --------------------
 
@@ -508,13 +972,21 @@ Connection.prototype.set = function set(settings, callback) {
 // * keeping the connection alive by
 //   * sending PINGs when the connection is idle
 //   * answering PINGs
-// * ending the connection
+// * ending the connection, either immediately or gracefully
 
 Connection.prototype._initializeLifecycleManagement = function _initializeLifecycleManagement() {
   this._pings = {};
   this.on('PING', this._receivePing);
   this.on('GOAWAY', this._receiveGoaway);
   this._closed = false;
+
+  // * `_goawaySent` and `_goawayReceived` are the last stream IDs of the GOAWAY frames sent and
+  //   received during a graceful shutdown. `_draining` is set when the connection is waiting for
+  //   the in-flight streams to finish.
+  this._shutdownStarted = false;
+  this._goawaySent = undefined;
+  this._goawayReceived = undefined;
+  this._draining = false;
 };
 
 // Generating a string of length 16 with random hexadecimal digits
@@ -529,9 +1001,21 @@ Connection.prototype._generatePingId = function _generatePingId() {
 };
 
 // Sending a ping and calling `callback` when the answer arrives
-Connection.prototype.ping = function ping(callback) {
-  var id = this._generatePingId();
-  var data = new Buffer(id, 'hex');
+Connection.prototype.ping = function ping(data, callback) {
+  if (typeof data === 'function') {
+    callback = data;
+    data = undefined;
+  }
+
+  var id;
+  if (data === undefined) {
+    id = this._generatePingId();
+    data = new Buffer(id, 'hex');
+  } else if (!Buffer.isBuffer(data) || (data.length !== 8)) {
+    throw new Error('PING payload must be an 8 bytes long Buffer');
+  } else if ((id = data.toString('hex')) in this._pings) {
+    throw new Error('A PING with the same payload is already in flight');
+  }
   this._pings[id] = callback;
 
   this._log.debug({ data: data }, 'Sending PING.');
@@ -543,6 +1027,19 @@ Connection.prototype.ping = function ping(callback) {
     stream: 0,
     data: data
   });
+
+  return id;
+};
+
+// Forgetting a ping that was given up on (after a timeout, for example), so that its payload can be
+// used again and the callback is not called when the answer arrives after all
+Connection.prototype.cancelPing = function cancelPing(id) {
+  if (!(id in this._pings)) {
+    return false;
+  }
+  this._log.debug({ id: id }, 'Cancelling PING.');
+  delete this._pings[id];
+  return true;
 };
 
 // Answering pings
@@ -592,30 +1089,261 @@ Connection.prototype.close = function close(error) {
   }
 
   this._log.debug({ error: error }, 'Closing the connection');
+  this._pushGoaway(this._lastIncomingStream, error || 'NO_ERROR');
+  this.push(null);
+  this._closed = true;
+};
+
+Connection.prototype._pushGoaway = function _pushGoaway(lastStream, error) {
   this.push({
     type: 'GOAWAY',
     flags: {},
     stream: 0,
-    last_stream: this._lastIncomingStream,
-    error: error || 'NO_ERROR'
+    last_stream: lastStream,
+    error: error
   });
-  this.push(null);
-  this._closed = true;
+};
+
+// [Graceful shutdown](https://tools.ietf.org/html/rfc7540#section-6.8) happens in three steps:
+//
+// 1. a GOAWAY with the largest possible stream ID signals that the connection is about to be
+//    closed, and that the peer should stop initiating new streams
+// 2. after a PING round trip, the streams that the peer initiated before receiving the first
+//    GOAWAY have surely arrived, so the final GOAWAY can carry the ID of the last processed stream.
+//    Streams initiated later are ignored.
+// 3. the connection is ended when all the in-flight streams have finished
+var MAX_STREAM_ID = 0x7fffffff;
+
+Connection.prototype.shutdown = function shutdown() {
+  if (this._closed) {
+    setImmediate(this.emit.bind(this, 'drained'));
+    return;
+  } else if (this._shutdownStarted) {
+    return;
+  }
+
+  this._log.debug('Starting graceful shutdown');
+  this._shutdownStarted = true;
+  this._pushGoaway(MAX_STREAM_ID, 'NO_ERROR');
+
+  this.ping(function() {
+    if (!this._closed) {
+      this._log.debug({ last_stream: this._lastIncomingStream }, 'Sending final GOAWAY');
+      this._goawaySent = this._lastIncomingStream;
+      this._pushGoaway(this._goawaySent, 'NO_ERROR');
+      this._drain();
+    }
+  }.bind(this));
 };
 
 Connection.prototype._receiveGoaway = function _receiveGoaway(frame) {
-  this._log.debug({ error: frame.error }, 'Other end closed the connection');
-  this.push(null);
-  this._closed = true;
+  this._log.debug({ error: frame.error, last_stream: frame.last_stream },
+                  'Other end closed the connection');
+
+  // * An error closes the connection immediately
   if (frame.error !== 'NO_ERROR') {
+    this.push(null);
+    this._closed = true;
     this.emit('peerError', frame.error);
+    return;
+  }
+
+  // * Otherwise, the streams that the peer has processed are allowed to finish. The first GOAWAY of
+  //   a graceful shutdown only signals that no new streams should be initiated.
+  this._goawayReceived = frame.last_stream;
+  this._refuseUnprocessedStreams(frame.last_stream);
+  if (frame.last_stream !== MAX_STREAM_ID) {
+    this._drain();
+  }
+};
+
+// The streams that we initiated with an ID above the last stream ID of a GOAWAY have not been
+// processed by the peer. After the final GOAWAY, the ones that have not been sent yet will not be
+// processed either. These are removed from the connection, and the 'refused' event tells the user
+// that they can be retried.
+Connection.prototype._refuseUnprocessedStreams = function _refuseUnprocessedStreams(lastStream) {
+  var nextStreamId = this._nextStreamId;
+  var refused = [];
+  (function collect(node) {
+    node.children.forEach(function(child) {
+      var stream = child.stream;
+      var unprocessed = (stream.id === undefined) ? (lastStream !== MAX_STREAM_ID) :
+                        (((stream.id - nextStreamId) % 2 === 0) && (stream.id > lastStream));
+      if (unprocessed) {
+        refused.push(stream);
+      }
+      collect(child);
+    });
+  })(this._priorityRoot);
+
+  refused.forEach(this._refuseStream, this);
+};
+
+Connection.prototype._refuseStream = function _refuseStream(stream) {
+  this._log.debug({ s: stream }, 'Stream was not processed by the peer');
+  this._removePrioritisedStream(stream);
+  delete this._streamIds[stream.id];
+  stream.emit('refused');
+
+  // * Pending writes are released, since the data is not going to be sent anyway
+  stream.upstream._send();
+};
+
+// Draining: ending the connection when there are no more in-flight streams. `_send` checks this
+// every time it runs out of frames to send, so it is woken up when a stream gets closed.
+Connection.prototype._drain = function _drain() {
+  this._draining = true;
+  this._send();
+};
+
+Connection.prototype._onStreamStateChange = function _onStreamStateChange(state) {
+  if (this._draining && (state === 'CLOSED')) {
+    this._send();
   }
 };
 
+// A stream is in flight if it has an ID and it is not closed yet, or it still has frames to send.
+// The streams that the peer will not process according to its GOAWAY are not in the tree anymore.
+Connection.prototype._isDrained = function _isDrained() {
+  function inFlight(node) {
+    var stream = node.stream;
+    if (stream && (stream.id !== undefined)) {
+      var upstream = stream.upstream;
+      var pending = (upstream._queue.length > 0) || (upstream._readableState.length > 0);
+      if ((stream.state !== 'CLOSED') || pending) {
+        return true;
+      }
+    }
+    return node.children.some(inFlight);
+  }
+
+  return !inFlight(this._priorityRoot);
+};
+
+Connection.prototype._finishDraining = function _finishDraining() {
+  this._log.debug('All streams finished, ending the connection');
+  this._draining = false;
+  this.push(null);
+  this._closed = true;
+  this.emit('drained');
+};
+
+// Flood protection
+// ----------------
+
+// A peer can make us do a lot of work with cheap frames: opening and resetting streams right away
+// ([rapid reset][1]), sending PINGs and SETTINGS that have to be acknowledged, or sending empty and
+// PRIORITY frames. These are counted, and the connection is closed with ENHANCE_YOUR_CALM when a
+// counter exceeds its budget. The budgets can be changed with the `limits` option:
+//
+// * `maxResetsPerSecond`: RST_STREAM frames received per second
+// * `maxPriorityFramesPerSecond`: PRIORITY and PRIORITY_UPDATE frames received per second
+// * `maxOutstandingControlFrames`: the number of frames that may wait in the output buffer when a
+//   PING or SETTINGS frame is to be acknowledged. A peer that does not read our answers fills it.
+// * `maxEmptyFramesPerSecond`: DATA frames without payload and END_STREAM flag, and empty
+//   CONTINUATION frames received per second
+// * `maxRefusedStreamsPerSecond`: streams refused per second because of our concurrent stream
+//   limit. Well-behaved clients may race a lowered limit now and then, so this is a rate too.
+//
+// [1]: https://nvd.nist.gov/vuln/detail/CVE-2023-44487
+var defaultLimits = {
+  maxResetsPerSecond: 200,
+  maxPriorityFramesPerSecond: 1000,
+  maxOutstandingControlFrames: 1000,
+  maxEmptyFramesPerSecond: 100,
+  maxRefusedStreamsPerSecond: 10
+};
+
+// The budget of each counter. The counters without a budget are only kept for monitoring.
+var budgets = {
+  resets: 'maxResetsPerSecond',
+  priorityFrames: 'maxPriorityFramesPerSecond',
+  emptyFrames: 'maxEmptyFramesPerSecond',
+  refusedStreams: 'maxRefusedStreamsPerSecond'
+};
+
+Connection.prototype._initializeFloodProtection = function _initializeFloodProtection(limits) {
+  this._limits = util._extend(util._extend({}, defaultLimits), limits);
+  this._budgetWindows = {};
+
+  // * `counters` is public, so that it can be used for monitoring
+  this.counters = {
+    resets: 0,
+    pings: 0,
+    settings: 0,
+    priorityFrames: 0,
+    emptyFrames: 0,
+    refusedStreams: 0
+  };
+};
+
+// Counting the incoming frames that have a cost. Returns false if the connection has been closed
+// because of a flood.
+Connection.prototype._countFrame = function _countFrame(frame) {
+  switch (frame.type) {
+    case 'RST_STREAM':
+      return this._consume('resets');
+    case 'PRIORITY':
+    case 'PRIORITY_UPDATE':
+      return this._consume('priorityFrames');
+    case 'DATA':
+      return ((frame.data.length > 0) || frame.flags.END_STREAM) || this._consume('emptyFrames');
+    case 'PING':
+    case 'SETTINGS':
+      return frame.flags.ACK ||
+             (this._consume((frame.type === 'PING') ? 'pings' : 'settings') &&
+              this._checkOutstandingFrames());
+  }
+  return true;
+};
+
+// Empty CONTINUATION frames never reach the connection, since the
+// [Decompressor](compressor.html) concatenates header blocks. It reports them separately.
+Connection.prototype._countEmptyFrame = function _countEmptyFrame() {
+  if (!this._closed) {
+    this._consume('emptyFrames');
+  }
+};
+
+// `_consume` increments a counter and checks its budget. The budgets are rates, checked in fixed
+// one second windows, so that long-lived connections are not closed because of the occasional
+// costly frame.
+Connection.prototype._consume = function _consume(counter) {
+  this.counters[counter] += 1;
+
+  var limit = budgets[counter];
+  if (!limit) {
+    return true;
+  }
+
+  var now = Date.now();
+  var window = this._budgetWindows[counter];
+  if (!window || (now - window.start >= 1000)) {
+    window = this._budgetWindows[counter] = { start: now, count: 0 };
+  }
+  window.count += 1;
+
+  return (window.count <= this._limits[limit]) || this._flood(counter);
+};
+
+// Frames are waiting in the flow control queue or in the output buffer if the peer does not read
+// what we send.
+Connection.prototype._checkOutstandingFrames = function _checkOutstandingFrames() {
+  var outstanding = this._readableState.length + this._queue.length;
+  return (outstanding < this._limits.maxOutstandingControlFrames) ||
+         this._flood('outstandingControlFrames');
+};
+
+Connection.prototype._flood = function _flood(counter) {
+  this._log.error({ counter: counter, counters: this.counters }, 'Flood detected');
+  this.close('ENHANCE_YOUR_CALM');
+  return false;
+};
+
 // Flow control
 // ------------
 
-Connection.prototype._initializeFlowControl = function _initializeFlowControl() {
+Connection.prototype._initializeFlowControl = function _initializeFlowControl(windowTuning, manual) {
   // Handling of initial window size of individual streams.
   this._initialStreamWindowSize = INITIAL_STREAM_WINDOW_SIZE;
   this.on('new_stream', function(stream) {
@@ -623,9 +1351,37 @@ Connection.prototype._initializeFlowControl = function _initializeFlowControl()
   });
   this.on('RECEIVING_SETTINGS_INITIAL_WINDOW_SIZE', this._setInitialStreamWindowSize);
   this._streamIds[0].upstream.setInitialWindow = function noop() {};
+
+  // Handling of the receive window of individual streams: it is our own
+  // SETTINGS_INITIAL_WINDOW_SIZE, which is tracked from the moment it is sent (this listener is
+  // registered before the first SETTINGS frame is sent).
+  this._localStreamWindowSize = INITIAL_STREAM_WINDOW_SIZE;
+  this.on('new_stream', function(stream) {
+    stream.upstream.setReceiveWindow(this._localStreamWindowSize);
+    stream.upstream.setWindowUpdateThreshold(this._windowUpdateThreshold);
+  });
+  this.on('SENDING_SETTINGS_INITIAL_WINDOW_SIZE', this._setLocalStreamWindowSize);
+  this._streamIds[0].upstream.setReceiveWindow = function noop() {};
+
+  // Auto-tuning of the receive windows, if requested.
+  this._initializeWindowTuning(windowTuning);
+
+  // In manual mode, the connection and the streams wait for the application to consume the data.
+  if (manual) {
+    this.setManualFlowControl();
+    this.on('new_stream', function(stream) {
+      stream.upstream.setManualFlowControl();
+    });
+  }
+
+  // New streams inherit the max. frame size negotiated so far.
+  this.on('new_stream', function(stream) {
+    stream.upstream.setMaxFrameSize(this._maxFrameSize);
+  });
+  this._streamIds[0].upstream.setMaxFrameSize = function noop() {};
 };
 
-// The initial connection flow control window is 65535 bytes.
+// The initial connection and stream flow control windows are 65535 bytes.
 var INITIAL_STREAM_WINDOW_SIZE = 65535;
 
 // A SETTINGS frame can alter the initial flow control window size for all current streams. When the
@@ -644,3 +1400,120 @@ Connection.prototype._setInitialStreamWindowSize = function _setInitialStreamWin
     });
   }
 };
+
+Connection.prototype._setLocalStreamWindowSize = function _setLocalStreamWindowSize(size) {
+  this._localStreamWindowSize = size;
+  this._streamIds.forEach(function(stream) {
+    stream.upstream.setReceiveWindow(size);
+  });
+};
+
+// Our side of connection level flow control (the window that the peer fills) is handled by
+// `_restoreWindow` which gives back exactly what was consumed, so the window keeps its initial size
+// of 65535 bytes. It can be enlarged with a WINDOW_UPDATE, but never shrunk.
+var MAX_WINDOW_SIZE = Math.pow(2, 31) - 1;
+
+Connection.prototype.setConnectionWindowSize = function setConnectionWindowSize(size) {
+  if ((typeof size !== 'number') || !(size <= MAX_WINDOW_SIZE)) {
+    throw new Error('The connection window size must be a number not larger than 2^31-1.');
+  }
+
+  var increment = size - this._receiveWindow;
+  if (increment <= 0) {
+    this._log.debug({ size: size, current: this._receiveWindow },
+                    'Ignoring attempt to shrink the connection window.');
+    return;
+  }
+
+  this._log.debug({ size: size }, 'Enlarging the connection window.');
+  this.setReceiveWindow(size);
+  if (!this._closed) {
+    this.push({
+      type: 'WINDOW_UPDATE',
+      flags: {},
+      stream: 0,
+      window_size: increment
+    });
+  }
+};
+
+// The flow control window of a closed connection is not restored anymore.
+Connection.prototype._restoreWindow = function _restoreWindow() {
+  if (this._closed) {
+    delete this._restoreWindowTimer;
+  } else {
+    Flow.prototype._restoreWindow.call(this);
+  }
+};
+
+// With fixed windows, a connection can not transfer more than one window per round trip. When
+// window tuning is enabled, the receive windows are grown to the bandwidth-delay product (BDP) of
+// the connection, which is estimated similarly to gRPC:
+//
+// * when a DATA frame arrives and no measurement is in progress, a PING is sent
+// * the DATA received until the answer arrives is a sample of the BDP
+// * if the sample is at least 2/3 of the connection window, and the bandwidth (the sample divided
+//   by the round-trip time) is the highest measured so far, the connection window and our
+//   SETTINGS_INITIAL_WINDOW_SIZE are grown to twice the sample, up to `maxWindowSize`
+//
+// Window tuning also enables batching of WINDOW_UPDATE frames with `updateThreshold`.
+var DEFAULT_MAX_WINDOW_SIZE = 16 * 1024 * 1024;
+var DEFAULT_WINDOW_UPDATE_THRESHOLD = 0.5;
+
+Connection.prototype._initializeWindowTuning = function _initializeWindowTuning(options) {
+  this._windowUpdateThreshold = 0;
+  if (!options) {
+    return;
+  }
+
+  var maxWindowSize = (options.maxWindowSize !== undefined) ? options.maxWindowSize
+                                                            : DEFAULT_MAX_WINDOW_SIZE;
+  if ((typeof maxWindowSize !== 'number') || !(maxWindowSize <= MAX_WINDOW_SIZE)) {
+    throw new Error('The max. window size must be a number not larger than 2^31-1.');
+  }
+
+  this._windowUpdateThreshold = (options.updateThreshold !== undefined) ? options.updateThreshold
+                                                                        : DEFAULT_WINDOW_UPDATE_THRESHOLD;
+  this.setWindowUpdateThreshold(this._windowUpdateThreshold);
+
+  this._windowTuning = {
+    maxWindowSize: maxWindowSize,
+    sample: 0,
+    sampleStarted: undefined,
+    maxBandwidth: 0
+  };
+};
+
+Connection.prototype._sampleBandwidth = function _sampleBandwidth(size) {
+  var tuning = this._windowTuning;
+  if (tuning.sampleStarted === undefined) {
+    tuning.sample = 0;
+    tuning.sampleStarted = Date.now();
+    this.ping(this._finishBandwidthSample.bind(this));
+  }
+  tuning.sample += size;
+};
+
+Connection.prototype._finishBandwidthSample = function _finishBandwidthSample() {
+  var tuning = this._windowTuning;
+  var rtt = Math.max(Date.now() - tuning.sampleStarted, 1);
+  var bandwidth = tuning.sample / rtt;
+  tuning.sampleStarted = undefined;
+
+  this._log.trace({ sample: tuning.sample, rtt: rtt, window: this._receiveWindow },
+                  'Finished bandwidth-delay product sample.');
+  if ((tuning.sample < this._receiveWindow * 2 / 3) || (bandwidth <= tuning.maxBandwidth)) {
+    return;
+  }
+  tuning.maxBandwidth = bandwidth;
+
+  var size = Math.min(2 * tuning.sample, tuning.maxWindowSize);
+  if (size > this._receiveWindow) {
+    this._log.debug({ size: size, bandwidth: bandwidth }, 'Growing the connection window.');
+    this.setConnectionWindowSize(size);
+  }
+  if ((size > this._localStreamWindowSize) && !this._closed) {
+    this._log.debug({ size: size }, 'Growing the initial window of streams.');
+    this.set({ SETTINGS_INITIAL_WINDOW_SIZE: size });
+  }
+};
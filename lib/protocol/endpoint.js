@@ -7,6 +7,8 @@ var Decompressor = require('./compressor').Decompressor;
 var Connection   = require('./connection').Connection;
 var Duplex       = require('stream').Duplex;
 var Transform    = require('stream').Transform;
+var util         = require('util');
+var createPaddingPolicy = require('./padding').createPaddingPolicy;
 
 exports.Endpoint = Endpoint;
 
@@ -16,7 +18,7 @@ exports.Endpoint = Endpoint;
 // Public API
 // ----------
 
-// - **new Endpoint(log, role, settings, filters)**: create a new Endpoint.
+// - **new Endpoint(log, role, settings, [filters], [options])**: create a new Endpoint.
 //
 //   - `log`: bunyan logger of the parent
 //   - `role`: 'CLIENT' or 'SERVER'
@@ -34,20 +36,102 @@ exports.Endpoint = Endpoint;
 //     - `beforeCompression`: after multiplexing, before compression
 //     - `afterDeserialization`: after deserialization, before decompression
 //     - `afterDecompression`: after decompression, before multiplexing
+//   - `options`: additional options:
+//     - `scheduler`: the [scheduler](scheduler.html) that decides which stream sends the next
+//       frame. It is either the name of a built-in scheduler (`'priority'` (default), `'fifo'`,
+//       `'strict'`, `'wfq'` or `'drr'`), or a constructor that is called for every connection.
+//     - `keepAlive`: an object with `interval` and `timeout` properties. If given, a PING is sent
+//       when nothing has been received from the peer for `interval` milliseconds. If the answer
+//       does not arrive in `timeout` milliseconds (default is `interval`), the connection is closed
+//       and 'pingTimeout' is emitted.
+//     - `limits`: the budgets of the flood protection of the [connection](connection.html). A peer
+//       that exceeds them gets a GOAWAY with ENHANCE_YOUR_CALM.
+//     - `connectionWindowSize`: the size of the connection level flow control window that the
+//       peer may fill (65535 by default). A larger window lets the peer send more data per round
+//       trip on high-latency links.
+//     - `windowTuning`: `{ maxWindowSize, updateThreshold }`, grow the connection and stream
+//       receive windows automatically to the bandwidth-delay product measured with PINGs, and batch
+//       WINDOW_UPDATE frames (see [connection](connection.html) for details)
+//     - `manualFlowControl`: if true, received DATA is acknowledged only when the application
+//       consumes it with `stream.consume(bytes)` (see [stream](stream.html)). This way a slow
+//       consumer slows down the remote sender precisely.
+//     - `padding`: the [padding policy](padding.html) of outgoing DATA, HEADERS and PUSH_PROMISE
+//       frames: `'none'` (default), `{ blockSize: n }`, `{ random: n }` or a function that returns
+//       the number of padding bytes for a frame. Padding makes it harder to infer the content from
+//       the length of the encrypted frames.
+//
+//   The `SETTINGS_MAX_FRAME_SIZE` setting (16384 by default, up to 2^24-1) is enforced on incoming
+//   frames, and the value advertised by the peer is used to size outgoing DATA frames and header
+//   blocks.
 //
 // * **Event: 'stream' (Stream)**: 'stream' event forwarded from the underlying Connection
 //
 // * **Event: 'error' (type)**: signals an error
 //
+// * **Event: 'goaway' (lastStream, error)**: signals the receipt of a GOAWAY frame. No new streams
+//   should be initiated on the connection after this.
+//
+// * **Event: 'pingTimeout'**: signals that the peer did not answer a keepalive PING in time, and
+//   the connection has been closed. The underlying transport is probably broken, so it should be
+//   destroyed.
+//
+// * **ping([payload], [timeout]): Promise**: send a PING and return a promise that resolves to the
+//   round-trip time in milliseconds. `payload` is an optional 8 bytes long Buffer. The promise is
+//   rejected if the answer does not arrive in `timeout` milliseconds (default is 10000), or if
+//   the connection is closed; the `code` of the error is `'PING_TIMEOUT'` or `'CONNECTION_CLOSED'`.
+//
+// * **rtt**, **smoothedRtt**, **minRtt**: the round-trip time (in milliseconds) measured with the
+//   last PING, its [smoothed average][1] and the minimum of the measurements. They are undefined
+//   until the first PING answer arrives.
+//
 // * **createStream(): Stream**: initiate a new stream (forwarded to the underlying Connection)
 //
+// * **createUpgradedStream([headers], [body]): Stream**: create stream 1 of a connection that was
+//   started with an HTTP/1.1 Upgrade (forwarded to the underlying Connection)
+//
+// * **getStreamLimit(): Number**: the number of concurrent streams that the peer allows us to
+//   initiate (SETTINGS_MAX_CONCURRENT_STREAMS). Infinity until the peer's first SETTINGS frame
+//   arrives.
+//
+// * **getCounters(): Object**: the counters of the flood protection of the underlying Connection
+//   (the number of received RST_STREAM, PING, SETTINGS, PRIORITY and empty frames, and the number
+//   of refused streams)
+//
+// * **consume(bytes)**: release `bytes` of received DATA from the connection window only, in manual
+//   flow control mode (`stream.consume()` releases both the stream and the connection window)
+//
+// * **setConnectionWindowSize(size)**: enlarge the connection level flow control window at runtime
+//   (forwarded to the underlying Connection). The window can not be shrunk.
+//
+// * **applySettings(settings)**: apply the settings received in the HTTP2-Settings header of an
+//   Upgrade request (forwarded to the underlying Connection)
+//
+// * **shutdown([options], [callback])**: gracefully close the connection. The peer is asked not to
+//   initiate new streams with two GOAWAY frames that are one PING round trip apart, and the
+//   connection is ended when all in-flight streams have finished. If `options.timeout` is given,
+//   the connection is closed anyway after that many milliseconds. The callback is subscribed to
+//   the 'shutdown' event.
+//
+// * **Event: 'shutdown' (drained)**: signals the end of a graceful shutdown. `drained` is false if
+//   the connection had to be closed before all the streams could finish.
+//
+// * **setTimeout(timeout, [callback])**: emit 'timeout' when no data has been sent or received on
+//   the connection for `timeout` milliseconds (0 disables the timeout). `callback` is subscribed to
+//   the 'timeout' event. If there are no listeners for the event, the connection is closed with a
+//   GOAWAY frame instead.
+//
+// * **Event: 'timeout'**: signals that the connection has been idle for the time set with
+//   `setTimeout`
+//
 // * **close([error])**: close the connection with an error code
+//
+// [1]: https://tools.ietf.org/html/rfc6298#section-2
 
 // Constructor
 // -----------
 
 // The process of initialization:
-function Endpoint(log, role, settings, filters) {
+function Endpoint(log, role, settings, filters, options) {
   Duplex.call(this);
 
   // * Initializing logging infrastructure
@@ -65,13 +149,16 @@ function Endpoint(log, role, settings, filters) {
   // * Initialization of component. This includes the second part of the handshake process:
   //   sending the first SETTINGS frame. This is done by the connection class right after
   //   initialization.
-  this._initializeDataFlow(role, settings, filters || {});
+  this._initializeDataFlow(role, settings, filters || {}, options || {});
 
   // * Initialization of management code.
   this._initializeManagement();
 
   // * Initializing error handling.
   this._initializeErrorHandling();
+
+  // * Keeping the connection alive, if requested.
+  this._initializeKeepAlive((options || {}).keepAlive);
 }
 Endpoint.prototype = Object.create(Duplex.prototype, { constructor: { value: Endpoint } });
 
@@ -79,6 +166,7 @@ Endpoint.prototype = Object.create(Duplex.prototype, { constructor: { value: End
 // ---------
 
 var CLIENT_PRELUDE = new Buffer('PRI * HTTP/2.0\r\n\r\nSM\r\n\r\n');
+exports.CLIENT_PRELUDE = CLIENT_PRELUDE;
 
 // Writing the client header is simple and synchronous.
 Endpoint.prototype._writePrelude = function _writePrelude() {
@@ -167,7 +255,7 @@ function pipeAndFilter(stream1, stream2, filter) {
   }
 }
 
-Endpoint.prototype._initializeDataFlow = function _initializeDataFlow(role, settings, filters) {
+Endpoint.prototype._initializeDataFlow = function _initializeDataFlow(role, settings, filters, options) {
   var firstStreamId, compressorRole, decompressorRole;
   if (role === 'CLIENT') {
     firstStreamId = 1;
@@ -183,17 +271,70 @@ Endpoint.prototype._initializeDataFlow = function _initializeDataFlow(role, sett
   this._deserializer = new Deserializer(this._log);
   this._compressor   = new Compressor(this._log, compressorRole);
   this._decompressor = new Decompressor(this._log, decompressorRole);
-  this._connection   = new Connection(this._log, firstStreamId, settings);
+  this._connection   = new Connection(this._log, firstStreamId, settings, {
+    scheduler: options.scheduler,
+    limits: options.limits,
+    connectionWindowSize: options.connectionWindowSize,
+    windowTuning: options.windowTuning,
+    manualFlowControl: options.manualFlowControl,
+    padding: options.padding
+  });
+  this._serializer.setPaddingPolicy(createPaddingPolicy(options.padding));
 
   pipeAndFilter(this._connection, this._compressor, filters.beforeCompression);
   pipeAndFilter(this._compressor, this._serializer, filters.beforeSerialization);
   pipeAndFilter(this._deserializer, this._decompressor, filters.afterDeserialization);
   pipeAndFilter(this._decompressor, this._connection, filters.afterDecompression);
 
+  // * When the connection is closed, the end of the outgoing byte stream is signaled too
+  this._serializer.on('end', function() {
+    clearTimeout(this._timeoutTimer);
+    clearTimeout(this._keepAliveTimer);
+    this._rejectPings(createPingError('CONNECTION_CLOSED', 'The connection was closed'));
+    this.push(null);
+  }.bind(this));
+
+  this._decompressor.on('emptyFrame',
+                        this._connection._countEmptyFrame.bind(this._connection));
+
   this._connection.on('ACKNOWLEDGED_SETTINGS_HEADER_TABLE_SIZE',
                       this._decompressor.setTableSizeLimit.bind(this._decompressor));
   this._connection.on('RECEIVING_SETTINGS_HEADER_TABLE_SIZE',
                       this._compressor.setTableSizeLimit.bind(this._compressor));
+
+  // * Our header list size limit is advisory, so it is applied as soon as it is sent (without
+  //   waiting for the ACK of the peer, which may never come)
+  var headerListSizeLimit = this._connection._localSettings.SETTINGS_MAX_HEADER_LIST_SIZE;
+  if (headerListSizeLimit !== undefined) {
+    this._decompressor.setHeaderListSizeLimit(headerListSizeLimit);
+  }
+  this._connection.on('SENDING_SETTINGS_MAX_HEADER_LIST_SIZE',
+                      this._decompressor.setHeaderListSizeLimit.bind(this._decompressor));
+
+  // * Outgoing frames are cut to the max. frame size of the peer, once the connection has found it
+  //   valid
+  var connection = this._connection, compressor = this._compressor, serializer = this._serializer;
+  this._connection.on('RECEIVING_SETTINGS_MAX_FRAME_SIZE', function() {
+    compressor.setMaxFrameSize(connection._maxFrameSize);
+    serializer.setMaxFrameSize(connection._maxFrameSize);
+  });
+
+  // * Incoming frames are checked against our own max. frame size. The peer may start sending
+  //   larger frames right after it received the new value, so an increase is applied when it is
+  //   sent, while a decrease is applied only when it is acknowledged.
+  var deserializer = this._deserializer;
+  function raiseMaxFrameSize(size) {
+    if (size > deserializer._maxPayloadSize) {
+      deserializer.setMaxFrameSize(size);
+    }
+  }
+  var maxFrameSize = this._connection._localSettings.SETTINGS_MAX_FRAME_SIZE;
+  if (maxFrameSize !== undefined) {
+    raiseMaxFrameSize(maxFrameSize);
+  }
+  this._connection.on('SENDING_SETTINGS_MAX_FRAME_SIZE', raiseMaxFrameSize);
+  this._connection.on('ACKNOWLEDGED_SETTINGS_MAX_FRAME_SIZE',
+                      this._deserializer.setMaxFrameSize.bind(this._deserializer));
 };
 
 var noread = {};
@@ -201,6 +342,7 @@ Endpoint.prototype._read = function _read() {
   this._readableState.sync = true;
   var moreNeeded = noread, chunk;
   while (moreNeeded && (chunk = this._serializer.read())) {
+    this._lastActivity = Date.now();
     moreNeeded = this.push(chunk);
   }
   if (moreNeeded === noread) {
@@ -210,6 +352,7 @@ Endpoint.prototype._read = function _read() {
 };
 
 Endpoint.prototype._write = function _write(chunk, encoding, done) {
+  this._lastActivity = this._lastReceived = Date.now();
   this._deserializer.write(chunk, encoding, done);
 };
 
@@ -218,12 +361,39 @@ Endpoint.prototype._write = function _write(chunk, encoding, done) {
 
 Endpoint.prototype._initializeManagement = function _initializeManagement() {
   this._connection.on('stream', this.emit.bind(this, 'stream'));
+  this._connection.on('GOAWAY', function(frame) {
+    this.emit('goaway', frame.last_stream, frame.error);
+  }.bind(this));
 };
 
 Endpoint.prototype.createStream = function createStream() {
   return this._connection.createStream();
 };
 
+Endpoint.prototype.createUpgradedStream = function createUpgradedStream(headers, body) {
+  return this._connection.createUpgradedStream(headers, body);
+};
+
+Endpoint.prototype.applySettings = function applySettings(settings) {
+  this._connection.applySettings(settings);
+};
+
+Endpoint.prototype.getStreamLimit = function getStreamLimit() {
+  return this._connection._streamLimit;
+};
+
+Endpoint.prototype.getCounters = function getCounters() {
+  return util._extend({}, this._connection.counters);
+};
+
+Endpoint.prototype.setConnectionWindowSize = function setConnectionWindowSize(size) {
+  this._connection.setConnectionWindowSize(size);
+};
+
+Endpoint.prototype.consume = function consume(bytes) {
+  this._connection.consume(bytes);
+};
+
 // Error handling
 // --------------
 
@@ -247,6 +417,188 @@ Endpoint.prototype.close = function close(error) {
   this._connection.close(error);
 };
 
+Endpoint.prototype.shutdown = function shutdown(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+  options = options || {};
+
+  if (callback) {
+    this.once('shutdown', callback);
+  }
+  if (this._shutdownState) {
+    return;
+  }
+  this._shutdownState = 'DRAINING';
+
+  this._connection.once('drained', this._finishShutdown.bind(this, true));
+  if (options.timeout !== undefined) {
+    this._shutdownTimer = setTimeout(this._finishShutdown.bind(this, false), options.timeout);
+  }
+  this._connection.shutdown();
+};
+
+Endpoint.prototype._finishShutdown = function _finishShutdown(drained) {
+  if (this._shutdownState !== 'DRAINING') {
+    return;
+  }
+  this._shutdownState = 'FINISHED';
+  clearTimeout(this._shutdownTimer);
+
+  if (!drained) {
+    this._log.info('Graceful shutdown timed out, closing the connection');
+    this.close();
+  }
+  this.emit('shutdown', drained);
+};
+
+// Idle timeout
+// ------------
+
+// The time of the last activity is updated whenever data is sent or received, and the timer only
+// checks it when it fires.
+Endpoint.prototype.setTimeout = function setTimeout(timeout, callback) {
+  if (callback) {
+    this.on('timeout', callback);
+  }
+  this._timeout = timeout;
+  this._lastActivity = Date.now();
+  this._scheduleTimeout(timeout);
+};
+
+Endpoint.prototype._scheduleTimeout = function _scheduleTimeout(delay) {
+  clearTimeout(this._timeoutTimer);
+  this._timeoutTimer = undefined;
+  if ((this._timeout > 0) && !this._connection._closed) {
+    this._timeoutTimer = setTimeout(this._checkTimeout.bind(this), delay);
+  }
+};
+
+Endpoint.prototype._checkTimeout = function _checkTimeout() {
+  var idle = Date.now() - this._lastActivity;
+  if (idle < this._timeout) {
+    this._scheduleTimeout(this._timeout - idle);
+  } else if (this.listeners('timeout').length > 0) {
+    this._lastActivity = Date.now();
+    this._scheduleTimeout(this._timeout);
+    this.emit('timeout');
+  } else {
+    this._log.info({ timeout: this._timeout }, 'Closing idle connection');
+    this.close();
+  }
+};
+
+// Ping and round-trip time
+// ------------------------
+
+var DEFAULT_PING_TIMEOUT = 10000;
+
+function createPingError(code, message) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// `_pendingPings` contains the functions that reject the promises of the pings in flight.
+Endpoint.prototype.ping = function ping(payload, timeout) {
+  var self = this;
+  timeout = (timeout !== undefined) ? timeout : DEFAULT_PING_TIMEOUT;
+
+  return new Promise(function(resolve, reject) {
+    if (self._connection._closed) {
+      throw createPingError('CONNECTION_CLOSED', 'The connection is closed');
+    }
+
+    var id, timer, sent = Date.now();
+    function settle() {
+      clearTimeout(timer);
+      var index = self._pendingPings.indexOf(fail);
+      if (index !== -1) {
+        self._pendingPings.splice(index, 1);
+      }
+    }
+    function fail(error) {
+      settle();
+      self._connection.cancelPing(id);
+      reject(error);
+    }
+
+    id = self._connection.ping(payload, function() {
+      settle();
+      resolve(self._updateRtt(Date.now() - sent));
+    });
+    self._pendingPings.push(fail);
+    timer = setTimeout(function() {
+      fail(createPingError('PING_TIMEOUT', 'PING was not answered in ' + timeout + 'ms'));
+    }, timeout);
+  });
+};
+
+Endpoint.prototype._rejectPings = function _rejectPings(error) {
+  this._pendingPings.slice().forEach(function(fail) {
+    fail(error);
+  });
+};
+
+// The smoothed round-trip time is calculated the same way as in TCP: the new measurement has a
+// weight of 1/8.
+Endpoint.prototype._updateRtt = function _updateRtt(rtt) {
+  this.rtt = rtt;
+  this.minRtt = Math.min(rtt, (this.minRtt !== undefined) ? this.minRtt : Infinity);
+  this.smoothedRtt = (this.smoothedRtt === undefined) ? rtt : (7 * this.smoothedRtt + rtt) / 8;
+  this._log.debug({ rtt: rtt, smoothedRtt: this.smoothedRtt }, 'Round-trip time measured');
+  return rtt;
+};
+
+// Keepalive
+// ---------
+
+// The keepalive timer fires `interval` milliseconds after the last data was received. It only sends
+// a PING if nothing has arrived since then, otherwise it's rescheduled.
+Endpoint.prototype._initializeKeepAlive = function _initializeKeepAlive(keepAlive) {
+  this.rtt = this.smoothedRtt = this.minRtt = undefined;
+  this._pendingPings = [];
+  this._keepAlive = keepAlive && {
+    interval: keepAlive.interval,
+    timeout: (keepAlive.timeout !== undefined) ? keepAlive.timeout : keepAlive.interval
+  };
+  this._lastReceived = Date.now();
+  if (this._keepAlive) {
+    this._scheduleKeepAlive(this._keepAlive.interval);
+  }
+};
+
+Endpoint.prototype._scheduleKeepAlive = function _scheduleKeepAlive(delay) {
+  if (!this._connection._closed) {
+    this._keepAliveTimer = setTimeout(this._checkKeepAlive.bind(this), delay);
+  }
+};
+
+Endpoint.prototype._checkKeepAlive = function _checkKeepAlive() {
+  var silent = Date.now() - this._lastReceived;
+  if (silent < this._keepAlive.interval) {
+    this._scheduleKeepAlive(this._keepAlive.interval - silent);
+    return;
+  }
+
+  var self = this;
+  this.ping(undefined, this._keepAlive.timeout).then(function() {
+    self._scheduleKeepAlive(self._keepAlive.interval);
+  }, function(error) {
+    if (error.code === 'PING_TIMEOUT') {
+      self._onPingTimeout();
+    }
+  });
+};
+
+Endpoint.prototype._onPingTimeout = function _onPingTimeout() {
+  this._log.warn({ timeout: this._keepAlive.timeout },
+                 'Keepalive PING was not answered, closing the connection');
+  this.close();
+  this.emit('pingTimeout');
+};
+
 // Bunyan serializers
 // ------------------
 
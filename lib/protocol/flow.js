@@ -20,6 +20,22 @@ exports.Flow = Flow;
 //   ([as described in the standard][1]) using this method
 //
 // [1]: https://tools.ietf.org/html/rfc7540#section-6.9.2
+//
+// * **setMaxFrameSize(size)**: sets the largest DATA frame payload this flow will produce. It should
+//   be the SETTINGS_MAX_FRAME_SIZE value advertised by the peer.
+//
+// * **setReceiveWindow(size)**: records the size of the window that the peer may fill (65535 by
+//   default). It does not send anything, the caller is responsible for announcing the change.
+//
+// * **setWindowUpdateThreshold(ratio)**: received data is acknowledged with a WINDOW_UPDATE only
+//   when it reaches `ratio` times the receive window (0 by default: everything is acknowledged as
+//   soon as possible). Batching the updates saves control frames on fast connections.
+//
+// * **setManualFlowControl()**: switch to manual flow control. Received DATA is not acknowledged
+//   automatically anymore, only after it is released with `consume(bytes)`.
+//
+// * **consume(bytes)**: release `bytes` of the received DATA in manual mode. It throws if more
+//   bytes are consumed than what was received and not yet consumed.
 
 // API for child classes
 // ---------------------
@@ -40,7 +56,8 @@ exports.Flow = Flow;
 //   the flow control queue).
 //
 // * **read(limit): frame**: like the regular `read`, but the 'flow control size' (0 for non-DATA
-//   frames, length of the payload for DATA frames) of the returned frame will be under `limit`.
+//   frames, length of the payload including padding for DATA frames) of the returned frame will be
+//   under `limit` and the max. frame size.
 //   Small exception: pass -1 as `limit` if the max. flow control size is 0. `read(0)` means the
 //   same thing as [in the original API](https://nodejs.org/api/stream.html#stream_stream_read_0).
 //
@@ -55,15 +72,24 @@ exports.Flow = Flow;
 // control window size of 65535 bytes.
 var INITIAL_WINDOW_SIZE = 65535;
 
+// Until the peer advertises a different SETTINGS_MAX_FRAME_SIZE, frame payloads are at most 16384
+// bytes long.
+var DEFAULT_MAX_FRAME_SIZE = 16384;
+
 // `flowControlId` is needed if only specific WINDOW_UPDATEs should be watched.
 function Flow(flowControlId) {
   Duplex.call(this, { objectMode: true });
 
   this._window = this._initialWindow = INITIAL_WINDOW_SIZE;
   this._flowControlId = flowControlId;
+  this._maxFrameSize = DEFAULT_MAX_FRAME_SIZE;
   this._queue = [];
   this._ended = false;
   this._received = 0;
+  this._receiveWindow = INITIAL_WINDOW_SIZE;
+  this._windowUpdateThreshold = 0;
+  this._manualFlowControl = false;
+  this._unconsumed = 0;
 }
 Flow.prototype = Object.create(Duplex.prototype, { constructor: { value: Flow } });
 
@@ -77,7 +103,8 @@ Flow.prototype._receive = function _receive(frame, callback) {
 
 // `_receive` is called by `_write` which in turn is [called by Duplex][1] when someone `write()`s
 // to the flow. It emits the 'receiving' event and notifies the window size tracking code if the
-// incoming frame is a WINDOW_UPDATE.
+// incoming frame is a WINDOW_UPDATE. Received DATA is acknowledged when the child class has
+// processed it, or in manual mode, when it is consumed.
 // [1]: https://nodejs.org/api/stream.html#stream_writable_write_chunk_encoding_callback_1
 Flow.prototype._write = function _write(frame, encoding, callback) {
   var sentToUs = (this._flowControlId === undefined) || (frame.stream === this._flowControlId);
@@ -86,12 +113,20 @@ Flow.prototype._write = function _write(frame, encoding, callback) {
     this._ended = true;
   }
 
-  if ((frame.type === 'DATA') && (frame.data.length > 0)) {
+  var size = flowControlSize(frame);
+
+  // Padding is never passed to the application, so it is acknowledged right away in manual mode.
+  if (size && this._manualFlowControl) {
+    this._unconsumed += frame.data.length;
+    if (size > frame.data.length) {
+      this._acknowledge(size - frame.data.length);
+    }
+    this._receive(frame, callback);
+  }
+
+  else if (size) {
     this._receive(frame, function() {
-      this._received += frame.data.length;
-      if (!this._restoreWindowTimer) {
-        this._restoreWindowTimer = setImmediate(this._restoreWindow.bind(this));
-      }
+      this._acknowledge(size);
       callback();
     }.bind(this));
   }
@@ -105,12 +140,38 @@ Flow.prototype._write = function _write(frame, encoding, callback) {
   }
 };
 
+// `_acknowledge` schedules the restoration of the window with `size` bytes.
+Flow.prototype._acknowledge = function _acknowledge(size) {
+  this._received += size;
+  if (!this._restoreWindowTimer) {
+    this._restoreWindowTimer = setImmediate(this._restoreWindow.bind(this));
+  }
+};
+
+Flow.prototype.setManualFlowControl = function setManualFlowControl() {
+  this._manualFlowControl = true;
+};
+
+Flow.prototype.consume = function consume(bytes) {
+  if (!(bytes >= 0) || (bytes > this._unconsumed)) {
+    throw new Error('Can not consume ' + bytes + ' bytes, only ' + this._unconsumed +
+                    ' bytes are waiting to be consumed.');
+  }
+  this._unconsumed -= bytes;
+  if (bytes > 0) {
+    this._acknowledge(bytes);
+  }
+};
+
 // `_restoreWindow` basically acknowledges the DATA frames received since it's last call. It sends
-// a WINDOW_UPDATE that restores the flow control window of the remote end.
+// a WINDOW_UPDATE that restores the flow control window of the remote end, if enough data has
+// accumulated. The threshold is never larger than the receive window, so a peer that has used up
+// its window always gets an update once the data is consumed.
 // TODO: push this directly into the output queue. No need to wait for DATA frames in the queue.
 Flow.prototype._restoreWindow = function _restoreWindow() {
   delete this._restoreWindowTimer;
-  if (!this._ended && (this._received > 0)) {
+  var threshold = this._windowUpdateThreshold * this._receiveWindow;
+  if (!this._ended && (this._received > 0) && (this._received >= threshold)) {
     this.push({
       type: 'WINDOW_UPDATE',
       flags: {},
@@ -121,6 +182,15 @@ Flow.prototype._restoreWindow = function _restoreWindow() {
   }
 };
 
+Flow.prototype.setReceiveWindow = function setReceiveWindow(size) {
+  this._receiveWindow = size;
+};
+
+Flow.prototype.setWindowUpdateThreshold = function setWindowUpdateThreshold(ratio) {
+  assert((ratio >= 0) && (ratio <= 1), 'The window update threshold must be between 0 and 1');
+  this._windowUpdateThreshold = ratio;
+};
+
 // Outgoing frames - sending procedure
 // -----------------------------------
 
@@ -176,25 +246,24 @@ Flow.prototype._read = function _read() {
   }
 };
 
-var MAX_PAYLOAD_SIZE = 4096; // Must not be greater than MAX_HTTP_PAYLOAD_SIZE which is 16383
-
 // `read(limit)` is like the `read` of the Readable class, but it guarantess that the 'flow control
 // size' (0 for non-DATA frames, length of the payload for DATA frames) of the returned frame will
-// be under `limit`.
+// be under `limit` and the max. frame size. Frames in the queue are not padded yet, since padding
+// is added by the Connection after reading them.
 Flow.prototype.read = function read(limit) {
   if (limit === 0) {
     return Duplex.prototype.read.call(this, 0);
   } else if (limit === -1) {
     limit = 0;
-  } else if ((limit === undefined) || (limit > MAX_PAYLOAD_SIZE)) {
-    limit = MAX_PAYLOAD_SIZE;
+  } else if ((limit === undefined) || (limit > this._maxFrameSize)) {
+    limit = this._maxFrameSize;
   }
 
   // * Looking at the first frame in the queue without pulling it out if possible.
-  var frame = this._readableState.buffer[0];
+  var frame = firstBuffered(this._readableState);
   if (!frame && !this._readableState.ended) {
     this._read();
-    frame = this._readableState.buffer[0];
+    frame = firstBuffered(this._readableState);
   }
 
   if (frame && (frame.type === 'DATA')) {
@@ -226,9 +295,10 @@ Flow.prototype._parentPush = function _parentPush(frame) {
   this._log.trace({ frame: frame }, 'Pushing frame into the output queue');
 
   if (frame && (frame.type === 'DATA') && (this._window !== Infinity)) {
-    this._log.trace({ window: this._window, by: frame.data.length },
+    var size = flowControlSize(frame);
+    this._log.trace({ window: this._window, by: size },
                     'Decreasing flow control window size.');
-    this._window -= frame.data.length;
+    this._window -= size;
     assert(this._window >= 0);
   }
 
@@ -241,9 +311,9 @@ Flow.prototype._parentPush = function _parentPush(frame) {
 // did not push the whole frame to the output queue (but maybe it did push part of the frame).
 Flow.prototype._push = function _push(frame) {
   var data = frame && (frame.type === 'DATA') && frame.data;
-  var maxFrameLength = (this._window < 16384) ? this._window : 16384;
+  var maxFrameLength = Math.min(this._window, this._maxFrameSize);
 
-  if (!data || (data.length <= maxFrameLength)) {
+  if (!data || (flowControlSize(frame) <= maxFrameLength)) {
     return this._parentPush(frame);
   }
 
@@ -288,10 +358,30 @@ Flow.prototype.push = function push(frame) {
 // `getLastQueuedFrame` returns the last frame in output buffers. This is primarily used by the
 // [Stream](stream.html) class to mark the last frame with END_STREAM flag.
 Flow.prototype.getLastQueuedFrame = function getLastQueuedFrame() {
-  var readableQueue = this._readableState.buffer;
-  return this._queue[this._queue.length - 1] || readableQueue[readableQueue.length - 1];
+  return this._queue[this._queue.length - 1] || lastBuffered(this._readableState);
 };
 
+// The flow control size of a DATA frame is the length of the whole payload: the data, and if the
+// frame is padded, the Pad Length field and the padding.
+function flowControlSize(frame) {
+  if (!frame || (frame.type !== 'DATA')) {
+    return 0;
+  }
+  return frame.data.length + (frame.flags.PADDED ? ((frame.padding || 0) + 1) : 0);
+}
+
+// The output buffer of the Readable class is an array in old node versions, and a linked list
+// (with `head` and `tail`) since node 6.
+function firstBuffered(state) {
+  var buffer = state.buffer;
+  return ('head' in buffer) ? (buffer.head && buffer.head.data) : buffer[0];
+}
+
+function lastBuffered(state) {
+  var buffer = state.buffer;
+  return ('head' in buffer) ? (buffer.tail && buffer.tail.data) : buffer[buffer.length - 1];
+}
+
 // Outgoing frames - managing the window size
 // ------------------------------------------
 
@@ -343,3 +433,10 @@ Flow.prototype.setInitialWindow = function setInitialWindow(initialWindow) {
   this._increaseWindow(initialWindow - this._initialWindow);
   this._initialWindow = initialWindow;
 };
+
+// The max. frame size only affects frames that are split after the change. Frames that are already
+// in the output queue are not re-split.
+Flow.prototype.setMaxFrameSize = function setMaxFrameSize(size) {
+  this._log.trace({ size: size }, 'Changing max. frame size.');
+  this._maxFrameSize = size;
+};
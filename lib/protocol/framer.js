@@ -11,7 +11,9 @@ exports.Deserializer = Deserializer;
 
 var logData = Boolean(process.env.HTTP2_LOG_DATA);
 
-var MAX_PAYLOAD_SIZE = 16384;
+// Frame payloads are at most 16384 bytes long until a larger SETTINGS_MAX_FRAME_SIZE is negotiated.
+// Values above 2^24-1 are invalid.
+var DEFAULT_MAX_PAYLOAD_SIZE = 16384;
 var WINDOW_UPDATE_PAYLOAD_SIZE = 4;
 
 // Serializer
@@ -27,10 +29,31 @@ var WINDOW_UPDATE_PAYLOAD_SIZE = 4;
 
 function Serializer(log) {
   this._log = log.child({ component: 'serializer' });
+  this._maxPayloadSize = DEFAULT_MAX_PAYLOAD_SIZE;
+  this._frameSizeLimit = DEFAULT_MAX_PAYLOAD_SIZE;
+  this._paddingPolicy = undefined;
   Transform.call(this, { objectMode: true });
 }
 Serializer.prototype = Object.create(Transform.prototype, { constructor: { value: Serializer } });
 
+// `setMaxFrameSize(size)` is called with the SETTINGS_MAX_FRAME_SIZE value of the peer. Frames that
+// were cut to a larger size allowed earlier may still be on their way through the pipeline when
+// the peer lowers its limit, so the Serializer only checks against the largest value seen so far.
+// Padding added by the Serializer itself always respects the current limit.
+Serializer.prototype.setMaxFrameSize = function setMaxFrameSize(size) {
+  this._frameSizeLimit = size;
+  if (size > this._maxPayloadSize) {
+    this._maxPayloadSize = size;
+  }
+};
+
+// `setPaddingPolicy(policy)` sets the [padding policy](padding.html) that is used to pad HEADERS and
+// PUSH_PROMISE frames. DATA frames are padded by the Connection, because their padding counts
+// against the flow control windows.
+Serializer.prototype.setPaddingPolicy = function setPaddingPolicy(policy) {
+  this._paddingPolicy = policy;
+};
+
 // When there's an incoming frame object, it first generates the frame type specific part of the
 // frame (payload), and then then adds the header part which holds fields that are common to all
 // frame types (like the length of the payload).
@@ -41,9 +64,12 @@ Serializer.prototype._transform = function _transform(frame, encoding, done) {
 
   var buffers = [];
   Serializer[frame.type](frame, buffers);
+  if (this._paddingPolicy && (frame.type in paddedByPolicy) && !frame.flags.PADDED) {
+    this._pad(frame, buffers);
+  }
   var length = Serializer.commonHeader(frame, buffers);
 
-  assert(length <= MAX_PAYLOAD_SIZE, 'Frame too large!');
+  assert(length <= this._maxPayloadSize, 'Frame too large!');
 
   for (var i = 0; i < buffers.length; i++) {
     if (logData) {
@@ -55,6 +81,29 @@ Serializer.prototype._transform = function _transform(frame, encoding, done) {
   done();
 };
 
+// Padding is added to the already serialized payload if the policy asks for it and the frame still
+// fits into the maximum frame size of the peer.
+var paddedByPolicy = { HEADERS: true, PUSH_PROMISE: true };
+
+Serializer.prototype._pad = function _pad(frame, buffers) {
+  var length = 0;
+  for (var i = 0; i < buffers.length; i++) {
+    length += buffers[i].length;
+  }
+
+  var maxPadding = this._frameSizeLimit - length - 1;
+  if (maxPadding < 0) {
+    return;
+  }
+
+  var padding = this._paddingPolicy(frame, length, maxPadding);
+  if (padding !== undefined) {
+    frame.flags.PADDED = true;
+    frame.padding = padding;
+    writePadding(frame, buffers);
+  }
+};
+
 // Deserializer
 // ------------
 //
@@ -69,11 +118,18 @@ Serializer.prototype._transform = function _transform(frame, encoding, done) {
 function Deserializer(log, role) {
   this._role = role;
   this._log = log.child({ component: 'deserializer' });
+  this._maxPayloadSize = DEFAULT_MAX_PAYLOAD_SIZE;
   Transform.call(this, { objectMode: true });
   this._next(COMMON_HEADER_SIZE);
 }
 Deserializer.prototype = Object.create(Transform.prototype, { constructor: { value: Deserializer } });
 
+// `setMaxFrameSize(size)` is called with our own SETTINGS_MAX_FRAME_SIZE value. Frames with larger
+// payload are rejected with FRAME_SIZE_ERROR.
+Deserializer.prototype.setMaxFrameSize = function setMaxFrameSize(size) {
+  this._maxPayloadSize = size;
+};
+
 // The Deserializer is stateful, and it's two main alternating states are: *waiting for header* and
 // *waiting for payload*. The state is stored in the boolean property `_waitingForHeader`.
 //
@@ -112,7 +168,7 @@ Deserializer.prototype._transform = function _transform(chunk, encoding, done) {
     // deserializer waits for the specified length payload.
     if ((this._cursor === this._buffer.length) && this._waitingForHeader) {
       var payloadSize = Deserializer.commonHeader(this._buffer, this._frame);
-      if (payloadSize <= MAX_PAYLOAD_SIZE) {
+      if (payloadSize <= this._maxPayloadSize) {
         this._next(payloadSize);
       } else {
         this.emit('error', 'FRAME_SIZE_ERROR');
@@ -210,8 +266,8 @@ Serializer.commonHeader = function writeCommonHeader(frame, buffers) {
   for (var i = 0; i < buffers.length; i++) {
     size += buffers[i].length;
   }
-  headerBuffer.writeUInt8(0, 0);
-  headerBuffer.writeUInt16BE(size, 1);
+  headerBuffer.writeUInt8(size >> 16, 0);
+  headerBuffer.writeUInt16BE(size & 0xffff, 1);
 
   var typeId = frameTypes.indexOf(frame.type);  // If we are here then the type is valid for sure
   headerBuffer.writeUInt8(typeId, 3);
@@ -293,12 +349,29 @@ frameTypes[0x0] = 'DATA';
 
 frameFlags.DATA = ['END_STREAM', 'RESERVED2', 'RESERVED4', 'PADDED'];
 
-typeSpecificAttributes.DATA = ['data'];
+typeSpecificAttributes.DATA = ['data', 'padding'];
 
 Serializer.DATA = function writeData(frame, buffers) {
   buffers.push(frame.data);
+  if (frame.flags.PADDED) {
+    writePadding(frame, buffers);
+  }
 };
 
+// The Pad Length field is put in front of the payload, and `frame.padding` zero bytes after it.
+function writePadding(frame, buffers) {
+  var padding = frame.padding || 0;
+  assert((0 <= padding) && (padding <= 0xff), padding);
+
+  var padLength = new Buffer(1);
+  padLength.writeUInt8(padding, 0);
+  buffers.unshift(padLength);
+
+  var zeros = new Buffer(padding);
+  zeros.fill(0);
+  buffers.push(zeros);
+}
+
 Deserializer.DATA = function readData(buffer, frame) {
   var dataOffset = 0;
   var paddingLength = 0;
@@ -309,6 +382,7 @@ Deserializer.DATA = function readData(buffer, frame) {
     }
     paddingLength = (buffer.readUInt8(dataOffset) & 0xff);
     dataOffset = 1;
+    frame.padding = paddingLength;
   }
 
   if (paddingLength) {
@@ -345,7 +419,7 @@ frameTypes[0x1] = 'HEADERS';
 
 frameFlags.HEADERS = ['END_STREAM', 'RESERVED2', 'END_HEADERS', 'PADDED', 'RESERVED5', 'PRIORITY'];
 
-typeSpecificAttributes.HEADERS = ['priorityDependency', 'priorityWeight', 'exclusiveDependency', 'headers', 'data'];
+typeSpecificAttributes.HEADERS = ['priorityDependency', 'priorityWeight', 'exclusiveDependency', 'headers', 'data', 'padding'];
 
 //      0                   1                   2                   3
 //      0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1
@@ -376,6 +450,9 @@ Serializer.HEADERS = function writeHeadersPriority(frame, buffers) {
     buffers.push(buffer);
   }
   buffers.push(frame.data);
+  if (frame.flags.PADDED) {
+    writePadding(frame, buffers);
+  }
 };
 
 Deserializer.HEADERS = function readHeadersPriority(buffer, frame) {
@@ -396,6 +473,7 @@ Deserializer.HEADERS = function readHeadersPriority(buffer, frame) {
   if (frame.flags.PADDED) {
     paddingLength = (buffer.readUInt8(dataOffset) & 0xff);
     dataOffset = 1;
+    frame.padding = paddingLength;
   }
 
   if (frame.flags.PRIORITY) {
@@ -587,6 +665,10 @@ Deserializer.SETTINGS = function readSettings(buffer, frame, role) {
         return 'SETTINGS frame on client got SETTINGS_ENABLE_PUSH';
       }
       var value = buffer.readUInt32BE(i*6 + 2);
+      if ((setting.name == 'SETTINGS_NO_RFC7540_PRIORITIES' ||
+           setting.name == 'SETTINGS_ENABLE_CONNECT_PROTOCOL') && value > 1) {
+        return 'PROTOCOL_ERROR';
+      }
       frame.settings[setting.name] = setting.flag ? Boolean(value & 0x1) : value;
     }
   }
@@ -618,6 +700,22 @@ definedSettings[4] = { name: 'SETTINGS_INITIAL_WINDOW_SIZE', flag: false };
 //   indicates the maximum size of a frame the receiver will allow.
 definedSettings[5] = { name: 'SETTINGS_MAX_FRAME_SIZE', flag: false };
 
+// * SETTINGS_MAX_HEADER_LIST_SIZE (6):
+//   advises the peer of the maximum size of header list that the sender is prepared to accept. The
+//   size of a header list is the sum of the length of the names and values plus 32 bytes for every
+//   header field.
+definedSettings[6] = { name: 'SETTINGS_MAX_HEADER_LIST_SIZE', flag: false };
+
+// * [SETTINGS_ENABLE_CONNECT_PROTOCOL](https://tools.ietf.org/html/rfc8441#section-3) (8):
+//   indicates that the sender accepts extended CONNECT requests, which carry the name of the
+//   protocol to run on the stream in the ":protocol" pseudo-header. The value MUST be 0 or 1.
+definedSettings[8] = { name: 'SETTINGS_ENABLE_CONNECT_PROTOCOL', flag: true };
+
+// * [SETTINGS_NO_RFC7540_PRIORITIES](https://www.rfc-editor.org/rfc/rfc9218#section-2.1) (9):
+//   indicates that the sender does not use the RFC 7540 priority signals (dependency and weight in
+//   HEADERS and PRIORITY frames). The value MUST be 0 or 1.
+definedSettings[9] = { name: 'SETTINGS_NO_RFC7540_PRIORITIES', flag: true };
+
 // [PUSH_PROMISE](https://tools.ietf.org/html/rfc7540#section-6.6)
 // ---------------------------------------------------------------
 //
@@ -634,7 +732,7 @@ frameTypes[0x5] = 'PUSH_PROMISE';
 
 frameFlags.PUSH_PROMISE = ['RESERVED1', 'RESERVED2', 'END_PUSH_PROMISE', 'PADDED'];
 
-typeSpecificAttributes.PUSH_PROMISE = ['promised_stream', 'headers', 'data'];
+typeSpecificAttributes.PUSH_PROMISE = ['promised_stream', 'headers', 'data', 'padding'];
 
 //      0                   1                   2                   3
 //      0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1
@@ -661,6 +759,9 @@ Serializer.PUSH_PROMISE = function writePushPromise(frame, buffers) {
 
   buffers.push(buffer);
   buffers.push(frame.data);
+  if (frame.flags.PADDED) {
+    writePadding(frame, buffers);
+  }
 };
 
 Deserializer.PUSH_PROMISE = function readPushPromise(buffer, frame) {
@@ -675,6 +776,7 @@ Deserializer.PUSH_PROMISE = function readPushPromise(buffer, frame) {
     }
     paddingLength = (buffer.readUInt8(dataOffset) & 0xff);
     dataOffset = 1;
+    frame.padding = paddingLength;
   }
   frame.promised_stream = buffer.readUInt32BE(dataOffset) & 0x7fffffff;
   dataOffset += 4;
@@ -1099,6 +1201,47 @@ Deserializer.ORIGIN = function readOrigin(buffer, frame) {
     // ignored
 };
 
+// [PRIORITY_UPDATE](https://www.rfc-editor.org/rfc/rfc9218#section-7.1)
+// ---------------------------------------------------------------------
+//
+// The PRIORITY_UPDATE frame (type=0x10) is used by clients to signal the initial priority of a
+// response, or to reprioritize a response or push stream. It is always sent on stream 0.
+//
+// The PRIORITY_UPDATE frame does not define any flags.
+
+frameTypes[0x10] = 'PRIORITY_UPDATE';
+
+frameFlags.PRIORITY_UPDATE = [];
+
+//     0                   1                   2                   3
+//     0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1
+//    +-+-------------------------------------------------------------+
+//    |R|                Prioritized Stream ID (31)                   |
+//    +-+-------------------------------------------------------------+
+//    |                   Priority Field Value (*)                  ...
+//    +---------------------------------------------------------------+
+//
+// The Priority Field Value is an ASCII string in the same format as the value of the `priority`
+// header field.
+
+typeSpecificAttributes.PRIORITY_UPDATE = ['prioritized_stream', 'priority_field'];
+
+Serializer.PRIORITY_UPDATE = function writePriorityUpdate(frame, buffers) {
+  var buffer = new Buffer(4);
+  assert((0 < frame.prioritized_stream) && (frame.prioritized_stream <= 0x7fffffff), frame.prioritized_stream);
+  buffer.writeUInt32BE(frame.prioritized_stream, 0);
+  buffers.push(buffer);
+  buffers.push(new Buffer(frame.priority_field || '', 'ascii'));
+};
+
+Deserializer.PRIORITY_UPDATE = function readPriorityUpdate(buffer, frame) {
+  if (buffer.length < 4) {
+    return 'FRAME_SIZE_ERROR';
+  }
+  frame.prioritized_stream = buffer.readUInt32BE(0) & 0x7fffffff;
+  frame.priority_field = buffer.toString('ascii', 4);
+};
+
 
 // [Error Codes](https://tools.ietf.org/html/rfc7540#section-7)
 // ------------------------------------------------------------
@@ -14,6 +14,11 @@
 //   lifecycle and settings, and responsible for enforcing the connection level limits (flow
 //   control, initiated stream limit)
 //
+// * [Schedulers](scheduler.html): decide which stream of the Connection sends the next frame
+//
+// * [Padding policies](padding.html): decide how much padding is added to the frames that may be
+//   padded
+//
 // * [Stream](stream.html): implementation of the [HTTP/2 stream concept][http2-stream].
 //   Implements the [stream state machine][http2-streamstate] defined by the standard, provides
 //   management methods and events for using the stream (sending/receiving headers, data, etc.),
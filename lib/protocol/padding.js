@@ -0,0 +1,69 @@
+// Padding policies
+// ================
+
+// DATA, HEADERS and PUSH_PROMISE frames may carry up to 255 bytes of padding that hides the real
+// length of their payload from an observer of the encrypted traffic. A padding policy decides how
+// much padding each of these frames gets. The policy is applied by the [Serializer](framer.html) to
+// HEADERS and PUSH_PROMISE frames, and by the [Connection](connection.html) to DATA frames, since
+// the padding of DATA frames counts against the flow control windows.
+
+var crypto = require('crypto');
+
+exports.createPaddingPolicy = createPaddingPolicy;
+
+// Public API
+// ----------
+
+// * **createPaddingPolicy([padding]): policy**: create a padding policy. `padding` is one of the
+//   following:
+//   * undefined or `'none'`: no padding (the returned policy is undefined)
+//   * `{ blockSize: n }`: pad the payload to a multiple of `n` bytes, when the frame size and the
+//     flow control windows allow it
+//   * `{ random: n }`: add a random amount of padding between 0 and `n` bytes, chosen with
+//     `crypto.randomBytes`
+//   * a function that is called with `(frame, length, maxPadding)` for every frame that may be
+//     padded, and returns the number of padding bytes (0 or undefined means that the frame is not
+//     padded at all)
+//
+// * **policy(frame, length, maxPadding): Number**: the number of padding bytes for `frame` with a
+//   `length` bytes long unpadded payload. The result is between 0 and `maxPadding`, or undefined if
+//   the frame should not be padded at all.
+
+// The Pad Length field is one byte long.
+var MAX_PADDING = exports.MAX_PADDING = 255;
+
+function createPaddingPolicy(padding) {
+  if ((padding === undefined) || (padding === 'none')) {
+    return undefined;
+  } else if (typeof padding === 'function') {
+    return limit(function(frame, length, maxPadding) {
+      return padding(frame, length, maxPadding) || undefined;
+    });
+  } else if (padding && (padding.blockSize > 0)) {
+    return limit(function(frame, length) {
+      // The Pad Length field itself is part of the padded payload
+      var remainder = (length + 1) % padding.blockSize;
+      return (remainder === 0) ? 0 : (padding.blockSize - remainder);
+    });
+  } else if (padding && (padding.random >= 0)) {
+    return limit(function() {
+      return Math.floor(crypto.randomBytes(4).readUInt32BE(0) / 0x100000000 * (padding.random + 1));
+    });
+  } else {
+    throw new Error('Unknown padding policy: ' + padding);
+  }
+}
+
+// Helper functions
+// ----------------
+
+// Policies may return any number; it is rounded and clamped to the range the frame allows.
+function limit(policy) {
+  return function(frame, length, maxPadding) {
+    var padding = policy(frame, length, Math.min(maxPadding, MAX_PADDING));
+    if ((padding === undefined) || (padding === null) || isNaN(padding)) {
+      return undefined;
+    }
+    return Math.max(0, Math.min(Math.round(padding), maxPadding, MAX_PADDING));
+  };
+}
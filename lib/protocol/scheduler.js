@@ -0,0 +1,345 @@
+// Schedulers
+// ==========
+
+// A scheduler decides which stream of a [Connection](connection.html) may send the next frame. The
+// Connection asks its scheduler for a frame every time there's room in its output buffer.
+
+exports.createScheduler = createScheduler;
+exports.PriorityScheduler = PriorityScheduler;
+exports.FifoScheduler = FifoScheduler;
+exports.StrictPriorityScheduler = StrictPriorityScheduler;
+exports.WeightedFairScheduler = WeightedFairScheduler;
+exports.DeficitRoundRobinScheduler = DeficitRoundRobinScheduler;
+
+// Public API
+// ----------
+
+// * **createScheduler([scheduler]): scheduler**: create the scheduler of a new connection.
+//   `scheduler` is one of the following:
+//   * undefined or `'priority'`: the default PriorityScheduler
+//   * `'fifo'`, `'strict'`, `'wfq'` or `'drr'`: one of the other built-in schedulers
+//   * a constructor (or factory) function that is called without arguments for every connection,
+//     so that schedulers can keep per-connection state
+//
+// * **scheduler.select(root, read): { stream, frame }**: select the next frame to send, or return
+//   undefined if none of the streams can send anything at the moment.
+//   * `root` is the root of the dependency tree of the streams. Every node of the tree has a
+//     `stream` (except the root), a `parent` node, an array of `children` nodes, a `weight` between
+//     1 and 256, and a `sequence` number that grows in the order the nodes were created. Streams
+//     also have an `urgency` (0-7) and an `incremental` flag. The `children` of a node, and the
+//     `nodes` array of the root that lists all the other nodes of the tree, are ordered by
+//     `sequence`. Schedulers must not modify them.
+//   * `read(stream, [limit])` reads the next frame of `stream` that can be sent now, taking the
+//     flow control window and the concurrent stream limit into account. DATA frames that are longer
+//     than `limit` bytes are split, and only non-DATA frames are read if `limit` is not positive.
+//     It returns undefined if the stream has nothing to send.
+//
+// A scheduler may store its own state in the nodes of the tree.
+
+var schedulers = {
+  priority: PriorityScheduler,
+  fifo: FifoScheduler,
+  strict: StrictPriorityScheduler,
+  wfq: WeightedFairScheduler,
+  drr: DeficitRoundRobinScheduler
+};
+
+function createScheduler(scheduler) {
+  if (typeof scheduler === 'function') {
+    return new scheduler();
+  }
+  var Scheduler = schedulers[(scheduler === undefined) ? 'priority' : scheduler];
+  if (!Scheduler) {
+    throw new Error('Unknown scheduler: ' + scheduler);
+  }
+  return new Scheduler();
+}
+
+// Helper functions
+// ----------------
+
+// Only the payload of DATA frames is counted as sent data.
+function frameSize(frame) {
+  return (frame.type === 'DATA') ? frame.data.length : 0;
+}
+
+function selectFirst(nodes, read) {
+  for (var i = 0; i < nodes.length; i++) {
+    var frame = read(nodes[i].stream);
+    if (frame) {
+      return { stream: nodes[i].stream, frame: frame };
+    }
+  }
+  return undefined;
+}
+
+// PriorityScheduler
+// -----------------
+
+// The default scheduler follows the priority signals of both the [dependency tree][1] and the
+// [extensible priorities][2]. Streams are served in the order of their urgency, so the tree is
+// searched for frames of the most urgent streams first (the `urgency` of the streams without a
+// priority signal is 3).
+//
+// [1]: https://tools.ietf.org/html/rfc7540#section-5.3
+// [2]: https://www.rfc-editor.org/rfc/rfc9218#section-10
+function PriorityScheduler() {
+}
+
+var MAX_URGENCY = 7;
+
+PriorityScheduler.prototype.select = function select(root, read) {
+  var present = [];
+  for (var i = 0; i < root.nodes.length; i++) {
+    present[root.nodes[i].stream.urgency] = true;
+  }
+
+  for (var urgency = 0; urgency <= MAX_URGENCY; urgency++) {
+    if (present[urgency]) {
+      var selected = this._selectOfUrgency(root, urgency, read);
+      if (selected) {
+        return selected;
+      }
+    }
+  }
+  return undefined;
+};
+
+// Selecting the next frame of a stream with the given `urgency` from the subtree of `node`:
+//
+// * a stream that can send a frame takes precedence over its dependencies: a dependent stream is
+//   only allocated resources if the streams it depends on can not make progress
+// * otherwise, the subtrees of the children are tried in the order of their virtual time (`pass`),
+//   so that siblings share the bandwidth in proportion to their weights. The virtual time grows by
+//   the amount of data sent by the subtree divided by `weight`. Incremental streams of the same
+//   weight are served round-robin this way.
+// * streams that have been marked non-incremental by the client are served one at a time in the
+//   order of their IDs, before the other siblings, since their responses are only useful when
+//   complete
+//
+// The children of every node are kept in the order of their virtual time in `passOrder`, which is
+// only rebuilt when the children change. Serving a child moves it (and the siblings before it)
+// further in the list.
+PriorityScheduler.prototype._selectOfUrgency = function _selectOfUrgency(node, urgency, read) {
+  var stream = node.stream;
+  if (stream && (stream.urgency === urgency)) {
+    var frame = read(stream);
+    if (frame) {
+      return { stream: stream, frame: frame };
+    }
+  }
+
+  var children = node.children;
+  if (children.length === 0) {
+    return undefined;
+  }
+  var order = passOrder(node);
+
+  var sequential = [];
+  for (var i = 0; i < children.length; i++) {
+    if (isSequential(children[i], urgency)) {
+      sequential.push(children[i]);
+    }
+  }
+  sequential.sort(function(a, b) {
+    return a.stream.id - b.stream.id;
+  });
+  var tried = [];
+  for (i = 0; i < sequential.length + order.length; i++) {
+    var child = (i < sequential.length) ? sequential[i] : order[i - sequential.length];
+    if ((i >= sequential.length) && isSequential(child, urgency)) {
+      continue;
+    }
+    var selected = this._selectOfUrgency(child, urgency, read);
+    if (selected) {
+      servePass(order, child, tried, selected.frame);
+      return selected;
+    }
+    tried.push(child);
+  }
+
+  return undefined;
+};
+
+function comparePass(a, b) {
+  return (a.pass - b.pass) || (a.sequence - b.sequence);
+}
+
+// * A node that has just been inserted (or moved) under `node` starts from the smallest virtual
+//   time of its new siblings
+function passOrder(node) {
+  var children = node.children;
+  var order = node.passOrder;
+  var changed = !order || (order.length !== children.length);
+  for (var i = 0; !changed && (i < order.length); i++) {
+    changed = (order[i].parent !== node) || (order[i].passParent !== node);
+  }
+  for (i = 0; !changed && (i < children.length); i++) {
+    changed = (children[i].passParent !== node);
+  }
+  if (!changed) {
+    return order;
+  }
+
+  var pass = Infinity;
+  for (i = 0; i < children.length; i++) {
+    if (children[i].passParent === node) {
+      pass = Math.min(pass, children[i].pass);
+    }
+  }
+  pass = (pass === Infinity) ? 0 : pass;
+  for (i = 0; i < children.length; i++) {
+    if (children[i].passParent !== node) {
+      children[i].pass = pass;
+      children[i].passParent = node;
+    }
+  }
+
+  node.passOrder = children.slice().sort(comparePass);
+  return node.passOrder;
+}
+
+// * The virtual time of the siblings that were tried before the one that has sent is moved forward,
+//   so that they don't get a burst of resources when they become active again. The nodes whose
+//   virtual time has changed are put back to their place in the order.
+function servePass(order, served, skipped, frame) {
+  var moved = [served].concat(skipped);
+  moved.forEach(function(node) {
+    order.splice(order.indexOf(node), 1);
+  });
+  for (var i = 1; i < moved.length; i++) {
+    moved[i].pass = Math.max(moved[i].pass, served.pass);
+  }
+  served.pass += Math.max(frameSize(frame), 1) / served.weight;
+
+  moved.forEach(function(node) {
+    var low = 0;
+    var high = order.length;
+    while (low < high) {
+      var middle = (low + high) >> 1;
+      if (comparePass(order[middle], node) < 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    order.splice(low, 0, node);
+  });
+}
+
+function isSequential(node, urgency) {
+  return (node.stream.urgency === urgency) && (node.stream.incremental === false) &&
+         (node.stream.id !== undefined);
+}
+
+// FifoScheduler
+// -------------
+
+// Streams are served in the order they were created, ignoring all priority signals: a stream can
+// only send if all the older streams are blocked or have nothing to send.
+function FifoScheduler() {
+}
+
+FifoScheduler.prototype.select = function select(root, read) {
+  return selectFirst(root.nodes, read);
+};
+
+// StrictPriorityScheduler
+// -----------------------
+
+// Streams are served strictly in the order of their urgency, then their weight (the heavier one
+// first), then their age. The dependency tree is ignored, and a stream only gets resources if all
+// the streams before it are blocked or have nothing to send.
+function StrictPriorityScheduler() {
+}
+
+StrictPriorityScheduler.prototype.select = function select(root, read) {
+  var nodes = root.nodes.slice().sort(function(a, b) {
+    return (a.stream.urgency - b.stream.urgency) || (b.weight - a.weight) ||
+           (a.sequence - b.sequence);
+  });
+  return selectFirst(nodes, read);
+};
+
+// WeightedFairScheduler
+// ---------------------
+
+// Weighted fair queueing over all streams, ignoring the dependency tree and urgency: every stream
+// gets a share of the bandwidth proportional to its weight. It is implemented as start-time fair
+// queueing: every node has a virtual `finish` time, and the node with the earliest start time
+// (the later of its finish time and the global virtual time) sends next.
+function WeightedFairScheduler() {
+  this._virtualTime = 0;
+}
+
+WeightedFairScheduler.prototype.select = function select(root, read) {
+  var virtualTime = this._virtualTime;
+  function start(node) {
+    return Math.max(node.finish || 0, virtualTime);
+  }
+
+  var nodes = root.nodes.slice().sort(function(a, b) {
+    return (start(a) - start(b)) || (a.sequence - b.sequence);
+  });
+  for (var i = 0; i < nodes.length; i++) {
+    var frame = read(nodes[i].stream);
+    if (frame) {
+      this._virtualTime = start(nodes[i]);
+      nodes[i].finish = this._virtualTime + Math.max(frameSize(frame), 1) / nodes[i].weight;
+      return { stream: nodes[i].stream, frame: frame };
+    }
+  }
+  return undefined;
+};
+
+// DeficitRoundRobinScheduler
+// --------------------------
+
+// Deficit round robin over all streams, ignoring the dependency tree and urgency. The streams take
+// turns in the order of their creation. At the start of its turn, a stream gets a quantum of
+// `weight * DRR_QUANTUM` bytes added to its `deficit`, and it can send DATA frames until the
+// deficit runs out (frames are split to fit). A stream that has nothing to send loses its deficit.
+var DRR_QUANTUM = 1024;
+
+function DeficitRoundRobinScheduler() {
+  this._turn = 0;
+  this._turnStarted = false;
+}
+
+DeficitRoundRobinScheduler.prototype.select = function select(root, read) {
+  var nodes = root.nodes;
+  if (nodes.length === 0) {
+    return undefined;
+  }
+
+  // * Continuing with the stream whose turn it is, or the next one if it's not in the tree anymore
+  var first = 0;
+  while ((first < nodes.length) && (nodes[first].sequence < this._turn)) {
+    first += 1;
+  }
+
+  // * Every stream gets at most one new turn, except the first one that might get a second one
+  //   after all the others had theirs
+  for (var i = 0; i <= nodes.length; i++) {
+    var node = nodes[(first + i) % nodes.length];
+    if ((node.sequence !== this._turn) || !this._turnStarted) {
+      this._turn = node.sequence;
+      this._turnStarted = true;
+      node.deficit = (node.deficit || 0) + node.weight * DRR_QUANTUM;
+    }
+
+    var frame = read(node.stream, node.deficit);
+    if (frame) {
+      node.deficit -= frameSize(frame);
+      return { stream: node.stream, frame: frame };
+    }
+
+    // * The turn is over: the next stream in the order of creation comes
+    if (node.deficit > 0) {
+      node.deficit = 0;
+    }
+    this._turn = node.sequence + 1;
+    this._turnStarted = false;
+  }
+  return undefined;
+};
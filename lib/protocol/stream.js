@@ -22,25 +22,71 @@ exports.Stream = Stream;
 //
 // * **Event: 'promise' (stream, headers)**: signals an incoming push promise
 //
-// * **Event: 'priority' (priority)**: signals a priority change. `priority` is a number between 0
-//     (highest priority) and 2^31-1 (lowest priority). Default value is 2^30.
+// * **Event: 'priority' (priority)**: signals a priority change. `priority` is an object with the
+//     following properties:
+//     * `parent`: the ID of the stream this stream depends on (0 means the root of the tree)
+//     * `weight`: a number between 1 and 256 that determines the share of this stream among its
+//       siblings
+//     * `exclusive`: if true, this stream becomes the sole child of `parent`, and the previous
+//       children of `parent` become its children
+//     Default priority is `{ parent: 0, weight: 16, exclusive: false }`.
 //
 // * **Event: 'error' (type)**: signals an error
 //
+// * **Event: 'refused'**: signals that the peer has not processed the stream, and it never will,
+//   because the connection is being closed with a GOAWAY frame, or the stream was reset with
+//   REFUSED_STREAM. It is safe to retry the request on a new connection.
+//
+// * **urgency**, **incremental**: the [extensible priority][2] of the stream. `urgency` is a
+//   number between 0 (most urgent) and 7, default is 3. `incremental` is true if the response can
+//   be processed incrementally, false if it is only useful when complete, and undefined if it was
+//   not signaled by the client (with the `priority` header or a PRIORITY_UPDATE frame).
+//
 // * **headers(headers)**: send headers
 //
 // * **promise(headers): Stream**: promise a stream
 //
-// * **priority(priority)**: set the priority of the stream. Priority can be changed by the peer
-//   too, but once it is set locally, it can not be changed remotely.
+// * Sending header lists larger than the SETTINGS_MAX_HEADER_LIST_SIZE of the peer throws an Error
+//   with the `'HEADER_LIST_TOO_LARGE'` code. Incoming header lists larger than our own limit are
+//   not delivered: requests are answered with 431, other streams are reset.
+//
+// * **priority(priority)**: set the priority of the stream. Missing properties of `priority` take
+//   their default values. Priority can be changed by the peer too, but once it is set locally, it
+//   can not be changed remotely. The numeric priorities (0 to 2^31-1) of earlier versions are not
+//   supported anymore: anything other than an object throws an Error.
+//
+// * **updatePriority(priority)**: set the extensible priority of the stream. `priority` is an
+//   object with `urgency` and `incremental` properties. On the client side, the new priority is
+//   sent to the server in a PRIORITY_UPDATE frame.
 //
 // * **reset(error)**: reset the stream with an error code
 //
+// * **consume(bytes)**: in manual flow control mode (see the `manualFlowControl` option of the
+//   [connection](connection.html)), release `bytes` of the received data, so that the peer can
+//   send more. It releases the window of both the stream and the connection. All the data that is
+//   delivered to the user has to be consumed, even if it is dropped. Data that arrives after the
+//   stream was reset is released automatically, and calling `consume` is not needed anymore.
+//
+// * **getWindowState(): Object**: the state of the flow control windows of the stream:
+//   * `sendWindow`: the number of bytes we may send before the peer sends a WINDOW_UPDATE
+//   * `receiveWindow`: the size of the window that the peer may fill
+//   * `unconsumed`: the number of received bytes that were not consumed yet (in manual mode)
+//   * `available`: the number of bytes the peer may send before we send a WINDOW_UPDATE
+//
+// * **setTimeout(timeout, [callback])**: emit 'timeout' when no frame has been sent or received on
+//   the stream for `timeout` milliseconds (0 disables the timeout). The event is emitted again
+//   after every `timeout` long inactive period until the stream is closed. `callback` is subscribed
+//   to the 'timeout' event.
+//
+// * **Event: 'timeout'**: signals that the stream has been inactive for the time set with
+//   `setTimeout`
+//
 // * **upstream**: a [Flow](flow.js) that is used by the parent connection to write/read frames
 //   that are to be sent/arrived to/from the peer and are related to this stream.
 //
 // Headers are always in the [regular node.js header format][1].
 // [1]: https://nodejs.org/api/http.html#http_message_headers
+// [2]: https://www.rfc-editor.org/rfc/rfc9218
 
 // Constructor
 // -----------
@@ -70,20 +116,41 @@ Stream.prototype = Object.create(Duplex.prototype, { constructor: { value: Strea
 // Managing the stream
 // -------------------
 
-// the default stream priority is 2^30
-var DEFAULT_PRIORITY = Math.pow(2, 30);
-var MAX_PRIORITY = Math.pow(2, 31) - 1;
+// [Default priority](https://tools.ietf.org/html/rfc7540#section-5.3.5): all streams are initially
+// assigned a non-exclusive dependency on stream 0 with a weight of 16.
+var DEFAULT_WEIGHT = 16;
+var MIN_WEIGHT = 1;
+var MAX_WEIGHT = 256;
+
+function createPriority(priority) {
+  if (priority === undefined) {
+    priority = {};
+  } else if ((typeof priority !== 'object') || (priority === null)) {
+    throw new Error('Priority must be an object with parent, weight and exclusive properties, got ' +
+                    priority);
+  }
+  var weight = Math.round(priority.weight);
+  return {
+    parent: priority.parent || 0,
+    weight: isNaN(weight) ? DEFAULT_WEIGHT : Math.min(Math.max(weight, MIN_WEIGHT), MAX_WEIGHT),
+    exclusive: !!priority.exclusive
+  };
+}
 
 // PUSH_PROMISE and HEADERS are forwarded to the user through events.
 Stream.prototype._initializeManagement = function _initializeManagement() {
   this._resetSent = false;
-  this._priority = DEFAULT_PRIORITY;
+  this._priority = createPriority();
   this._letPeerPrioritize = true;
+  this.urgency = DEFAULT_URGENCY;
+  this.incremental = undefined;
 };
 
+// Pushed streams initially depend on their associated stream with the default weight.
 Stream.prototype.promise = function promise(headers) {
+  this._checkHeaderListSize(headers);
   var stream = new Stream(this._log, this.connection);
-  stream._priority = Math.min(this._priority + 1, MAX_PRIORITY);
+  stream._priority = createPriority({ parent: this.id });
   this._pushUpstream({
     type: 'PUSH_PROMISE',
     flags: {},
@@ -99,6 +166,7 @@ Stream.prototype._onPromise = function _onPromise(frame) {
 };
 
 Stream.prototype.headers = function headers(headers) {
+  this._checkHeaderListSize(headers);
   this._pushUpstream({
     type: 'HEADERS',
     flags: {},
@@ -108,6 +176,7 @@ Stream.prototype.headers = function headers(headers) {
 };
 
 Stream.prototype.trailers = function trailers(trailers) {
+  this._checkHeaderListSize(trailers);
   this.sentEndStream = true;
   this._pushUpstream({
     type: 'HEADERS',
@@ -117,28 +186,64 @@ Stream.prototype.trailers = function trailers(trailers) {
   });
 };
 
+// Header lists that exceed the SETTINGS_MAX_HEADER_LIST_SIZE of the peer are not sent: the error
+// is thrown to the caller.
+Stream.prototype._checkHeaderListSize = function _checkHeaderListSize(headers) {
+  if (this.connection) {
+    this.connection._checkHeaderListSize(headers);
+  }
+};
+
+// Incoming header lists that exceed our own limit are not delivered (the decompressor has thrown
+// them away). A request is answered with 431 (Request Header Fields Too Large) and the rest of
+// the request is refused with a NO_ERROR reset. Other header lists reset the stream with
+// ENHANCE_YOUR_CALM.
+Stream.prototype._onHeaderListTooLarge = function _onHeaderListTooLarge(first) {
+  var request = first && this.connection && !this.connection._isClient() && !this._initiated;
+  if (request) {
+    this._log.warn('Answering request with a too large header list with 431');
+    this.sentEndStream = true;
+    this._pushUpstream({
+      type: 'HEADERS',
+      flags: { END_STREAM: true },
+      stream: this.id,
+      headers: { ':status': '431' }
+    });
+    if (this.state !== 'CLOSED') {
+      this.reset('NO_ERROR');
+    }
+  } else {
+    this._log.warn('Resetting stream because of a too large header list');
+    this.reset('ENHANCE_YOUR_CALM');
+  }
+};
+
 Stream.prototype._onHeaders = function _onHeaders(frame) {
-  if (frame.priority !== undefined) {
-    this.priority(frame.priority, true);
+  if (frame.flags.PRIORITY) {
+    this._onPriority(frame);
+  }
+  if (!this._initiated && ('priority' in frame.headers)) {
+    this._setExtensiblePriority(parsePriorityField(frame.headers.priority));
   }
   this.emit('headers', frame.headers);
 };
 
 Stream.prototype.priority = function priority(priority, peer) {
   if ((peer && this._letPeerPrioritize) || !peer) {
+    priority = createPriority(priority);
+
     if (!peer) {
       this._letPeerPrioritize = false;
 
       var lastFrame = this.upstream.getLastQueuedFrame();
       if (lastFrame && ((lastFrame.type === 'HEADERS') || (lastFrame.type === 'PRIORITY'))) {
-        lastFrame.priority = priority;
+        writePriority(lastFrame, priority);
       } else {
-        this._pushUpstream({
+        this._pushUpstream(writePriority({
           type: 'PRIORITY',
           flags: {},
-          stream: this.id,
-          priority: priority
-        });
+          stream: this.id
+        }, priority));
       }
     }
 
@@ -148,10 +253,91 @@ Stream.prototype.priority = function priority(priority, peer) {
   }
 };
 
+// The weight is transmitted as an integer between 0 and 255, that is one less than the weight.
+function writePriority(frame, priority) {
+  if (frame.type === 'HEADERS') {
+    frame.flags.PRIORITY = true;
+  }
+  frame.priorityDependency = priority.parent;
+  frame.priorityWeight = priority.weight - 1;
+  frame.exclusiveDependency = priority.exclusive;
+  return frame;
+}
+
+// [A stream cannot depend on itself](https://tools.ietf.org/html/rfc7540#section-5.3.1). An
+// endpoint MUST treat this as a stream error of type PROTOCOL_ERROR.
 Stream.prototype._onPriority = function _onPriority(frame) {
-  this.priority(frame.priority, true);
+  if (frame.priorityDependency === this.id) {
+    this._log.error({ frame: frame }, 'Stream depends on itself');
+    this.reset('PROTOCOL_ERROR');
+    return;
+  }
+  this.priority({
+    parent: frame.priorityDependency,
+    weight: frame.priorityWeight + 1,
+    exclusive: frame.exclusiveDependency
+  }, true);
 };
 
+// [Extensible priorities](https://www.rfc-editor.org/rfc/rfc9218#section-4)
+// --------------------------------------------------------------------------
+
+var DEFAULT_URGENCY = 3;
+var MAX_URGENCY = 7;
+
+Stream.prototype.updatePriority = function updatePriority(priority) {
+  var urgency = Math.round(priority.urgency);
+  priority = {
+    urgency: isNaN(urgency) ? DEFAULT_URGENCY : Math.min(Math.max(urgency, 0), MAX_URGENCY),
+    incremental: !!priority.incremental
+  };
+  this._setExtensiblePriority(priority);
+
+  // * Only clients send priority signals, and they are sent on stream 0. The connection fills in
+  //   `prioritized_stream` when forwarding the frame.
+  if (this.connection && this.connection._isClient()) {
+    this._pushUpstream({
+      type: 'PRIORITY_UPDATE',
+      flags: {},
+      stream: 0,
+      priority_field: serializePriorityField(priority)
+    });
+  }
+};
+
+Stream.prototype._onPriorityUpdate = function _onPriorityUpdate(frame) {
+  this._setExtensiblePriority(parsePriorityField(frame.priority_field));
+};
+
+Stream.prototype._setExtensiblePriority = function _setExtensiblePriority(priority) {
+  this._log.debug({ urgency: priority.urgency, incremental: priority.incremental },
+                  'Changing extensible priority');
+  this.urgency = priority.urgency;
+  this.incremental = priority.incremental;
+};
+
+// The priority is a [Structured Fields][1] dictionary. Parameters absent from it take their default
+// values, and members with unknown keys or invalid values are ignored.
+// [1]: https://www.rfc-editor.org/rfc/rfc8941#section-3.2
+function parsePriorityField(value) {
+  var priority = { urgency: DEFAULT_URGENCY, incremental: false };
+  String(value).split(',').forEach(function(member) {
+    var pair = member.split(';')[0].split('=');
+    var key = pair[0].trim();
+    var item = (pair.length > 1) ? pair[1].trim() : '?1';
+    if ((key === 'u') && /^[0-9]$/.test(item) && (Number(item) <= MAX_URGENCY)) {
+      priority.urgency = Number(item);
+    } else if ((key === 'i') && ((item === '?0') || (item === '?1'))) {
+      priority.incremental = (item === '?1');
+    }
+  });
+  return priority;
+}
+
+function serializePriorityField(priority) {
+  return 'u=' + priority.urgency + (priority.incremental ? ', i' : '');
+}
+
 // Resetting the stream. Normally, an endpoint SHOULD NOT send more than one RST_STREAM frame for
 // any stream.
 Stream.prototype.reset = function reset(error) {
@@ -163,6 +349,63 @@ Stream.prototype.reset = function reset(error) {
       stream: this.id,
       error: error
     });
+    this._consume(this.upstream._unconsumed);
+  }
+};
+
+// Manual flow control. After a reset, the data of the stream is not expected to be consumed by
+// the user anymore, so it is released immediately.
+Stream.prototype.consume = function consume(bytes) {
+  if (!this._resetSent) {
+    this._consume(bytes);
+  }
+};
+
+Stream.prototype._consume = function _consume(bytes) {
+  if (this.upstream._manualFlowControl && (bytes > 0)) {
+    this.upstream.consume(bytes);
+    this.connection.consume(bytes);
+  }
+};
+
+Stream.prototype.getWindowState = function getWindowState() {
+  var upstream = this.upstream;
+  return {
+    sendWindow: upstream._window,
+    receiveWindow: upstream._receiveWindow,
+    unconsumed: upstream._unconsumed,
+    available: upstream._receiveWindow - upstream._unconsumed - upstream._received
+  };
+};
+
+// Inactivity timeout. The time of the last activity is updated by `_transition` with every frame,
+// and the timer only checks it when it fires, so that frequent frames don't have to restart it.
+Stream.prototype.setTimeout = function setTimeout(timeout, callback) {
+  if (callback) {
+    this.on('timeout', callback);
+  }
+  this._timeout = timeout;
+  this._lastActivity = Date.now();
+  this._scheduleTimeout(timeout);
+};
+
+Stream.prototype._scheduleTimeout = function _scheduleTimeout(delay) {
+  clearTimeout(this._timeoutTimer);
+  this._timeoutTimer = undefined;
+  if ((this._timeout > 0) && (this.state !== 'CLOSED')) {
+    this._timeoutTimer = setTimeout(this._checkTimeout.bind(this), delay);
+  }
+};
+
+Stream.prototype._checkTimeout = function _checkTimeout() {
+  var inactive = Date.now() - this._lastActivity;
+  if (inactive < this._timeout) {
+    this._scheduleTimeout(this._timeout - inactive);
+  } else {
+    this._log.debug({ timeout: this._timeout }, 'Stream timed out');
+    this._lastActivity = Date.now();
+    this._scheduleTimeout(this._timeout);
+    this.emit('timeout');
   }
 };
 
@@ -256,12 +499,26 @@ Stream.prototype._writeUpstream = function _writeUpstream(frame) {
     if (this._processedHeaders && !frame.flags['END_STREAM']) {
       this.emit('error', 'PROTOCOL_ERROR');
     }
-    this._processedHeaders = true;
-    this._onHeaders(frame);
+    // * Interim (1xx) responses may be followed by more header blocks: the final response
+    var informational = Boolean(frame.headers) && /^1\d\d$/.test(frame.headers[':status']);
+    var first = !this._processedHeaders;
+    this._processedHeaders = !informational;
+    if (frame.header_list_too_large) {
+      this._onHeaderListTooLarge(first);
+    } else {
+      this._onHeaders(frame);
+    }
   } else if (frame.type === 'PUSH_PROMISE') {
-    this._onPromise(frame);
+    if (frame.header_list_too_large) {
+      this._log.warn('Refusing push promise with a too large header list');
+      frame.promised_stream.reset('ENHANCE_YOUR_CALM');
+    } else {
+      this._onPromise(frame);
+    }
   } else if (frame.type === 'PRIORITY') {
     this._onPriority(frame);
+  } else if ((frame.type === 'RST_STREAM') && (frame.error === 'REFUSED_STREAM')) {
+    this.emit('refused');
   } else if (frame.type === 'ALTSVC') {
     // TODO
   } else if (frame.type === 'ORIGIN') {
@@ -290,6 +547,11 @@ Stream.prototype._receive = function _receive(frame, ready) {
     }
   }
 
+  // * In manual flow control mode, DATA that the user will not consume is released immediately
+  if ((frame.type === 'DATA') && (this._ended || this._resetSent)) {
+    this._consume(frame.data.length);
+  }
+
   // * Any frame may signal the end of the stream with the END_STREAM flag
   if (!this._ended && (frame.flags.END_STREAM || (frame.type === 'RST_STREAM'))) {
     this.push(null);
@@ -414,6 +676,9 @@ Stream.prototype._setState = function transition(state) {
   assert(this.state !== state);
   this._log.debug({ from: this.state, to: state }, 'State transition');
   this.state = state;
+  if (state === 'CLOSED') {
+    this._scheduleTimeout();
+  }
   this.emit('state', state);
 };
 
@@ -431,12 +696,15 @@ Stream.prototype._transition = function transition(sending, frame) {
   var connectionError;
   var streamError;
 
+  this._lastActivity = Date.now();
+
   var DATA = false, HEADERS = false, PRIORITY = false, ALTSVC = false, ORIGIN = false;
   var RST_STREAM = false, PUSH_PROMISE = false, WINDOW_UPDATE = false;
   switch(frame.type) {
     case 'DATA'         : DATA          = true; break;
     case 'HEADERS'      : HEADERS       = true; break;
     case 'PRIORITY'     : PRIORITY      = true; break;
+    case 'PRIORITY_UPDATE': PRIORITY    = true; break;
     case 'RST_STREAM'   : RST_STREAM    = true; break;
     case 'PUSH_PROMISE' : PUSH_PROMISE  = true; break;
     case 'WINDOW_UPDATE': WINDOW_UPDATE = true; break;
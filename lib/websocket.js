@@ -0,0 +1,444 @@
+// WebSockets over HTTP/2
+// ======================
+
+// [RFC 8441](https://tools.ietf.org/html/rfc8441) bootstraps WebSockets with an extended CONNECT
+// request: instead of the HTTP/1.1 Upgrade handshake of [RFC 6455][1], the client sends a CONNECT
+// request with a `:protocol: websocket` pseudo-header, and after a 2xx response the WebSocket frames
+// are carried in the DATA frames of the HTTP/2 stream. The framing itself is unchanged, so this
+// module implements it on top of any duplex stream (usually an [http2.Tunnel](http.html)).
+//
+// [1]: https://tools.ietf.org/html/rfc6455
+
+var crypto = require('crypto');
+var EventEmitter = require('events').EventEmitter;
+
+exports.WebSocket = WebSocket;
+
+// Public API
+// ----------
+
+// * **new WebSocket(socket, [options])**: run the WebSocket protocol on the duplex stream `socket`.
+//   Options:
+//   * `client`: true on the client side. Clients mask the frames they send, and servers reject
+//     unmasked frames.
+//   * `maxMessageSize`: the size limit of incoming messages (16 MB by default). Larger messages
+//     close the connection with status code 1009.
+//
+// * **Event: 'message' (data, binary)**: a message has arrived. `data` is a string for text
+//   messages, and a Buffer for binary messages (`binary` is true).
+//
+// * **Event: 'ping' (data)**, **Event: 'pong' (data)**: a ping or pong arrived. Pings are answered
+//   automatically.
+//
+// * **Event: 'close' (code, reason)**: the connection has been closed. `code` is 1005 if the peer
+//   did not send a status code, and 1006 if the stream ended without a close frame.
+//
+// * **Event: 'error' (error)**: the peer violated the protocol. The connection is closed with the
+//   appropriate status code (`error.code`) after this. Since 'close' carries the status code too,
+//   the error is only emitted if there are listeners for it.
+//
+// * **send(data)**: send a message. Strings are sent as text, Buffers as binary messages.
+//
+// * **ping([data])**: send a ping with optional application data
+//
+// * **close([code], [reason])**: start the closing handshake with status code `code` (1000 by
+//   default). The stream is ended when the peer answers with a close frame.
+//
+// * **readyState**: `'open'`, `'closing'` (the close frame has been sent, but not answered yet) or
+//   `'closed'`
+
+// Constants
+// ---------
+
+var DEFAULT_MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+var OPCODE_CONTINUATION = 0x0;
+var OPCODE_TEXT = 0x1;
+var OPCODE_BINARY = 0x2;
+var OPCODE_CLOSE = 0x8;
+var OPCODE_PING = 0x9;
+var OPCODE_PONG = 0xA;
+
+// [Status codes](https://tools.ietf.org/html/rfc6455#section-7.4.1) used by this implementation
+var NORMAL_CLOSURE = 1000;
+var PROTOCOL_ERROR = 1002;
+var NO_STATUS_RECEIVED = 1005;
+var ABNORMAL_CLOSURE = 1006;
+var MESSAGE_TOO_BIG = 1009;
+
+// Control frames have at most 125 bytes of payload
+var MAX_CONTROL_PAYLOAD = 125;
+
+// Constructor
+// -----------
+
+function WebSocket(socket, options) {
+  EventEmitter.call(this);
+  options = options || {};
+
+  this.socket = socket;
+  this.readyState = 'open';
+
+  this._client = Boolean(options.client);
+  this._maxMessageSize = options.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE;
+
+  // * `_chunks` holds the received bytes of the incomplete frame (`_bufferedLength` bytes in
+  //   total), and `_fragments` the frames of the incomplete message
+  this._chunks = [];
+  this._bufferedLength = 0;
+  this._fragments = [];
+  this._fragmentsLength = 0;
+  this._messageOpcode = undefined;
+
+  this._closeSent = false;
+  this._ended = false;
+
+  socket.on('data', this._receive.bind(this));
+  socket.on('end', this._onEnd.bind(this));
+  socket.on('close', this._onEnd.bind(this));
+}
+WebSocket.prototype = Object.create(EventEmitter.prototype, { constructor: { value: WebSocket } });
+
+// Sending
+// -------
+
+WebSocket.prototype.send = function send(data) {
+  if (this.readyState !== 'open') {
+    throw new Error('Can not send on a WebSocket that is ' + this.readyState + '.');
+  }
+  if (typeof data === 'string') {
+    this._sendFrame(OPCODE_TEXT, new Buffer(data, 'utf8'));
+  } else {
+    this._sendFrame(OPCODE_BINARY, data);
+  }
+};
+
+WebSocket.prototype.ping = function ping(data) {
+  if (this.readyState !== 'open') {
+    throw new Error('Can not ping on a WebSocket that is ' + this.readyState + '.');
+  }
+  this._sendFrame(OPCODE_PING, controlPayload(data));
+};
+
+WebSocket.prototype.close = function close(code, reason) {
+  if (this.readyState !== 'open') {
+    return;
+  }
+  this.readyState = 'closing';
+  this._sendClose((code === undefined) ? NORMAL_CLOSURE : code, reason);
+};
+
+WebSocket.prototype._sendClose = function _sendClose(code, reason) {
+  var payload = new Buffer(0);
+  if (code !== undefined) {
+    payload = Buffer.concat([new Buffer(2), new Buffer(reason || '', 'utf8')]);
+    payload.writeUInt16BE(code, 0);
+  }
+  this._sendFrame(OPCODE_CLOSE, payload.slice(0, MAX_CONTROL_PAYLOAD));
+  this._closeSent = true;
+};
+
+//      0                   1                   2                   3
+//      0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1 2 3 4 5 6 7 8 9 0 1
+//     +-+-+-+-+-------+-+-------------+-------------------------------+
+//     |F|R|R|R| opcode|M| Payload len |    Extended payload length    |
+//     |I|S|S|S|  (4)  |A|     (7)     |             (16/64)           |
+//     |N|V|V|V|       |S|             |   (if payload len==126/127)   |
+//     | |1|2|3|       |K|             |                               |
+//     +-+-+-+-+-------+-+-------------+ - - - - - - - - - - - - - - - +
+//     |     Extended payload length continued, if payload len == 127  |
+//     + - - - - - - - - - - - - - - - +-------------------------------+
+//     |                               |Masking-key, if MASK set to 1  |
+//     +-------------------------------+-------------------------------+
+//     | Masking-key (continued)       |          Payload Data         |
+//     +-------------------------------- - - - - - - - - - - - - - - - +
+//
+// Messages are always sent in a single frame.
+WebSocket.prototype._sendFrame = function _sendFrame(opcode, payload) {
+  if (this._ended) {
+    return;
+  }
+
+  var length = payload.length;
+  var lengthSize = (length > 0xffff) ? 8 : (length > 125) ? 2 : 0;
+  var header = new Buffer(2 + lengthSize + (this._client ? 4 : 0));
+
+  header[0] = 0x80 | opcode;
+  if (lengthSize === 8) {
+    header[1] = 127;
+    header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+    header.writeUInt32BE(length % 0x100000000, 6);
+  } else if (lengthSize === 2) {
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header[1] = length;
+  }
+
+  // * Clients mask every frame with a fresh random key
+  if (this._client) {
+    var mask = crypto.randomBytes(4);
+    header[1] |= 0x80;
+    mask.copy(header, 2 + lengthSize);
+    payload = applyMask(payload, mask);
+  }
+
+  this.socket.write(Buffer.concat([header, payload]));
+};
+
+// Receiving
+// ---------
+
+WebSocket.prototype._receive = function _receive(chunk) {
+  if (this.readyState === 'closed') {
+    return;
+  }
+
+  this._chunks.push(chunk);
+  this._bufferedLength += chunk.length;
+
+  var frame;
+  while ((this.readyState !== 'closed') && (frame = this._parseFrame())) {
+    this._onFrame(frame);
+  }
+};
+
+// `_peek(size)` returns a Buffer that starts with the first `size` buffered bytes, or undefined if
+// they have not arrived yet. The chunks are only concatenated when all the requested bytes are
+// there, so large frames that arrive in many small chunks are not copied over and over again.
+WebSocket.prototype._peek = function _peek(size) {
+  if (this._bufferedLength < size) {
+    return undefined;
+  }
+  if (this._chunks[0].length < size) {
+    this._chunks = [Buffer.concat(this._chunks, this._bufferedLength)];
+  }
+  return this._chunks[0];
+};
+
+// `_consume(size)` drops the first `size` buffered bytes. It must follow a successful `_peek(size)`.
+WebSocket.prototype._consume = function _consume(size) {
+  this._chunks[0] = this._chunks[0].slice(size);
+  if (this._chunks[0].length === 0) {
+    this._chunks.shift();
+  }
+  this._bufferedLength -= size;
+};
+
+// `_parseFrame` cuts the next complete frame from the buffered chunks, or returns undefined if it
+// has not arrived completely yet.
+WebSocket.prototype._parseFrame = function _parseFrame() {
+  var buffer = this._peek(2);
+  if (!buffer) {
+    return undefined;
+  }
+
+  var frame = {
+    fin: Boolean(buffer[0] & 0x80),
+    rsv: buffer[0] & 0x70,
+    opcode: buffer[0] & 0x0f,
+    masked: Boolean(buffer[1] & 0x80)
+  };
+
+  var length = buffer[1] & 0x7f;
+  var offset = 2;
+  if (length === 126) {
+    if (!(buffer = this._peek(4))) {
+      return undefined;
+    }
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (!(buffer = this._peek(10))) {
+      return undefined;
+    }
+    length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+    offset = 10;
+  }
+
+  // * Too large frames are rejected before they are buffered
+  if (this._fragmentsLength + length > this._maxMessageSize) {
+    this._fail(MESSAGE_TOO_BIG, 'Message too big');
+    return undefined;
+  }
+
+  var mask;
+  if (frame.masked) {
+    if (!(buffer = this._peek(offset + 4))) {
+      return undefined;
+    }
+    mask = buffer.slice(offset, offset + 4);
+    offset += 4;
+  }
+
+  if (!(buffer = this._peek(offset + length))) {
+    return undefined;
+  }
+
+  frame.payload = buffer.slice(offset, offset + length);
+  if (mask) {
+    frame.payload = applyMask(frame.payload, mask);
+  }
+  this._consume(offset + length);
+
+  return frame;
+};
+
+WebSocket.prototype._onFrame = function _onFrame(frame) {
+  // * No extensions are negotiated, so the reserved bits must be 0
+  if (frame.rsv) {
+    return this._fail(PROTOCOL_ERROR, 'Reserved bits are set');
+  }
+
+  // * Frames sent by the client are masked, frames sent by the server are not
+  if (frame.masked === this._client) {
+    return this._fail(PROTOCOL_ERROR, frame.masked ? 'Masked frame from the server' :
+                                                     'Unmasked frame from the client');
+  }
+
+  if (frame.opcode & 0x8) {
+    this._onControlFrame(frame);
+  } else {
+    this._onDataFrame(frame);
+  }
+};
+
+// Control frames can not be fragmented, and they may be interleaved with the fragments of a
+// message.
+WebSocket.prototype._onControlFrame = function _onControlFrame(frame) {
+  if (!frame.fin || (frame.payload.length > MAX_CONTROL_PAYLOAD)) {
+    return this._fail(PROTOCOL_ERROR, 'Invalid control frame');
+  }
+
+  switch (frame.opcode) {
+    case OPCODE_CLOSE:
+      if (frame.payload.length === 1) {
+        return this._fail(PROTOCOL_ERROR, 'Invalid close frame');
+      }
+      var code = NO_STATUS_RECEIVED, reason = '';
+      if (frame.payload.length >= 2) {
+        code = frame.payload.readUInt16BE(0);
+        reason = frame.payload.slice(2).toString('utf8');
+      }
+      // * An endpoint that receives a close frame without having sent one answers with the same
+      //   status code
+      if (!this._closeSent) {
+        this._sendClose((code === NO_STATUS_RECEIVED) ? undefined : code);
+      }
+      this._finish(code, reason);
+      break;
+
+    case OPCODE_PING:
+      if (this.readyState === 'open') {
+        this._sendFrame(OPCODE_PONG, frame.payload);
+      }
+      this.emit('ping', frame.payload);
+      break;
+
+    case OPCODE_PONG:
+      this.emit('pong', frame.payload);
+      break;
+
+    default:
+      this._fail(PROTOCOL_ERROR, 'Unknown opcode: ' + frame.opcode);
+  }
+};
+
+// A message is either a single frame with FIN set, or a text or binary frame followed by
+// continuation frames, the last of which has FIN set.
+WebSocket.prototype._onDataFrame = function _onDataFrame(frame) {
+  if (frame.opcode === OPCODE_CONTINUATION) {
+    if (this._messageOpcode === undefined) {
+      return this._fail(PROTOCOL_ERROR, 'Unexpected continuation frame');
+    }
+  } else if ((frame.opcode === OPCODE_TEXT) || (frame.opcode === OPCODE_BINARY)) {
+    if (this._messageOpcode !== undefined) {
+      return this._fail(PROTOCOL_ERROR, 'Expected a continuation frame');
+    }
+    this._messageOpcode = frame.opcode;
+  } else {
+    return this._fail(PROTOCOL_ERROR, 'Unknown opcode: ' + frame.opcode);
+  }
+
+  this._fragments.push(frame.payload);
+  this._fragmentsLength += frame.payload.length;
+
+  if (frame.fin) {
+    var data = Buffer.concat(this._fragments, this._fragmentsLength);
+    var binary = (this._messageOpcode === OPCODE_BINARY);
+    this._fragments = [];
+    this._fragmentsLength = 0;
+    this._messageOpcode = undefined;
+
+    // * Messages that arrive after we started closing are dropped
+    if (this.readyState === 'open') {
+      this.emit('message', binary ? data : data.toString('utf8'), binary);
+    }
+  }
+};
+
+// Closing
+// -------
+
+// Protocol errors of the peer close the connection with the appropriate status code. The remote
+// peer must not be able to crash the process, so 'error' is not emitted without listeners.
+WebSocket.prototype._fail = function _fail(code, message) {
+  if (this.listeners('error').length > 0) {
+    var error = new Error(message);
+    error.code = code;
+    this.emit('error', error);
+  }
+
+  if (!this._closeSent) {
+    this._sendClose(code);
+  }
+  this._finish(code, message);
+};
+
+// The stream is ended when close frames have been exchanged (or on failure)
+WebSocket.prototype._finish = function _finish(code, reason) {
+  if (this.readyState === 'closed') {
+    return;
+  }
+  this.readyState = 'closed';
+  this._chunks = [];
+  this._bufferedLength = 0;
+  this._end();
+  this.emit('close', code, reason);
+};
+
+WebSocket.prototype._end = function _end() {
+  if (!this._ended) {
+    this._ended = true;
+    this.socket.end();
+  }
+};
+
+// The stream ended (or was reset) without a closing handshake
+WebSocket.prototype._onEnd = function _onEnd() {
+  if (this.readyState !== 'closed') {
+    this._finish(ABNORMAL_CLOSURE, '');
+  }
+};
+
+// Helper functions
+// ----------------
+
+function applyMask(payload, mask) {
+  var masked = new Buffer(payload.length);
+  for (var i = 0; i < payload.length; i++) {
+    masked[i] = payload[i] ^ mask[i % 4];
+  }
+  return masked;
+}
+
+function controlPayload(data) {
+  if (data === undefined) {
+    return new Buffer(0);
+  }
+  var payload = (typeof data === 'string') ? new Buffer(data, 'utf8') : data;
+  if (payload.length > MAX_CONTROL_PAYLOAD) {
+    throw new Error('Control frames can not carry more than ' + MAX_CONTROL_PAYLOAD + ' bytes.');
+  }
+  return payload;
+}
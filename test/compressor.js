@@ -518,6 +518,67 @@ describe('compressor.js', function() {
         });
         expect(error_occured).to.be.equal(true);
       });
+      it('should emit an emptyFrame event for empty CONTINUATION frames', function() {
+        var decompressor = new Decompressor(util.log, 'REQUEST');
+        var empty_frames = 0;
+        decompressor.on('emptyFrame', function() {
+          empty_frames += 1;
+        });
+        decompressor.write({
+          type: 'HEADERS',
+          flags: { END_HEADERS: false },
+          stream: 1,
+          data: new Buffer(0)
+        });
+        for (var i = 0; i < 3; i++) {
+          decompressor.write({
+            type: 'CONTINUATION',
+            flags: { END_HEADERS: false },
+            stream: 1,
+            data: new Buffer(0)
+          });
+        }
+        expect(empty_frames).to.be.equal(3);
+      });
+      it('should throw away header lists that exceed the size limit', function() {
+        var compressor = new Compressor(util.log, 'REQUEST');
+        var decompressor = new Decompressor(util.log, 'REQUEST');
+        decompressor.setHeaderListSizeLimit(100);
+        var headers = { ':method': 'GET', 'x-header': 'value' };
+        var large_headers = { ':method': 'GET', 'x-header': new Array(100).join('x') };
+        [headers, large_headers, headers].forEach(function(headers) {
+          decompressor.write({
+            type: 'HEADERS',
+            flags: { END_HEADERS: true },
+            stream: 1,
+            data: compressor.compress(headers)
+          });
+        });
+        expect(decompressor.read().headers).to.deep.equal(headers);
+        expect(decompressor.read()).to.include({ header_list_too_large: true });
+        expect(decompressor.read().headers).to.deep.equal(headers);
+      });
+      it('should emit an error event if a header block grows far beyond the size limit', function() {
+        var decompressor = new Decompressor(util.log, 'REQUEST');
+        decompressor.setHeaderListSizeLimit(100);
+        var error;
+        decompressor.on('error', function(type) {
+          error = type;
+        });
+        decompressor.write({
+          type: 'HEADERS',
+          flags: { END_HEADERS: false },
+          stream: 1,
+          data: new Buffer(100)
+        });
+        decompressor.write({
+          type: 'CONTINUATION',
+          flags: { END_HEADERS: false },
+          stream: 1,
+          data: new Buffer(101)
+        });
+        expect(error).to.be.equal('ENHANCE_YOUR_CALM');
+      });
     });
   });
 
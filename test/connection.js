@@ -8,58 +8,227 @@ var settings = {
   SETTINGS_INITIAL_WINDOW_SIZE: 100000
 };
 
-var MAX_PRIORITY = Math.pow(2, 31) - 1;
-var MAX_RANDOM_PRIORITY = 10;
+// Creates a stream that has an infinite number of `size` long DATA frames to send
+function createSendingStream(connection, id, size) {
+  var stream = {
+    id: id,
+    _priority: { parent: 0, weight: 16, exclusive: false },
+    urgency: 3,
+    incremental: undefined,
+    upstream: {
+      read: function() {
+        return { type: 'DATA', flags: {}, data: new Buffer(size) };
+      }
+    }
+  };
+  connection._streamIds[id] = stream;
+  stream._priorityNode = { stream: stream, parent: null, children: [], weight: 16, sequence: id };
+  connection._insert(stream._priorityNode, connection._priorityRoot, false);
+  return stream;
+}
 
-function randomPriority() {
-  return Math.floor(Math.random() * (MAX_RANDOM_PRIORITY + 1));
+function childrenOf(node) {
+  return node.children.map(function(child) {
+    return child.stream.id;
+  }).sort();
 }
 
-function expectPriorityOrder(priorities) {
-  priorities.forEach(function(bucket, priority) {
-    bucket.forEach(function(stream) {
-      expect(stream._priority).to.be.equal(priority);
-    });
+function idsOf(nodes) {
+  return nodes.map(function(node) {
+    return node.stream.id;
   });
 }
 
 describe('connection.js', function() {
   describe('Connection class', function() {
-    describe('method ._insert(stream)', function() {
-      it('should insert the stream in _streamPriorities in a place determined by stream._priority', function() {
-        var streams = [];
-        var connection = Object.create(Connection.prototype, { _streamPriorities: { value: streams }});
-        var streamCount = 10;
+    describe('method ._reprioritize(stream, priority)', function() {
+      var connection, a, b, c;
+      beforeEach(function() {
+        connection = new Connection(util.log, 1, settings);
+        a = createSendingStream(connection, 1, 10);
+        b = createSendingStream(connection, 3, 10);
+        c = createSendingStream(connection, 5, 10);
+      });
+      it('should move the stream under the new parent with the given weight', function() {
+        connection._reprioritize(b, { parent: 1, weight: 100, exclusive: false });
+        expect(childrenOf(connection._priorityRoot)).to.deep.equal([1, 5]);
+        expect(childrenOf(a._priorityNode)).to.deep.equal([3]);
+        expect(b._priorityNode.weight).to.equal(100);
+      });
+      it('should make the stream the sole child of the parent in case of exclusive dependency', function() {
+        connection._reprioritize(c, { parent: 0, weight: 16, exclusive: true });
+        expect(childrenOf(connection._priorityRoot)).to.deep.equal([5]);
+        expect(childrenOf(c._priorityNode)).to.deep.equal([1, 3]);
+      });
+      it('should first move the new parent up if it depends on the stream', function() {
+        connection._reprioritize(b, { parent: 1, weight: 16, exclusive: false });
+        connection._reprioritize(c, { parent: 3, weight: 16, exclusive: false });
+        connection._reprioritize(a, { parent: 5, weight: 16, exclusive: false });
+        expect(childrenOf(connection._priorityRoot)).to.deep.equal([5]);
+        expect(childrenOf(c._priorityNode)).to.deep.equal([1]);
+        expect(childrenOf(a._priorityNode)).to.deep.equal([3]);
+        expect(childrenOf(b._priorityNode)).to.deep.equal([]);
+      });
+      it('should keep the children in the order of their creation', function() {
+        connection._reprioritize(a, { parent: 5, weight: 16, exclusive: false });
+        connection._reprioritize(b, { parent: 5, weight: 16, exclusive: false });
+        connection._reprioritize(c, { parent: 0, weight: 16, exclusive: true });
+        connection._reprioritize(a, { parent: 0, weight: 16, exclusive: false });
+        expect(idsOf(connection._priorityRoot.children)).to.deep.equal([1, 5]);
+        connection._reprioritize(c, { parent: 0, weight: 16, exclusive: true });
+        expect(idsOf(c._priorityNode.children)).to.deep.equal([1, 3]);
+      });
+      it('should assign default priority if the parent is not in the tree', function() {
+        connection._reprioritize(b, { parent: 1, weight: 100, exclusive: false });
+        connection._reprioritize(c, { parent: 99, weight: 100, exclusive: true });
+        expect(childrenOf(connection._priorityRoot)).to.deep.equal([1, 5]);
+        expect(c._priorityNode.weight).to.equal(16);
+      });
+    });
+    describe('method ._removePrioritisedStream(stream)', function() {
+      it('should move the children to the parent, distributing the weight of the stream', function() {
+        var connection = new Connection(util.log, 1, settings);
+        var a = createSendingStream(connection, 1, 10);
+        var b = createSendingStream(connection, 3, 10);
+        var c = createSendingStream(connection, 5, 10);
+        connection._reprioritize(a, { parent: 0, weight: 20, exclusive: false });
+        connection._reprioritize(b, { parent: 1, weight: 1, exclusive: false });
+        connection._reprioritize(c, { parent: 1, weight: 3, exclusive: false });
 
-        for (var i = 0; i < streamCount; i++) {
-          var stream = { _priority: randomPriority() };
-          connection._insert(stream, stream._priority);
-          expect(connection._streamPriorities[stream._priority]).to.include(stream);
+        connection._removePrioritisedStream(a);
+        expect(childrenOf(connection._priorityRoot)).to.deep.equal([3, 5]);
+        expect(b._priorityNode.weight).to.equal(5);
+        expect(c._priorityNode.weight).to.equal(15);
+      });
+    });
+    describe('method ._receivePriorityUpdate(frame)', function() {
+      it('should update the extensible priority of the stream', function() {
+        var connection = new Connection(util.log, 2, settings);
+        var stream = connection._createIncomingStream(1);
+        connection._receivePriorityUpdate({
+          type: 'PRIORITY_UPDATE',
+          flags: {},
+          stream: 0,
+          prioritized_stream: 1,
+          priority_field: 'u=0, i'
+        });
+        expect(stream.urgency).to.equal(0);
+        expect(stream.incremental).to.equal(true);
+      });
+      it('should emit error on the client side', function() {
+        var connection = new Connection(util.log, 1, settings);
+        expect(connection._receivePriorityUpdate.bind(connection, {
+          type: 'PRIORITY_UPDATE',
+          flags: {},
+          stream: 0,
+          prioritized_stream: 1,
+          priority_field: 'u=0'
+        })).to.throw(Error);
+      });
+    });
+    describe('method .setConnectionWindowSize(size)', function() {
+      function readAll(connection) {
+        var frame, frames = [];
+        while (frame = connection.read()) {
+          frames.push(frame);
         }
+        return frames;
+      }
 
-        expectPriorityOrder(connection._streamPriorities);
+      it('should announce the initial size right after the first SETTINGS frame', function() {
+        var connection = new Connection(util.log, 1, settings, { connectionWindowSize: 1048576 });
+        var frames = readAll(connection);
+        expect(frames[0].type).to.equal('SETTINGS');
+        expect(frames[1]).to.include({ type: 'WINDOW_UPDATE', stream: 0, window_size: 1048576 - 65535 });
+      });
+      it('should send WINDOW_UPDATE only for the increment, and ignore shrinking', function() {
+        var connection = new Connection(util.log, 1, settings, { connectionWindowSize: 100000 });
+        readAll(connection);
+
+        connection.setConnectionWindowSize(150000);
+        connection.setConnectionWindowSize(120000);
+        var frames = readAll(connection);
+        expect(frames).to.have.length(1);
+        expect(frames[0]).to.include({ type: 'WINDOW_UPDATE', stream: 0, window_size: 50000 });
+      });
+      it('should throw for sizes above 2^31-1', function() {
+        var connection = new Connection(util.log, 1, settings);
+        expect(function() {
+          connection.setConnectionWindowSize(Math.pow(2, 31));
+        }).to.throw(/2\^31-1/);
       });
     });
-    describe('method ._reprioritize(stream)', function() {
-      it('should eject and then insert the stream in _streamPriorities in a place determined by stream._priority', function() {
-        var streams = [];
-        var connection = Object.create(Connection.prototype, { _streamPriorities: { value: streams }});
-        var streamCount = 10;
-        var oldPriority, newPriority, stream;
-
-        for (var i = 0; i < streamCount; i++) {
-          oldPriority = randomPriority();
-          while ((newPriority = randomPriority()) === oldPriority);
-          stream = { _priority: oldPriority };
-          connection._insert(stream, oldPriority);
-          connection._reprioritize(stream, newPriority);
-          stream._priority = newPriority;
-
-          expect(connection._streamPriorities[newPriority]).to.include(stream);
-          expect(connection._streamPriorities[oldPriority] || []).to.not.include(stream);
+    describe('flood protection', function() {
+      // The first frame of the peer is always a SETTINGS frame
+      function createConnection(limits) {
+        var connection = new Connection(util.log, 2, settings, { limits: limits });
+        receive(connection, [{ type: 'SETTINGS', flags: {}, stream: 0, settings: {} }]);
+        return connection;
+      }
+      function receive(connection, frames) {
+        frames.forEach(function(frame) {
+          connection._receive(frame, util.noop);
+        });
+      }
+      function headers(id) {
+        return { type: 'HEADERS', flags: { END_HEADERS: true }, stream: id,
+                 headers: { ':method': 'GET', ':path': '/' } };
+      }
+      function expectEnhanceYourCalm(connection) {
+        expect(connection._closed).to.equal(true);
+        var frame, last;
+        while (frame = connection.read()) {
+          last = frame;
         }
+        expect(last).to.include({ type: 'GOAWAY', error: 'ENHANCE_YOUR_CALM' });
+      }
 
-        expectPriorityOrder(streams);
+      it('should close the connection if the peer resets streams too fast', function() {
+        var connection = createConnection({ maxResetsPerSecond: 5 });
+        for (var id = 1; id < 20; id += 2) {
+          receive(connection, [headers(id), { type: 'RST_STREAM', flags: {}, stream: id, error: 'CANCEL' }]);
+        }
+        expect(connection.counters.resets).to.equal(6);
+        expectEnhanceYourCalm(connection);
+      });
+      it('should close the connection if the peer does not read the answers to its PINGs', function() {
+        var connection = createConnection({ maxOutstandingControlFrames: 10 });
+        for (var i = 0; i < 20; i++) {
+          receive(connection, [{ type: 'PING', flags: {}, stream: 0, data: new Buffer(8) }]);
+        }
+        // Our SETTINGS frame and its ACK are also waiting in the output buffer
+        expect(connection.counters.pings).to.equal(9);
+        expectEnhanceYourCalm(connection);
+      });
+      it('should count refused streams and empty frames per second', function() {
+        var connection = createConnection({ maxRefusedStreamsPerSecond: 2, maxEmptyFramesPerSecond: 2 });
+        var now = Date.now;
+        var time = now();
+        Date.now = function() {
+          return time;
+        };
+        try {
+          for (var i = 0; i < 5; i++) {
+            expect(connection._consume('refusedStreams')).to.equal(true);
+            expect(connection._consume('emptyFrames')).to.equal(true);
+            time += 600;
+          }
+          expect(connection._closed).to.not.equal(true);
+          expect(connection._consume('refusedStreams')).to.equal(true);
+          expect(connection._consume('refusedStreams')).to.equal(false);
+        } finally {
+          Date.now = now;
+        }
+        expectEnhanceYourCalm(connection);
+      });
+      it('should close the connection if the peer sends too many empty frames', function() {
+        var connection = createConnection({ maxEmptyFramesPerSecond: 3 });
+        receive(connection, [headers(1)]);
+        for (var i = 0; i < 5; i++) {
+          receive(connection, [{ type: 'DATA', flags: {}, stream: 1, data: new Buffer(0) }]);
+        }
+        expect(connection.counters.emptyFrames).to.equal(4);
+        expectEnhanceYourCalm(connection);
       });
     });
     describe('invalid operation', function() {
@@ -77,6 +246,38 @@ describe('connection.js', function() {
           });
         });
       });
+      describe('answer to a cancelled ping', function() {
+        it('should be ignored', function() {
+          var connection = new Connection(util.log, 1, settings);
+          var payload = new Buffer('0123456789abcdef', 'hex');
+
+          var id = connection.ping(payload, function() {
+            throw new Error('Callback of a cancelled PING was called');
+          });
+          expect(connection.cancelPing(id)).to.equal(true);
+          expect(connection.cancelPing(id)).to.equal(false);
+          connection._receivePing({ stream: 0, type: 'PING', flags: { ACK: true }, data: payload });
+
+          expect(function() {
+            connection.ping(payload);
+          }).to.not.throw();
+        });
+      });
+      describe('WINDOW_UPDATE on a closed stream', function() {
+        it('should be ignored', function(done) {
+          var connection = new Connection(util.log, 1, settings);
+          connection._firstFrameReceived = true;
+          connection._nextStreamId = 5;
+          connection.on('error', function() {
+            throw new Error('Connection error');
+          });
+
+          connection._receive({ type: 'WINDOW_UPDATE', flags: {}, stream: 3, window_size: 8 }, function() {
+            expect(connection._streamIds[3]).to.equal(undefined);
+            done();
+          });
+        });
+      });
     });
   });
   describe('test scenario', function() {
@@ -134,6 +335,32 @@ describe('connection.js', function() {
         });
       });
     });
+    describe('stream of an upgraded HTTP/1.1 request', function() {
+      it('should be able to carry the response', function(done) {
+        var request_headers = { ':method': 'GET', ':path': '/' };
+        var response_headers = { ':status': '200' };
+        var response_data = new Buffer('12345678', 'hex');
+
+        s.on('stream', function(server_stream) {
+          server_stream.on('headers', function(headers) {
+            expect(headers).to.deep.equal(request_headers);
+            expect(server_stream.state).to.equal('HALF_CLOSED_REMOTE');
+            server_stream.headers(response_headers);
+            server_stream.end(response_data);
+          });
+        });
+
+        var client_stream = c.createUpgradedStream();
+        expect(client_stream.id).to.equal(1);
+        expect(client_stream.state).to.equal('HALF_CLOSED_LOCAL');
+        s.createUpgradedStream(request_headers);
+
+        client_stream.on('data', function(data) {
+          expect(data).to.deep.equal(response_data);
+          done();
+        });
+      });
+    });
     describe('server push', function() {
       it('should work as expected', function(done) {
         var request_headers = { ':method': 'get', ':path': '/' };
@@ -207,10 +434,8 @@ describe('connection.js', function() {
         s.on('stream', function(response) {
           response.headers({ ':status': '200' });
 
-          var p1 = s.createStream();
-          var p2 = s.createStream();
-          response.promise(p2, { ':method': 'get', ':path': '/p2' });
-          response.promise(p1, { ':method': 'get', ':path': '/p1' });
+          var p1 = response.promise({ ':method': 'get', ':path': '/p1' });
+          var p2 = response.promise({ ':method': 'get', ':path': '/p2' });
           p2.headers({ ':status': '200' });
           p1.headers({ ':status': '200' });
         });
@@ -224,6 +449,136 @@ describe('connection.js', function() {
         });
       });
     });
+    describe('graceful shutdown', function() {
+      it('should let in-flight streams finish, and ignore new ones', function(done) {
+        var goaways = [];
+        c.on('GOAWAY', function(frame) {
+          goaways.push(frame.last_stream);
+          if (goaways.length === 2) {
+            var late_stream = c.createStream();
+            late_stream.on('refused', done);
+            late_stream.headers({ ':method': 'GET', ':path': '/late' });
+            client_stream.end();
+          }
+        });
+
+        var incoming = [];
+        s.on('stream', function(server_stream) {
+          incoming.push(server_stream);
+          server_stream.on('data', util.noop);
+          server_stream.on('end', function() {
+            server_stream.headers({ ':status': '200' });
+            server_stream.end();
+          });
+        });
+
+        var client_stream = c.createStream();
+        client_stream.headers({ ':method': 'POST', ':path': '/' });
+        client_stream.on('headers', function(headers) {
+          expect(headers[':status']).to.equal('200');
+        });
+        client_stream.on('data', util.noop);
+
+        done = util.callNTimes(4, done);
+        s.on('drained', function() {
+          expect(goaways).to.deep.equal([0x7fffffff, 1]);
+          expect(incoming.length).to.equal(1);
+          done();
+        });
+        c.on('drained', done);
+        c.on('end', done);
+
+        s.on('new_stream', function() {
+          s.shutdown();
+        });
+      });
+    });
+    describe('receiving GOAWAY', function() {
+      it('should refuse the streams that the peer has not processed', function(done) {
+        s.on('stream', function(server_stream) {
+          server_stream.on('headers', function() {
+            if (server_stream.id === 3) {
+              s._pushGoaway(1, 'NO_ERROR');
+              s._streamIds[1].headers({ ':status': '200' });
+              s._streamIds[1].end();
+            }
+          });
+        });
+
+        var processed = c.createStream();
+        processed.headers({ ':method': 'GET', ':path': '/1' });
+        processed.end();
+        processed.on('refused', function() {
+          throw new Error('Processed stream was refused');
+        });
+        var unprocessed = c.createStream();
+        unprocessed.headers({ ':method': 'GET', ':path': '/3' });
+        unprocessed.end();
+
+        done = util.callNTimes(2, done);
+        unprocessed.on('refused', done);
+        c.on('drained', done);
+      });
+    });
+    describe('opening more streams than the concurrent stream limit', function() {
+      function openStreams(count) {
+        var streams = [];
+        for (var i = 0; i < count; i++) {
+          var stream = c.createStream();
+          stream.headers({ ':method': 'GET', ':path': '/' + i });
+          streams.push(stream);
+        }
+        return streams;
+      }
+
+      beforeEach(function() {
+        // The client ignores the limit, as a misbehaving peer would
+        c.removeAllListeners('RECEIVING_SETTINGS_MAX_CONCURRENT_STREAMS');
+      });
+
+      it('should refuse the streams above the limit with REFUSED_STREAM', function(done) {
+        s.set({ SETTINGS_MAX_CONCURRENT_STREAMS: 1 }, function() {
+          var incoming = [];
+          s.on('stream', function(stream) {
+            incoming.push(stream);
+          });
+
+          var streams = openStreams(2);
+          streams[0].on('refused', function() {
+            throw new Error('Stream below the limit was refused');
+          });
+          streams[1].on('refused', function() {
+            expect(incoming).to.have.length(1);
+            expect(s._incomingStreams).to.equal(1);
+
+            // After the first stream is closed, there's room for a new one
+            incoming[0].on('state', function(state) {
+              if (state === 'CLOSED') {
+                var next = openStreams(1)[0];
+                next.on('refused', function() {
+                  throw new Error('Stream within the limit was refused');
+                });
+                s.on('stream', function() {
+                  done();
+                });
+              }
+            });
+            incoming[0].headers({ ':status': '200' });
+            incoming[0].end();
+            streams[0].end();
+          });
+        });
+      });
+      it('should send GOAWAY with ENHANCE_YOUR_CALM if it happens repeatedly', function(done) {
+        s.set({ SETTINGS_MAX_CONCURRENT_STREAMS: 1 }, function() {
+          c.on('peerError', function(error) {
+            expect(error).to.equal('ENHANCE_YOUR_CALM');
+            done();
+          });
+          openStreams(20);
+        });
+      });
+    });
     describe('closing the connection on one end', function() {
       it('should result in closed streams on both ends', function(done) {
         done = util.callNTimes(2, done);
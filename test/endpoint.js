@@ -1,5 +1,6 @@
 var expect = require('chai').expect;
 var util = require('./util');
+var extend = require('util')._extend;
 
 var endpoint = require('../lib/protocol/endpoint');
 var Endpoint = endpoint.Endpoint;
@@ -26,6 +27,278 @@ describe('endpoint.js', function() {
       });
     });
   });
+  describe('graceful shutdown', function() {
+    var c, s;
+    beforeEach(function() {
+      c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings);
+      s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s).pipe(c);
+    });
+
+    it('should finish when there are no streams in flight', function(done) {
+      s.shutdown({ timeout: 1000 }, function(drained) {
+        expect(drained).to.equal(true);
+        done();
+      });
+    });
+    it('should close the connection after the timeout if a stream does not finish', function(done) {
+      s.on('stream', function() {
+        s.shutdown({ timeout: 50 }, function(drained) {
+          expect(drained).to.equal(false);
+          done();
+        });
+      });
+      c.createStream().headers({ ':method': 'GET', ':path': '/' });
+    });
+  });
+  describe('idle timeout', function() {
+    var c, s;
+    beforeEach(function() {
+      c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings);
+      s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s).pipe(c);
+    });
+
+    it('should close the connection with GOAWAY if there are no listeners', function(done) {
+      s.setTimeout(20);
+      c.on('goaway', function(lastStream, error) {
+        expect(error).to.equal('NO_ERROR');
+        done();
+      });
+    });
+    it('should emit \'timeout\' if there are listeners', function(done) {
+      c.on('goaway', function() {
+        throw new Error('Connection closed');
+      });
+      s.setTimeout(20, function() {
+        s.setTimeout(0);
+        setTimeout(done, 40);
+      });
+    });
+  });
+  describe('ping([payload], [timeout])', function() {
+    var c, s;
+    beforeEach(function() {
+      c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings);
+      s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+    });
+
+    it('should resolve to the round-trip time, and update the statistics', function(done) {
+      c.pipe(s).pipe(c);
+      var payload = new Buffer('01234567');
+      c.ping(payload).then(function(rtt) {
+        expect(rtt).to.be.a('number');
+        expect(c.rtt).to.equal(rtt);
+        expect(c.minRtt).to.equal(rtt);
+        expect(c.smoothedRtt).to.equal(rtt);
+        return c.ping();
+      }).then(function(rtt) {
+        expect(c.minRtt).to.be.at.most(rtt);
+        done();
+      }).catch(done);
+    });
+    it('should reject invalid payloads', function(done) {
+      c.ping(new Buffer('too long payload')).then(function() {
+        done(new Error('Invalid payload was accepted'));
+      }, function() {
+        done();
+      });
+    });
+    it('should reject if the answer does not arrive in time', function(done) {
+      c.pipe(s);
+      c.ping(undefined, 20).then(function() {
+        done(new Error('Unanswered PING resolved'));
+      }, function(error) {
+        expect(error.code).to.equal('PING_TIMEOUT');
+        done();
+      });
+    });
+    it('should reject if the connection is closed', function(done) {
+      c.pipe(s);
+      c.ping().then(function() {
+        done(new Error('Unanswered PING resolved'));
+      }, function(error) {
+        expect(error.code).to.equal('CONNECTION_CLOSED');
+        done();
+      });
+      c.close();
+    });
+  });
+  describe('keepalive', function() {
+    var keepAlive = { interval: 20, timeout: 40 };
+
+    it('should measure the round-trip time with PINGs', function(done) {
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings, undefined,
+                           { keepAlive: keepAlive });
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s).pipe(c);
+
+      c.on('pingTimeout', function() {
+        throw new Error('PING was not answered');
+      });
+      setTimeout(function() {
+        expect(c.rtt).to.be.a('number');
+        c.close();
+        done();
+      }, 100);
+    });
+    it('should close the connection if the peer does not answer', function(done) {
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings, undefined,
+                           { keepAlive: keepAlive });
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s);
+
+      c.on('pingTimeout', function() {
+        expect(c.rtt).to.equal(undefined);
+        expect(c._connection._closed).to.equal(true);
+        done();
+      });
+    });
+  });
+  describe('SETTINGS_MAX_FRAME_SIZE', function() {
+    it('should let the peers send DATA frames larger than 16384 bytes', function(done) {
+      var largeFrames = extend({ SETTINGS_MAX_FRAME_SIZE: Math.pow(2, 24) - 1 }, settings);
+      var received = [];
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', largeFrames);
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', largeFrames, {
+        afterDeserialization: function(frame, forward, done) {
+          if ((frame.type === 'DATA') && frame.data.length) {
+            received.push(frame.data.length);
+          }
+          forward(frame);
+          done();
+        }
+      });
+      c.pipe(s).pipe(c);
+
+      s.on('stream', function(stream) {
+        stream.on('data', function() {});
+        stream.on('end', function() {
+          expect(received).to.deep.equal([60000]);
+          done();
+        });
+      });
+      c._connection.once('RECEIVING_SETTINGS_MAX_FRAME_SIZE', function() {
+        var stream = c.createStream();
+        stream.headers({ ':method': 'POST', ':path': '/' });
+        stream.end(new Buffer(60000));
+      });
+    });
+  });
+  describe('connectionWindowSize option', function() {
+    it('should let the peer send more data on the connection', function(done) {
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings, undefined,
+                           { connectionWindowSize: 1048576 });
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s).pipe(c);
+
+      setTimeout(function() {
+        expect(s._connection._window).to.equal(1048576);
+        c.setConnectionWindowSize(2097152);
+        setTimeout(function() {
+          expect(s._connection._window).to.equal(2097152);
+          done();
+        }, 10);
+      }, 10);
+    });
+  });
+  describe('windowTuning option', function() {
+    it('should grow the receive windows when the windows limit the throughput', function(done) {
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings, undefined,
+                           { windowTuning: { maxWindowSize: 1048576 } });
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s).pipe(c);
+
+      s.on('stream', function(stream) {
+        stream.headers({ ':status': 200 });
+        stream.end(new Buffer(4 * 1048576));
+      });
+
+      var request = c.createStream();
+      request.headers({ ':method': 'GET', ':path': '/' });
+      request.on('data', function() {});
+      request.on('end', function() {
+        expect(c._connection._receiveWindow).to.be.above(65535);
+        expect(c._connection._receiveWindow).to.be.at.most(1048576);
+        expect(c._connection._localStreamWindowSize).to.be.above(settings.SETTINGS_INITIAL_WINDOW_SIZE);
+        done();
+      });
+    });
+  });
+  describe('manualFlowControl option', function() {
+    it('should let the peer send more only when the data is consumed', function(done) {
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings, undefined,
+                           { manualFlowControl: true });
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings);
+      c.pipe(s).pipe(c);
+
+      s.on('stream', function(stream) {
+        stream.headers({ ':status': 200 });
+        stream.end(new Buffer(200000));
+      });
+
+      var request = c.createStream();
+      var received = 0;
+      request.headers({ ':method': 'GET', ':path': '/' });
+      request.on('data', function(chunk) {
+        received += chunk.length;
+      });
+
+      setTimeout(function() {
+        // The connection window of 65535 bytes is full, and the stream window has some room left
+        expect(received).to.equal(65535);
+        expect(request.getWindowState()).to.include({
+          unconsumed: 65535,
+          available: settings.SETTINGS_INITIAL_WINDOW_SIZE - 65535
+        });
+
+        request.on('data', function(chunk) {
+          request.consume(chunk.length);
+        });
+        request.on('end', function() {
+          expect(received).to.equal(200000);
+          done();
+        });
+        request.consume(65535);
+      }, 50);
+    });
+  });
+  describe('padding option', function() {
+    it('should pad the frames without breaking flow control', function(done) {
+      var c = new Endpoint(util.log.child({ role: 'client' }), 'CLIENT', settings);
+      var paddedFrames = 0, paddedHeaders = 0, received = 0;
+      var s = new Endpoint(util.log.child({ role: 'server' }), 'SERVER', settings, undefined,
+                           { padding: { random: 255 } });
+      c.pipe(s).pipe(c);
+      c._deserializer.on('data', function(frame) {
+        if (frame.flags.PADDED) {
+          paddedFrames += 1;
+          paddedHeaders += (frame.type === 'HEADERS') ? 1 : 0;
+        }
+      });
+
+      s.on('stream', function(stream) {
+        stream.headers({ ':status': 200 });
+        stream.end(new Buffer(200000));
+      });
+
+      var request = c.createStream();
+      request.headers({ ':method': 'GET', ':path': '/' });
+      request.on('data', function(chunk) {
+        received += chunk.length;
+      });
+      request.on('end', function() {
+        expect(received).to.equal(200000);
+        expect(paddedHeaders).to.equal(1);
+        expect(paddedFrames).to.be.above(1);
+        setTimeout(function() {
+          // Every byte of padding has been given back to the server
+          expect(s._connection._window).to.equal(65535);
+          done();
+        }, 10);
+      });
+    });
+  });
   describe('bunyan serializer', function() {
     describe('`e`', function() {
       var format = endpoint.serializers.e;
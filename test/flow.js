@@ -108,6 +108,75 @@ describe('flow.js', function() {
         });
       });
     });
+    describe('.setMaxFrameSize(size) method', function() {
+      it('should change the max. size of the DATA frames read from the flow', function() {
+        var buffer = new Buffer(40000);
+        flow._send = util.noop;
+        flow._window = 100000;
+        flow.setMaxFrameSize(32768);
+
+        flow.push({ type: 'DATA', flags: {}, stream: 1, data: buffer });
+        expect(flow.read().data.length).to.equal(32768);
+        expect(flow.read().data.length).to.equal(40000 - 32768);
+      });
+    });
+    describe('.setWindowUpdateThreshold(ratio) method', function() {
+      it('should delay WINDOW_UPDATE until enough data is received', function(done) {
+        flow._send = util.noop;
+        flow._receive = function(frame, callback) { callback(); };
+        flow.setReceiveWindow(100);
+        flow.setWindowUpdateThreshold(0.5);
+
+        flow.write({ type: 'DATA', flags: {}, stream: flow._flowControlId, data: new Buffer(30) });
+        setImmediate(function() {
+          expect(flow.read()).to.equal(null);
+
+          flow.write({ type: 'DATA', flags: {}, stream: flow._flowControlId, data: new Buffer(30) });
+          setImmediate(function() {
+            expect(flow.read()).to.include({ type: 'WINDOW_UPDATE', window_size: 60 });
+            done();
+          });
+        });
+      });
+    });
+    describe('.consume(bytes) method', function() {
+      it('should release the received data in manual flow control mode', function(done) {
+        flow._send = util.noop;
+        flow._receive = function(frame, callback) { callback(); };
+        flow.setManualFlowControl();
+
+        flow.write({ type: 'DATA', flags: {}, stream: flow._flowControlId, data: new Buffer(30) });
+        setImmediate(function() {
+          expect(flow.read()).to.equal(null);
+
+          flow.consume(20);
+          setImmediate(function() {
+            expect(flow.read()).to.include({ type: 'WINDOW_UPDATE', window_size: 20 });
+            expect(function() {
+              flow.consume(20);
+            }).to.throw(Error);
+            done();
+          });
+        });
+      });
+    });
+    describe('padded DATA frames', function() {
+      it('should count the padding against the flow control window', function(done) {
+        flow._send = util.noop;
+        flow._window = 100;
+        flow.push({ type: 'DATA', flags: { PADDED: true }, stream: 1, padding: 9, data: new Buffer(40) });
+        expect(flow._window).to.equal(50);
+
+        flow._receive = function(frame, callback) { callback(); };
+        flow.write({ type: 'DATA', flags: { PADDED: true }, stream: flow._flowControlId, padding: 9,
+                     data: new Buffer(40) });
+        setImmediate(function() {
+          flow.read();
+          expect(flow.read()).to.include({ type: 'WINDOW_UPDATE', window_size: 50 });
+          done();
+        });
+      });
+    });
     describe('.push(frame) method', function() {
       it('should push `frame` into the output queue or the flow control queue', function() {
         var priorityFrame = { type: 'PRIORITY', flags: {}, priority: 1 };
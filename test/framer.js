@@ -16,7 +16,8 @@ var frame_types = {
   GOAWAY:        ['last_stream', 'error'],
   WINDOW_UPDATE: ['window_size'],
   CONTINUATION:  ['data'],
-  ALTSVC:        ['protocolID', 'host', 'port', 'origin', 'maxAge']
+  ALTSVC:        ['protocolID', 'host', 'port', 'origin', 'maxAge'],
+  PRIORITY_UPDATE: ['prioritized_stream', 'priority_field']
 };
 
 var test_frames = [{
@@ -116,14 +117,18 @@ var test_frames = [{
       SETTINGS_ENABLE_PUSH: true,
       SETTINGS_MAX_CONCURRENT_STREAMS: 0x01234567,
       SETTINGS_INITIAL_WINDOW_SIZE:    0x89ABCDEF,
-      SETTINGS_MAX_FRAME_SIZE:         0x00010000
+      SETTINGS_MAX_FRAME_SIZE:         0x00010000,
+      SETTINGS_MAX_HEADER_LIST_SIZE:   0x00020000,
+      SETTINGS_ENABLE_CONNECT_PROTOCOL: true
     }
   },
-  buffer: new Buffer('00001E' + '04' + '00' + '0000000A' +   '0001' + '12345678' +
+  buffer: new Buffer('00002A' + '04' + '00' + '0000000A' +   '0001' + '12345678' +
                                                              '0002' + '00000001' +
                                                              '0003' + '01234567' +
                                                              '0004' + '89ABCDEF' +
-                                                             '0005' + '00010000', 'hex')
+                                                             '0005' + '00010000' +
+                                                             '0006' + '00020000' +
+                                                             '0008' + '00000001', 'hex')
 
 }, {
   frame: {
@@ -204,6 +209,16 @@ var test_frames = [{
   },
   buffer: new Buffer(new Buffer('000045' + '0A' + '00' + '00000000' + '001A', 'hex') + new Buffer('https://onlyme.example.comh2="altsvc.example.com:4443"; ma=31536000', 'ascii'))
 
+}, {
+  frame: {
+    type: 'PRIORITY_UPDATE',
+    flags: { },
+    stream: 0,
+
+    prioritized_stream: 5,
+    priority_field: 'u=1, i'
+  },
+  buffer: new Buffer(new Buffer('00000A' + '10' + '00' + '00000000' + '00000005', 'hex') + new Buffer('u=1, i', 'ascii'))
 }, {
   frame: {
     type: 'BLOCKED',
@@ -220,7 +235,8 @@ var padded_test_frames = [{
     flags: { END_STREAM: false, RESERVED2: false, RESERVED4: false,
              PADDED: true },
     stream: 10,
-    data: new Buffer('12345678', 'hex')
+    data: new Buffer('12345678', 'hex'),
+    padding: 6
   },
   // length + type + flags + stream + pad length + content + padding
   buffer: new Buffer('00000B' + '00' + '08' + '0000000A' + '06' + '12345678' + '000000000000', 'hex')
@@ -232,7 +248,8 @@ var padded_test_frames = [{
              PADDED: true, RESERVED5: false, PRIORITY: false },
     stream: 15,
 
-    data: new Buffer('12345678', 'hex')
+    data: new Buffer('12345678', 'hex'),
+    padding: 6
   },
   // length + type + flags + stream + pad length + data + padding
   buffer: new Buffer('00000B' + '01' + '08' + '0000000F' + '06' + '12345678' + '000000000000', 'hex')
@@ -247,7 +264,8 @@ var padded_test_frames = [{
     priorityWeight: 5,
     exclusiveDependency: false,
 
-    data: new Buffer('12345678', 'hex')
+    data: new Buffer('12345678', 'hex'),
+    padding: 6
   },
   // length + type + flags + stream + pad length + priority dependency + priority weight + data + padding
   buffer: new Buffer('000010' + '01' + '28' + '0000000F' + '06' + '0000000A' + '05' + '12345678' + '000000000000', 'hex')
@@ -262,7 +280,8 @@ var padded_test_frames = [{
     priorityWeight: 5,
     exclusiveDependency: true,
 
-    data: new Buffer('12345678', 'hex')
+    data: new Buffer('12345678', 'hex'),
+    padding: 6
   },
   // length + type + flags + stream + pad length + priority dependency + priority weight + data + padding
   buffer: new Buffer('000010' + '01' + '28' + '0000000F' + '06' + '8000000A' + '05' + '12345678' + '000000000000', 'hex')
@@ -275,7 +294,8 @@ var padded_test_frames = [{
     stream: 15,
 
     promised_stream: 3,
-    data: new Buffer('12345678', 'hex')
+    data: new Buffer('12345678', 'hex'),
+    padding: 6
   },
   // length + type + flags + stream + pad length + promised stream + data + padding
   buffer: new Buffer('00000F' + '05' + '08' + '0000000F' + '06' + '00000003' + '12345678' + '000000000000', 'hex')
@@ -301,7 +321,7 @@ describe('framer.js', function() {
     });
 
     Object.keys(frame_types).forEach(function(type) {
-      var tests = test_frames.filter(function(test) { return test.frame.type === type; });
+      var tests = test_frames.concat(padded_test_frames).filter(function(test) { return test.frame.type === type; });
       var frame_shape = '{ ' + frame_types[type].join(', ') + ' }';
       describe('static method .' + type + '(' + frame_shape + ', buffer_array)', function() {
         it('should push buffers to the array that make up a ' + type + ' type payload', function() {
@@ -380,6 +400,118 @@ describe('framer.js', function() {
     });
   });
 
+  describe('max. frame size', function() {
+    var frame = { type: 'DATA', flags: {}, stream: 1, data: new Buffer(20000) };
+
+    it('should be 16384 by default', function() {
+      var serializer = new Serializer(util.log);
+      expect(function() {
+        serializer.write(frame);
+      }).to.throw(/Frame too large/);
+
+      var deserializer = new Deserializer(util.log);
+      var error;
+      deserializer.on('error', function(type) {
+        error = type;
+      });
+      deserializer.write(new Buffer('004e20000000000001', 'hex'));
+      expect(error).to.equal('FRAME_SIZE_ERROR');
+    });
+    it('should be changeable with setMaxFrameSize(size)', function() {
+      var serializer = new Serializer(util.log);
+      var deserializer = new Deserializer(util.log);
+      serializer.setMaxFrameSize(Math.pow(2, 24) - 1);
+      deserializer.setMaxFrameSize(Math.pow(2, 24) - 1);
+      serializer.pipe(deserializer);
+
+      serializer.write(frame);
+      var received = deserializer.read();
+      expect(received.type).to.equal('DATA');
+      expect(received.data.length).to.equal(20000);
+    });
+    it('should allow payloads that need all 24 bits of the length field', function() {
+      var serializer = new Serializer(util.log);
+      var deserializer = new Deserializer(util.log);
+      serializer.setMaxFrameSize(Math.pow(2, 24) - 1);
+      deserializer.setMaxFrameSize(Math.pow(2, 24) - 1);
+      serializer.pipe(deserializer);
+
+      serializer.write({ type: 'DATA', flags: {}, stream: 1, data: new Buffer(70000) });
+      var received = deserializer.read();
+      expect(received.type).to.equal('DATA');
+      expect(received.data.length).to.equal(70000);
+    });
+    it('should not be lowered in the Serializer', function() {
+      var serializer = new Serializer(util.log);
+      serializer.setMaxFrameSize(32768);
+      serializer.setMaxFrameSize(16384);
+      expect(function() {
+        serializer.write(frame);
+      }).to.not.throw();
+    });
+  });
+
+  describe('padding policy', function() {
+    var padding = require('../lib/protocol/padding');
+
+    it('should pad HEADERS and PUSH_PROMISE frames but not DATA frames', function() {
+      var serializer = new Serializer(util.log);
+      var deserializer = new Deserializer(util.log);
+      serializer.setPaddingPolicy(padding.createPaddingPolicy({ blockSize: 64 }));
+      serializer.pipe(deserializer);
+
+      var types = ['HEADERS', 'PUSH_PROMISE', 'DATA'];
+      types.forEach(function(type) {
+        serializer.write({ type: type, flags: {}, stream: 1, promised_stream: 2, data: new Buffer(10) });
+      });
+
+      var headers = deserializer.read();
+      expect(headers.flags.PADDED).to.equal(true);
+      expect(headers.padding).to.equal(53);
+      expect(headers.data.length).to.equal(10);
+
+      var pushPromise = deserializer.read();
+      expect(pushPromise.flags.PADDED).to.equal(true);
+      expect(pushPromise.padding).to.equal(49);
+      expect(pushPromise.data.length).to.equal(10);
+
+      var data = deserializer.read();
+      expect(data.flags.PADDED).to.equal(false);
+      expect(data.padding).to.equal(undefined);
+    });
+    it('should not exceed the maximum frame size', function() {
+      var serializer = new Serializer(util.log);
+      var deserializer = new Deserializer(util.log);
+      serializer.setPaddingPolicy(padding.createPaddingPolicy(function() { return 1000; }));
+      serializer.pipe(deserializer);
+
+      serializer.write({ type: 'HEADERS', flags: {}, stream: 1, data: new Buffer(10) });
+      expect(deserializer.read().padding).to.equal(255);
+
+      serializer.write({ type: 'HEADERS', flags: {}, stream: 1, data: new Buffer(16300) });
+      expect(deserializer.read().padding).to.equal(83);
+
+      serializer.write({ type: 'HEADERS', flags: {}, stream: 1, data: new Buffer(16384) });
+      expect(deserializer.read().flags.PADDED).to.equal(false);
+    });
+    it('should not pad frames for which a policy function returns 0', function() {
+      var serializer = new Serializer(util.log);
+      var deserializer = new Deserializer(util.log);
+      var calls = [];
+      serializer.setPaddingPolicy(padding.createPaddingPolicy(function(frame, length, maxPadding) {
+        calls.push([frame.type, length, maxPadding]);
+        return 0;
+      }));
+      serializer.pipe(deserializer);
+
+      serializer.write({ type: 'HEADERS', flags: {}, stream: 1, data: new Buffer(10) });
+      var headers = deserializer.read();
+      expect(headers.flags.PADDED).to.equal(false);
+      expect(headers.data.length).to.equal(10);
+      expect(calls).to.deep.equal([['HEADERS', 10, 255]]);
+    });
+  });
+
   describe('bunyan formatter', function() {
     describe('`frame`', function() {
       var format = framer.serializers.frame;
@@ -0,0 +1,281 @@
+var expect = require('chai').expect;
+var util = require('./util');
+var fs = require('fs');
+var path = require('path');
+
+var http2 = require('../lib/http');
+var grpc = require('../lib/grpc');
+
+var serverOptions = {
+  key: fs.readFileSync(path.join(__dirname, '../example/localhost.key')),
+  cert: fs.readFileSync(path.join(__dirname, '../example/localhost.crt')),
+  log: util.serverLog
+};
+
+var agent = new http2.Agent({
+  ca: serverOptions.cert,
+  rejectUnauthorized: true,
+  log: util.clientLog
+});
+
+// Messages are JSON documents in these tests
+var json = {
+  serialize: function(message) { return new Buffer(JSON.stringify(message)); },
+  deserialize: function(buffer) { return JSON.parse(buffer.toString()); }
+};
+
+// An echo service built on the same module, started on a new port for every test
+var port = 1280;
+function startServer(callback) {
+  var service = new grpc.Server();
+  service.unary('/test.Echo/Unary', function(call, callback) {
+    if (call.request.fail) {
+      var error = new grpc.GrpcError(grpc.status.INVALID_ARGUMENT, 'Invalid argument: ✗',
+                                     { 'reason-bin': new Buffer([1, 2, 3]) });
+      callback(error);
+    } else {
+      callback(null, { echo: call.request.text, user: call.metadata['x-user'] }, { 'x-served-by': 'test' });
+    }
+  }, json);
+  service.serverStream('/test.Echo/Split', function(call) {
+    call.request.text.split(' ').forEach(function(word) {
+      call.write({ word: word });
+    });
+    call.end();
+  }, json);
+  service.clientStream('/test.Echo/Join', function(call, callback) {
+    var words = [];
+    call.on('data', function(message) {
+      words.push(message.word);
+    });
+    call.on('end', function() {
+      callback(null, { text: words.join(' ') });
+    });
+  }, json);
+  service.bidi('/test.Echo/Chat', function(call) {
+    call.on('data', function(message) {
+      call.write({ echo: message.text });
+    });
+    call.on('end', function() {
+      call.end();
+    });
+  }, json);
+  service.unary('/test.Echo/Slow', function(call, callback) {
+    call.on('cancelled', function() {
+      service.cancelled = true;
+    });
+    expect(call.deadline).to.be.an.instanceof(Date);
+  }, json);
+
+  var server = http2.createServer(serverOptions, function(request, response) {
+    if (!service.handle(request, response)) {
+      response.writeHead(404);
+      response.end();
+    }
+  });
+  var currentPort = port++;
+  server.listen(currentPort, function() {
+    var client = new grpc.Client('https://localhost:' + currentPort, {
+      agent: agent,
+      serialize: json.serialize,
+      deserialize: json.deserialize
+    });
+    callback(server, client, service);
+  });
+}
+
+describe('grpc.js', function() {
+  describe('message framing', function() {
+    it('should split the byte stream into messages', function(done) {
+      var decoder = new grpc.MessageDecoder();
+      var encoded = Buffer.concat([grpc.encodeMessage(new Buffer('hello')),
+                                   grpc.encodeMessage(new Buffer(0)),
+                                   grpc.encodeMessage(new Buffer('world'))]);
+      var messages = [];
+      decoder.on('data', function(message) {
+        messages.push(message.toString());
+      });
+      decoder.on('end', function() {
+        expect(messages).to.deep.equal(['hello', '', 'world']);
+        done();
+      });
+      for (var i = 0; i < encoded.length; i += 3) {
+        decoder.write(encoded.slice(i, i + 3));
+      }
+      decoder.end();
+    });
+    it('should not concatenate the chunks of a message before it is complete', function() {
+      var decoder = new grpc.MessageDecoder();
+      var message = new Buffer(20000);
+      message.fill(3);
+      var encoded = grpc.encodeMessage(message);
+      var received = [];
+      decoder.on('data', function(data) {
+        received.push(data);
+      });
+      var chunks = 0;
+      for (var i = 0; i < encoded.length - 100; i += 100) {
+        decoder.write(encoded.slice(i, i + 100));
+        chunks += 1;
+      }
+      expect(decoder._chunks.length).to.equal(chunks);
+      decoder.write(encoded.slice(i));
+      expect(received).to.deep.equal([message]);
+    });
+    it('should reject messages above the size limit', function(done) {
+      var decoder = new grpc.MessageDecoder(4);
+      decoder.on('error', function(error) {
+        expect(error.code).to.equal(grpc.status.RESOURCE_EXHAUSTED);
+        done();
+      });
+      decoder.write(grpc.encodeMessage(new Buffer('hello')));
+    });
+    it('should reject incomplete messages at the end of the stream', function(done) {
+      var decoder = new grpc.MessageDecoder();
+      decoder.on('error', function(error) {
+        expect(error.code).to.equal(grpc.status.INTERNAL);
+        done();
+      });
+      decoder.resume();
+      decoder.end(grpc.encodeMessage(new Buffer('hello')).slice(0, 7));
+    });
+  });
+  describe('grpc-timeout', function() {
+    it('should be encoded in the smallest unit that fits 8 digits', function() {
+      expect(grpc.encodeTimeout(1500)).to.equal('1500m');
+      expect(grpc.encodeTimeout(100000000)).to.equal('100000S');
+    });
+    it('should be parsed in any unit', function() {
+      expect(grpc.parseTimeout('2S')).to.equal(2000);
+      expect(grpc.parseTimeout('1M')).to.equal(60000);
+      expect(grpc.parseTimeout('500000u')).to.equal(500);
+      expect(grpc.parseTimeout('123456789m')).to.equal(undefined);
+      expect(grpc.parseTimeout(undefined)).to.equal(undefined);
+    });
+  });
+  describe('interop with a server built on the module', function() {
+    it('should make unary calls', function(done) {
+      startServer(function(server, client) {
+        client.unary('/test.Echo/Unary', { text: 'hello' }, { metadata: { 'X-User': 'alice' } },
+                     function(error, response, trailers) {
+          expect(error).to.equal(null);
+          expect(response).to.deep.equal({ echo: 'hello', user: 'alice' });
+          expect(trailers['x-served-by']).to.equal('test');
+          server.close();
+          done();
+        });
+      });
+    });
+    it('should report the status and metadata of failed calls', function(done) {
+      startServer(function(server, client) {
+        client.unary('/test.Echo/Unary', { fail: true }, function(error, response) {
+          expect(error).to.be.an.instanceof(grpc.GrpcError);
+          expect(error.code).to.equal(grpc.status.INVALID_ARGUMENT);
+          expect(error.details).to.equal('Invalid argument: ✗');
+          expect(error.metadata['reason-bin']).to.deep.equal(new Buffer([1, 2, 3]));
+          expect(response).to.equal(undefined);
+          server.close();
+          done();
+        });
+      });
+    });
+    it('should make server streaming calls', function(done) {
+      startServer(function(server, client) {
+        var words = [];
+        var call = client.serverStream('/test.Echo/Split', { text: 'one two three' });
+        call.on('data', function(message) {
+          words.push(message.word);
+        });
+        call.on('status', function(status) {
+          expect(status.code).to.equal(grpc.status.OK);
+        });
+        call.on('end', function() {
+          expect(words).to.deep.equal(['one', 'two', 'three']);
+          server.close();
+          done();
+        });
+      });
+    });
+    it('should make client streaming calls', function(done) {
+      startServer(function(server, client) {
+        var call = client.clientStream('/test.Echo/Join', function(error, response) {
+          expect(error).to.equal(null);
+          expect(response).to.deep.equal({ text: 'one two three' });
+          server.close();
+          done();
+        });
+        call.write({ word: 'one' });
+        call.write({ word: 'two' });
+        call.end({ word: 'three' });
+      });
+    });
+    it('should make bidirectional streaming calls', function(done) {
+      startServer(function(server, client) {
+        var call = client.bidi('/test.Echo/Chat');
+        call.once('data', function(message) {
+          expect(message).to.deep.equal({ echo: 'ping' });
+          call.once('data', function(message) {
+            expect(message).to.deep.equal({ echo: 'pong' });
+            call.end();
+          });
+          call.write({ text: 'pong' });
+        });
+        call.on('end', function() {
+          server.close();
+          done();
+        });
+        call.write({ text: 'ping' });
+      });
+    });
+    it('should fail calls of unknown methods with UNIMPLEMENTED', function(done) {
+      startServer(function(server, client) {
+        client.unary('/test.Echo/Unknown', {}, function(error) {
+          expect(error.code).to.equal(grpc.status.UNIMPLEMENTED);
+          server.close();
+          done();
+        });
+      });
+    });
+    it('should fail calls with undecodable request messages with INTERNAL', function(done) {
+      startServer(function(server) {
+        var rawClient = new grpc.Client('https://localhost:' + server.address().port, {
+          agent: agent
+        });
+        rawClient.unary('/test.Echo/Unary', new Buffer('{ not json'), function(error) {
+          expect(error.code).to.equal(grpc.status.INTERNAL);
+          expect(error.details).to.match(/^Cannot deserialize request/);
+          server.close();
+          done();
+        });
+      });
+    });
+    it('should fail calls with undecodable response messages with INTERNAL', function(done) {
+      startServer(function(server) {
+        var strictClient = new grpc.Client('https://localhost:' + server.address().port, {
+          agent: agent,
+          serialize: json.serialize,
+          deserialize: function() { throw new Error('Unexpected message'); }
+        });
+        strictClient.unary('/test.Echo/Unary', { text: 'hello' }, function(error, response) {
+          expect(error.code).to.equal(grpc.status.INTERNAL);
+          expect(error.details).to.equal('Cannot deserialize response: Unexpected message');
+          expect(response).to.equal(undefined);
+          server.close();
+          done();
+        });
+      });
+    });
+    it('should cancel calls when the deadline expires', function(done) {
+      startServer(function(server, client, service) {
+        client.unary('/test.Echo/Slow', {}, { deadline: 50 }, function(error) {
+          expect(error.code).to.equal(grpc.status.DEADLINE_EXCEEDED);
+          setTimeout(function() {
+            expect(service.cancelled).to.equal(true);
+            server.close();
+            done();
+          }, 50);
+        });
+      });
+    });
+  });
+});
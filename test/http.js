@@ -1,5 +1,6 @@
 var expect = require('chai').expect;
 var util = require('./util');
+var extend = require('util')._extend;
 var fs = require('fs');
 var path = require('path');
 var url = require('url');
@@ -78,6 +79,11 @@ describe('http.js', function() {
         expect(server.timeout).to.be.equal(newTimeout);
         expect(backingServer.timeout).to.be.equal(newTimeout);
       });
+      it('should return the backing HTTPS server\'s `timeout` until it is set', function() {
+        var server = new http2.Server(serverOptions);
+        expect(server.timeout).to.be.equal(server._server.timeout);
+        expect(server.timeout).to.not.be.equal(undefined);
+      });
     });
     describe('method `setTimeout(timeout, [callback])`', function() {
       it('should be a proxy for the backing HTTPS server\'s `setTimeout` method', function() {
@@ -130,11 +136,29 @@ describe('http.js', function() {
           });
         });
       });
-      it('should throw when trying to use with \'http\' scheme', function() {
-        expect(function() {
-          var agent = new http2.Agent({ log: util.clientLog });
-          agent.request({ protocol: 'http:' });
-        }).to.throw(Error);
+      it('should offer an upgrade to h2c when used with \'http\' scheme', function(done) {
+        // The offer is ignored by answering with a regular HTTP/1.1 response
+        var server = require('http').createServer();
+        server.on('upgrade', function(request, socket) {
+          expect(request.headers.upgrade).to.equal('h2c');
+          expect(request.headers.connection).to.equal('Upgrade, HTTP2-Settings');
+          expect(request.headers['http2-settings']).to.equal('AAMAAABk');
+          socket.end('HTTP/1.1 200 OK\r\nContent-Length: 0\r\n\r\n');
+        });
+
+        server.listen(1253, function() {
+          var agent = new http2.Agent({
+            log: util.clientLog,
+            settings: { SETTINGS_MAX_CONCURRENT_STREAMS: 100 }
+          });
+          agent.get({ protocol: 'http:', host: 'localhost', port: 1253 }, function(response) {
+            response.on('data', util.noop);
+            response.on('end', function() {
+              server.close();
+              done();
+            });
+          });
+        });
       });
     });
   });
@@ -143,7 +167,7 @@ describe('http.js', function() {
       var request = new http2.OutgoingRequest();
 
       // When in HTTP/2 mode, this call should be ignored
-      request.stream = { reset: util.noop };
+      request.stream = { reset: util.noop, setTimeout: util.noop };
       request[name].apply(request, originalArguments);
       delete request.stream;
 
@@ -156,6 +180,33 @@ describe('http.js', function() {
       };
       request._fallback(mockFallbackRequest);
     }
+    describe('method `addTrailers(trailers)`', function() {
+      it('should throw for pseudo-header fields', function() {
+        var request = new http2.OutgoingRequest();
+        expect(function() {
+          request.addTrailers({ ':path': '/' });
+        }).to.throw(/:path/);
+        expect(request._trailers).to.equal(undefined);
+      });
+      it('should throw for trailers that are not declared in the trailer header option', function() {
+        var request = new http2.OutgoingRequest();
+        request.options = { headers: { Trailer: 'content-md5' } };
+        request.addTrailers({ 'content-md5': 'x' });
+        expect(function() {
+          request.addTrailers({ 'x-checksum': 'z' });
+        }).to.throw(/x-checksum/);
+        expect(request._trailers).to.deep.equal({ 'content-md5': 'x' });
+      });
+    });
+    describe('method `setPriority(priority)`', function() {
+      it('should throw for numbers', function() {
+        var request = new http2.OutgoingRequest();
+        expect(function() {
+          request.setPriority(5);
+        }).to.throw(/must be an object/);
+        expect(request.listeners('socket')).to.have.length(0);
+      });
+    });
     describe('method `setNoDelay(noDelay)`', function() {
       it('should act as a proxy for the backing HTTPS agent\'s `setNoDelay` method', function(done) {
         testFallbackProxyMethod('setNoDelay', [true], done);
@@ -192,6 +243,30 @@ describe('http.js', function() {
       response.writeHead(200);
       response.writeHead(404);
     });
+    it('should throw for trailers that are not declared in the trailer header', function() {
+      var stream = { _log: util.log, headers: util.noop, once: util.noop };
+      var response = new http2.OutgoingResponse(stream);
+
+      response.writeHead(200, { trailer: 'Content-MD5, X-Signature' });
+      response.addTrailers({ 'content-md5': 'x', 'x-signature': 'y' });
+      expect(response._trailers).to.deep.equal({ 'content-md5': 'x', 'x-signature': 'y' });
+      expect(function() {
+        response.addTrailers({ 'x-checksum': 'z' });
+      }).to.throw(/x-checksum/);
+      expect(response._trailers).to.deep.equal({ 'content-md5': 'x', 'x-signature': 'y' });
+    });
+    it('should throw in writeHead if the trailer header does not declare the trailers', function() {
+      var sent = false;
+      var stream = { _log: util.log, headers: function() { sent = true; }, once: util.noop };
+      var response = new http2.OutgoingResponse(stream);
+
+      response.addTrailers({ 'x-checksum': 'z' });
+      expect(function() {
+        response.writeHead(200, { trailer: 'Content-MD5' });
+      }).to.throw(/x-checksum/);
+      expect(sent).to.equal(false);
+      expect(response.headersSent).to.equal(false);
+    });
     it('field finished should be Boolean', function(){
       var stream = { _log: util.log, headers: function () {}, once: util.noop };
       var response = new http2.OutgoingResponse(stream);
@@ -419,197 +494,973 @@ describe('http.js', function() {
         });
       });
     });
-    describe('get over plain TCP', function() {
-      it('should work as expected', function(done) {
-        var path = '/x';
-        var message = 'Hello world';
-
+    describe('request with priority', function() {
+      it('should be prioritized on the server side as requested', function(done) {
         var server = http2.raw.createServer({
           log: util.serverLog
         }, function(request, response) {
-          expect(request.url).to.equal(path);
-          response.end(message);
+          request.on('data', util.noop);
+          request.on('end', function() {
+            expect(request.stream._priority).to.deep.equal({ parent: 0, weight: 200, exclusive: true });
+            expect(request.stream._priorityNode.weight).to.equal(200);
+            response.end();
+          });
         });
 
-        server.listen(1237, function() {
-          var request = http2.raw.get('http://localhost:1237/x', function(response) {
-            response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
+        server.listen(1257, function() {
+          var request = http2.raw.request({
+            plain: true,
+            host: 'localhost',
+            port: 1257,
+            path: '/x'
+          }, function(response) {
+            response.on('data', util.noop);
+            response.on('end', function() {
               server.close();
               done();
             });
           });
+          request.setPriority({ weight: 200, exclusive: true });
           request.end();
         });
       });
-    });
-    describe('request to an HTTPS/1 server', function() {
-      it('should fall back to HTTPS/1 successfully', function(done) {
-        var path = '/x';
-        var message = 'Hello world';
-
-        var server = https.createServer(serverOptions, function(request, response) {
-          expect(request.url).to.equal(path);
-          response.end(message);
+      it('should expose the extensible priority of the request on the server side', function(done) {
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.urgency).to.equal(1);
+          expect(request.incremental).to.equal(true);
+          request.on('data', util.noop);
+          request.on('end', function() {
+            // Updated with a PRIORITY_UPDATE frame
+            expect(request.stream.urgency).to.equal(0);
+            expect(request.stream.incremental).to.equal(false);
+            response.end();
+          });
         });
 
-        server.listen(5678, function() {
-          http2.get('https://localhost:5678' + path, function(response) {
-            response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
+        server.listen(1260, function() {
+          var request = http2.raw.request({
+            plain: true,
+            host: 'localhost',
+            port: 1260,
+            path: '/x',
+            headers: { priority: 'u=1, i' }
+          }, function(response) {
+            response.on('data', util.noop);
+            response.on('end', function() {
+              server.close();
               done();
             });
           });
+          request.setPriority({ urgency: 0 });
+          request.end();
         });
       });
     });
-    describe('2 parallel request to an HTTPS/1 server', function() {
-      it('should fall back to HTTPS/1 successfully', function(originalDone) {
-        var path = '/x';
-        var message = 'Hello world';
-        var done = util.callNTimes(2, function() {
-          server.close();
-          originalDone();
+    describe('closing the server', function() {
+      it('should let the requests in progress finish before closing the connections', function(done) {
+        done = util.callNTimes(3, done);
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          server.close({ timeout: 1000 }, done);
+          setTimeout(function() {
+            response.end('finished');
+          }, 50);
         });
-
-        var server = https.createServer(serverOptions, function(request, response) {
-          expect(request.url).to.equal(path);
-          response.end(message);
+        server.on('shutdown', function(endpoint, drained) {
+          expect(drained).to.equal(true);
+          done();
         });
 
-        server.listen(6789, function() {
-          http2.get('https://localhost:6789' + path, function(response) {
+        server.listen(1261, function() {
+          http2.raw.get('http://localhost:1261/x', function(response) {
+            var body = '';
             response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
-              done();
+              body += data;
             });
-          });
-          http2.get('https://localhost:6789' + path, function(response) {
-            response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
+            response.on('end', function() {
+              expect(body).to.equal('finished');
               done();
             });
           });
         });
       });
     });
-    describe('HTTPS/1 request to a HTTP/2 server', function() {
-      it('should fall back to HTTPS/1 successfully', function(done) {
-        var path = '/x';
-        var message = 'Hello world';
-
-        var server = http2.createServer(serverOptions, function(request, response) {
-          expect(request.url).to.equal(path);
-          response.end(message);
+    describe('request not processed by the server', function() {
+      // The server closes the first connection with a GOAWAY frame that says that no streams
+      // have been processed, and echoes the request body on the following connections
+      function createServer() {
+        var endpoints = [];
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          if (endpoints.length === 1) {
+            endpoints[0]._connection._pushGoaway(0, 'NO_ERROR');
+          } else {
+            request.pipe(response);
+          }
         });
+        server.on('connection', function(socket, endpoint) {
+          endpoints.push(endpoint);
+        });
+        server.endpoints = endpoints;
+        return server;
+      }
 
-        server.listen(1236, function() {
-          var options = url.parse('https://localhost:1236' + path);
-          options.agent = new https.Agent(agentOptions);
-          https.get(options, function(response) {
+      it('should be replayed on a new connection if the method is idempotent', function(done) {
+        var server = createServer();
+        server.listen(1262, function() {
+          var request = http2.raw.request({
+            plain: true,
+            host: 'localhost',
+            port: 1262,
+            method: 'PUT',
+            path: '/x'
+          }, function(response) {
+            var body = '';
             response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
+              body += data;
+            });
+            response.on('end', function() {
+              expect(body).to.equal('payload');
+              expect(server.endpoints.length).to.equal(2);
+              server.close();
               done();
             });
           });
+          request.write('pay');
+          request.end('load');
         });
       });
-    });
-    describe('two parallel request', function() {
-      it('should work as expected', function(done) {
-        var path = '/x';
-        var message = 'Hello world';
-
-        var server = http2.createServer(serverOptions, function(request, response) {
-          expect(request.url).to.equal(path);
-          response.end(message);
-        });
-
-        server.listen(1237, function() {
-          done = util.callNTimes(2, done);
-          // 1. request
-          http2.get('https://localhost:1237' + path, function(response) {
-            response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
+      it('should be replayed only once, on a connection that has not received a GOAWAY', function(done) {
+        var server = createServer();
+        server.listen(1294, function() {
+          var request = http2.raw.get({
+            plain: true,
+            host: 'localhost',
+            port: 1294,
+            path: '/x'
+          }, function(response) {
+            response.on('data', util.noop);
+            response.on('end', function() {
+              expect(request._replays).to.equal(1);
+              expect(server.endpoints.length).to.equal(2);
+              server.close();
               done();
             });
           });
-          // 2. request
-          http2.get('https://localhost:1237' + path, function(response) {
-            response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
-              done();
-            });
+        });
+      });
+      it('should emit an UnprocessedRequestError if the body of a POST has been sent', function(done) {
+        var server = createServer();
+        server.listen(1263, function() {
+          var request = http2.raw.request({
+            plain: true,
+            host: 'localhost',
+            port: 1263,
+            method: 'POST',
+            path: '/x'
+          }, function() {
+            throw new Error('Unexpected response');
+          });
+          request.on('error', function(error) {
+            expect(error).to.be.instanceof(http2.UnprocessedRequestError);
+            expect(error.code).to.equal('REFUSED_STREAM');
+            server.close();
+            done();
+          });
+          request.end('payload');
+        });
+      });
+      it('should emit an UnprocessedRequestError if the body is too large to be kept', function(done) {
+        var server = createServer();
+        server.listen(1303, function() {
+          var request = http2.raw.request({
+            plain: true,
+            host: 'localhost',
+            port: 1303,
+            method: 'PUT',
+            path: '/x'
+          }, function() {
+            throw new Error('Unexpected response');
+          });
+          request.on('error', function(error) {
+            expect(error).to.be.instanceof(http2.UnprocessedRequestError);
+            expect(request._body).to.equal(undefined);
+            server.close();
+            done();
           });
+          request.end(new Buffer(65537));
         });
       });
     });
-    describe('two subsequent request', function() {
-      it('should use the same HTTP/2 connection', function(done) {
-        var path = '/x';
-        var message = 'Hello world';
-
-        var server = http2.createServer(serverOptions, function(request, response) {
-          expect(request.url).to.equal(path);
-          response.end(message);
+    describe('timeouts', function() {
+      it('should emit \'timeout\' on the request and the response on the server side', function(done) {
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          timeout: 50
+        }, function(request, response) {
+          done = util.callNTimes(2, done);
+          request.on('timeout', done);
+          response.on('timeout', function() {
+            response.end();
+            server.close();
+            done();
+          });
         });
 
-        server.listen(1238, function() {
-          // 1. request
-          http2.get('https://localhost:1238' + path, function(response) {
-            response.on('data', function(data) {
-              expect(data.toString()).to.equal(message);
+        server.listen(1265, function() {
+          http2.raw.get({ host: 'localhost', port: 1265, path: '/' }, function(response) {
+            response.on('data', util.noop);
+          });
+        });
+      });
+      it('should reset the stream if there are no listeners', function(done) {
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request) {
+          request.setTimeout(50);
+        });
 
-              // 2. request
-              http2.get('https://localhost:1238' + path, function(response) {
-                response.on('data', function(data) {
-                  expect(data.toString()).to.equal(message);
-                  done();
-                });
+        server.listen(1266, function() {
+          var stream = http2.raw.get({ host: 'localhost', port: 1266, path: '/' }).stream;
+          stream.on('state', function(state) {
+            if (state === 'CLOSED') {
+              setImmediate(function() {
+                expect(stream._closedWithRst).to.equal(true);
+                server.close();
+                done();
               });
-            });
+            }
+          });
+        });
+      });
+      it('should emit \'timeout\' on the client side request', function(done) {
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, util.noop);
+
+        server.listen(1267, function() {
+          var request = http2.raw.get({ host: 'localhost', port: 1267, path: '/' });
+          request.setTimeout(50, function() {
+            request.abort();
+            server.close();
+            done();
           });
         });
       });
     });
-    describe('https server node module specification conformance', function() {
-      it('should provide API for remote HTTP 1.1 client address', function(done) {
-        var remoteAddress = null;
-        var remotePort = null;
+    describe('keepalive PINGs of the agent', function() {
+      it('should remove the connection from the pool if the server does not answer', function(done) {
+        var agent = new http2.Agent({
+          log: util.clientLog,
+          keepAlive: { interval: 20, timeout: 20 }
+        });
+        var key = 'true:localhost:1268';
 
-        var server = http2.createServer(serverOptions, function(request, response) {
-          // HTTPS 1.1 client with Node 0.10 server
-          if (!request.remoteAddress) {
-            if (request.socket.socket) {
-              remoteAddress = request.socket.socket.remoteAddress;
-              remotePort = request.socket.socket.remotePort;
-            } else {
-              remoteAddress = request.socket.remoteAddress;
-              remotePort = request.socket.remotePort;
-            }
-          } else {
-            // HTTPS 1.1/2.0 client with Node 0.12 server
-            remoteAddress = request.remoteAddress;
-            remotePort = request.remotePort;
-          }
-          response.write('Pong');
-          response.end();
+        // The server accepts the connection, but never answers
+        var server = net.createServer(function(socket) {
+          socket.on('data', util.noop);
         });
 
-        server.listen(1259, 'localhost', function() {
-          var request = https.request({
-            host: 'localhost',
-            port: 1259,
-            path: '/',
-            ca: serverOptions.cert
+        server.listen(1268, function() {
+          agent.request({ plain: true, host: 'localhost', port: 1268, path: '/' });
+          var endpoint = agent.endpoints[key];
+          endpoint.on('pingTimeout', function() {
+            expect(agent.endpoints).to.not.have.property(key);
+            server.close();
+            done();
           });
-          request.write('Ping');
-          request.end();
+        });
+      });
+    });
+    describe('round-trip time statistics', function() {
+      it('should be exposed by the server and the agent', function(done) {
+        var keepAlive = { interval: 10, timeout: 1000 };
+        var agent = new http2.Agent({ log: util.clientLog, keepAlive: keepAlive });
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          keepAlive: keepAlive
+        }, function(request, response) {
+          setTimeout(response.end.bind(response), 100);
+        });
+
+        server.listen(1269, function() {
+          var request = agent.request({ plain: true, host: 'localhost', port: 1269, path: '/' });
           request.on('response', function(response) {
-            response.on('data', function(data) {
-              var localAddress = response.socket.address();
-              expect(remoteAddress).to.equal(localAddress.address);
-              expect(remotePort).to.equal(localAddress.port);
+            var serverStats = server.getConnectionStats();
+            expect(serverStats.length).to.equal(1);
+            expect(serverStats[0].smoothedRtt).to.be.a('number');
+            expect(serverStats[0].minRtt).to.be.at.most(serverStats[0].smoothedRtt);
+
+            var agentStats = agent.getPoolStats()['true:localhost:1269'];
+            expect(agentStats.smoothedRtt).to.be.a('number');
+            expect(agentStats.minRtt).to.be.at.most(agentStats.smoothedRtt);
+
+            response.on('data', util.noop);
+            response.on('end', function() {
+              agent.destroy();
+              server.close();
+              done();
+            });
+          });
+          request.end();
+        });
+      });
+    });
+    describe('client that resets its requests too fast', function() {
+      it('should be disconnected with ENHANCE_YOUR_CALM', function(done) {
+        var agent = new http2.Agent({ log: util.clientLog });
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          limits: { maxResetsPerSecond: 3 }
+        }, util.noop);
+
+        server.listen(1270, function() {
+          var requests = [];
+          for (var i = 0; i < 5; i++) {
+            requests.push(agent.request({ plain: true, host: 'localhost', port: 1270, path: '/' }));
+          }
+          var endpoint = agent.endpoints['true:localhost:1270'];
+          endpoint.on('peerError', function(error) {
+            expect(error).to.equal('ENHANCE_YOUR_CALM');
+            expect(server.getConnectionStats()[0].counters.resets).to.equal(4);
+            agent.destroy();
+            server.close();
+            done();
+          });
+          requests.forEach(function(request) {
+            request.abort();
+          });
+        });
+      });
+    });
+    describe('request with a header list larger than the limit of the server', function() {
+      it('should be answered with 431, or not sent at all once the limit is known', function(done) {
+        var agent = new http2.Agent({ log: util.clientLog });
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          settings: { SETTINGS_MAX_HEADER_LIST_SIZE: 200 }
+        }, function(request) {
+          throw new Error('Request with too large header list was delivered');
+        });
+        var options = {
+          plain: true, host: 'localhost', port: 1271, path: '/',
+          headers: { 'x-large': new Array(150).join('x') }
+        };
+
+        server.listen(1271, function() {
+          // The first request is sent before the SETTINGS of the server arrive
+          agent.get(options, function(response) {
+            expect(response.statusCode).to.equal(431);
+            expect(function() {
+              agent.get(options);
+            }).to.throw(/SETTINGS_MAX_HEADER_LIST_SIZE/);
+            agent.destroy();
+            server.close();
+            done();
+          });
+        });
+      });
+    });
+    describe('header lists that exceed the limit of the peer in event handlers', function() {
+      it('should emit an error on the response if the trailers are too large', function(done) {
+        var agent = new http2.Agent({
+          log: util.clientLog,
+          settings: { SETTINGS_MAX_HEADER_LIST_SIZE: 200 }
+        });
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          response.on('error', function(error) {
+            expect(error.code).to.equal('HEADER_LIST_TOO_LARGE');
+            agent.destroy();
+            server.close();
+            done();
+          });
+          response.addTrailers({ 'x-large': new Array(250).join('x') });
+          response.end('body');
+        });
+
+        server.listen(1295, function() {
+          agent.get({ plain: true, host: 'localhost', port: 1295, path: '/' });
+        });
+      });
+      it('should emit an error on extended CONNECT requests sent after the SETTINGS', function(done) {
+        var agent = new http2.Agent({ log: util.clientLog });
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          settings: { SETTINGS_MAX_HEADER_LIST_SIZE: 200, SETTINGS_ENABLE_CONNECT_PROTOCOL: true }
+        });
+        server.on('websocket', function() {
+          throw new Error('Should not be called');
+        });
+
+        server.listen(1296, function() {
+          var socket = agent.webSocket({
+            plain: true, host: 'localhost', port: 1296, path: '/',
+            headers: { 'x-large': new Array(250).join('x') }
+          });
+          socket.on('error', function(error) {
+            expect(error.code).to.equal('HEADER_LIST_TOO_LARGE');
+            agent.destroy();
+            server.close();
+            done();
+          });
+        });
+      });
+    });
+    describe('connection pool of the agent', function() {
+      it('should open new connections when the stream slots run out, and close idle ones', function(done) {
+        var agent = new http2.Agent({
+          log: util.clientLog,
+          maxSessionsPerOrigin: 2,
+          idleTimeout: 50
+        });
+        var key = 'true:localhost:1264';
+
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          settings: { SETTINGS_MAX_CONCURRENT_STREAMS: 1 }
+        }, function(request, response) {
+          response.end();
+        });
+
+        function get(path, callback) {
+          var request = agent.request({ plain: true, host: 'localhost', port: 1264, path: path });
+          request.on('response', function(response) {
+            response.on('data', util.noop);
+            response.on('end', callback);
+          });
+          request.end();
+        }
+
+        server.listen(1264, function() {
+          // The SETTINGS of the server are known after the first response
+          get('/first', function() {
+            setTimeout(function() {
+              var finish = util.callNTimes(3, function() {
+                setTimeout(function() {
+                  expect(agent.getPoolStats()).to.deep.equal({});
+                  server.close();
+                  done();
+                }, 100);
+              });
+              get('/a', finish);
+              get('/b', finish);
+              get('/c', finish);
+
+              expect(agent._pools[key].length).to.equal(2);
+              expect(agent.endpoints[key]).to.equal(agent._pools[key][0]);
+              expect(agent.getPoolStats()[key]).to.deep.equal({
+                sessions: 2,
+                idleSessions: 0,
+                activeStreams: 0,
+                pendingStreams: 3,
+                smoothedRtt: undefined,
+                minRtt: undefined
+              });
+            });
+          });
+        });
+      });
+    });
+    describe('get over plain TCP', function() {
+      it('should work as expected', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+
+        server.listen(1237, function() {
+          var request = http2.raw.get('http://localhost:1237/x', function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              server.close();
+              done();
+            });
+          });
+          request.end();
+        });
+      });
+    });
+    describe('HTTP/1.1 and HTTP/2 requests on the same plain TCP port', function() {
+      it('should be served through the same \'request\' event', function(originalDone) {
+        var path = '/x';
+        var message = 'Hello world';
+        var done = util.callNTimes(2, function() {
+          server.close();
+          originalDone();
+        });
+
+        var server = http2.raw.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(request.httpVersion);
+        });
+
+        server.listen(1256, function() {
+          http2.raw.get('http://localhost:1256' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal('2.0');
+              done();
+            });
+          });
+          require('http').get('http://localhost:1256' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal('1.1');
+              done();
+            });
+          });
+        });
+      });
+      it('should close connections that send nothing after the idle timeout', function(done) {
+        var server = http2.raw.createServer({
+          log: util.serverLog,
+          idleTimeout: 50
+        }, function() {
+          throw new Error('Should not be called');
+        });
+
+        server.listen(1300, function() {
+          var socket = net.connect(1300, 'localhost');
+          socket.on('close', function() {
+            server.close();
+            done();
+          });
+        });
+      });
+    });
+    describe('HTTP/1.1 Upgrade to h2c', function() {
+      // Sends `request` on a raw socket, and starts a client endpoint after the 101 response
+      function upgrade(port, request, callback) {
+        var socket = net.connect(port, 'localhost');
+        socket.write(request);
+
+        var received = new Buffer(0);
+        socket.on('data', function onData(chunk) {
+          received = Buffer.concat([received, chunk]);
+          var end = received.toString('binary').indexOf('\r\n\r\n');
+          if (end === -1) {
+            return;
+          }
+          socket.removeListener('data', onData);
+          expect(received.toString('binary', 0, end)).to.match(/^HTTP\/1\.1 101 /);
+
+          var endpoint = new http2.protocol.Endpoint(util.clientLog, 'CLIENT', {});
+          var stream = endpoint.createUpgradedStream();
+          endpoint.write(received.slice(end + 4));
+          endpoint.pipe(socket).pipe(endpoint);
+          callback(stream);
+        });
+      }
+      it('should serve the upgraded request over HTTP/2', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.http.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.url).to.equal(path);
+          expect(request.headers['x-foo']).to.equal('bar');
+          response.end(message);
+        });
+
+        server.listen(1250, function() {
+          upgrade(1250, 'GET ' + path + ' HTTP/1.1\r\n' +
+                        'Host: localhost:1250\r\n' +
+                        'X-Foo: bar\r\n' +
+                        'Connection: Upgrade, HTTP2-Settings\r\n' +
+                        'Upgrade: h2c\r\n' +
+                        'HTTP2-Settings: AAMAAABkAAQAAP__\r\n\r\n', function(stream) {
+            stream.on('headers', function(headers) {
+              expect(headers[':status']).to.equal('200');
+            });
+            stream.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              server.close();
+              done();
+            });
+          });
+        });
+      });
+      it('should deliver the body of the upgraded request', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.http.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.method).to.equal('POST');
+          request.on('data', function(data) {
+            expect(data.toString()).to.equal(message);
+            response.end();
+          });
+        });
+
+        server.listen(1252, function() {
+          upgrade(1252, 'POST ' + path + ' HTTP/1.1\r\n' +
+                        'Host: localhost:1252\r\n' +
+                        'Content-Length: ' + message.length + '\r\n' +
+                        'Connection: Upgrade, HTTP2-Settings\r\n' +
+                        'Upgrade: h2c\r\n' +
+                        'HTTP2-Settings: \r\n\r\n' + message, function(stream) {
+            stream.on('data', util.noop);
+            stream.on('end', function() {
+              server.close();
+              done();
+            });
+          });
+        });
+      });
+      // Sends `request` on a raw socket, and calls back with the HTTP/1.1 response once `length`
+      // bytes of body arrived
+      function http1Response(port, request, length, callback) {
+        var socket = net.connect(port, 'localhost');
+        socket.write(request);
+
+        var received = new Buffer(0);
+        socket.on('data', function onData(chunk) {
+          received = Buffer.concat([received, chunk]);
+          var end = received.toString('binary').indexOf('\r\n\r\n');
+          if ((end !== -1) && (received.length >= end + 4 + length)) {
+            socket.removeListener('data', onData);
+            socket.destroy();
+            callback(received.toString('binary', 0, end), received.toString('binary', end + 4));
+          }
+        });
+      }
+      it('should serve requests with other Upgrade tokens over HTTP/1.1 without \'upgrade\' listeners', function(done) {
+        var server = http2.http.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.httpVersion).to.equal('1.1');
+          expect(request.headers).not.to.have.property('upgrade');
+          expect(request.headers.connection).to.equal('keep-alive');
+          response.end('Hello world');
+        });
+
+        server.listen(1301, function() {
+          http1Response(1301, 'GET /x HTTP/1.1\r\n' +
+                              'Host: localhost:1301\r\n' +
+                              'Connection: Upgrade, keep-alive\r\n' +
+                              'Upgrade: websocket\r\n\r\n', 11, function(head, body) {
+            expect(head).to.match(/^HTTP\/1\.1 200 /);
+            expect(body).to.match(/Hello world$/);
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should serve h2c upgrades with chunked bodies over HTTP/1.1', function(done) {
+        var server = http2.http.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          var body = '';
+          expect(request.httpVersion).to.equal('1.1');
+          expect(request.headers).not.to.have.property('http2-settings');
+          request.on('data', function(data) {
+            body += data;
+          });
+          request.on('end', function() {
+            response.end(body.toUpperCase());
+          });
+        });
+
+        server.listen(1302, function() {
+          http1Response(1302, 'POST /x HTTP/1.1\r\n' +
+                              'Host: localhost:1302\r\n' +
+                              'Transfer-Encoding: chunked\r\n' +
+                              'Connection: Upgrade, HTTP2-Settings\r\n' +
+                              'Upgrade: h2c\r\n' +
+                              'HTTP2-Settings: \r\n\r\n' +
+                              '6\r\nHello \r\n5\r\nworld\r\n0\r\n\r\n', 11, function(head, body) {
+            expect(head).to.match(/^HTTP\/1\.1 200 /);
+            expect(body).to.match(/HELLO WORLD$/);
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should serve requests without Upgrade header over HTTP/1.1', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.http.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.url).to.equal(path);
+          expect(request.httpVersion).to.equal('1.1');
+          response.end(message);
+        });
+
+        server.listen(1251, function() {
+          require('http').get('http://localhost:1251' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              server.close();
+              done();
+            });
+          });
+        });
+      });
+    });
+    describe('request to an "http" URI', function() {
+      it('should upgrade the connection to HTTP/2 if the server supports it', function(originalDone) {
+        var path = '/x';
+        var message = 'Hello world';
+        var agent = new http2.Agent({ log: util.clientLog });
+        var done = util.callNTimes(2, function() {
+          server.close();
+          originalDone();
+        });
+
+        var server = http2.http.createServer({
+          log: util.serverLog
+        }, function(request, response) {
+          expect(request.url).to.equal(path);
+          expect(request.httpVersion).to.equal('2.0');
+          response.end(message);
+        });
+
+        server.listen(1254, function() {
+          var options = { host: 'localhost', port: 1254, path: path, agent: agent };
+          http2.http.get(options, function(response) {
+            expect(response.httpVersion).to.equal('2.0');
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              expect(agent.endpoints).to.have.property('false:localhost:1254');
+
+              // The next request is sent on the upgraded connection
+              http2.http.get(options, function(response) {
+                expect(response.httpVersion).to.equal('2.0');
+                response.on('data', function(data) {
+                  expect(data.toString()).to.equal(message);
+                  done();
+                });
+              });
+              done();
+            });
+          });
+        });
+      });
+      it('should stay on HTTP/1 if the server ignores the upgrade offer', function(originalDone) {
+        var path = '/x';
+        var message = 'Hello world';
+        var agent = new http2.Agent({ log: util.clientLog });
+        var done = util.callNTimes(2, function() {
+          server.close();
+          originalDone();
+        });
+
+        var offers = 0;
+        var server = require('http').createServer(function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+        server.on('upgrade', function(request, socket) {
+          expect(request.url).to.equal(path);
+          offers += 1;
+          socket.end('HTTP/1.1 200 OK\r\nContent-Length: ' + message.length + '\r\n\r\n' + message);
+        });
+
+        server.listen(1255, function() {
+          var options = { host: 'localhost', port: 1255, path: path, agent: agent };
+          http2.http.get(options, function(response) {
+            expect(response.httpVersion).to.equal('1.1');
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+
+              // The upgrade is not offered again
+              http2.http.get(options, function(response) {
+                expect(response.httpVersion).to.equal('1.1');
+                response.on('data', function(data) {
+                  expect(data.toString()).to.equal(message);
+                  expect(offers).to.equal(1);
+                  done();
+                });
+              });
+              done();
+            });
+          });
+        });
+      });
+    });
+    describe('request to an HTTPS/1 server', function() {
+      it('should fall back to HTTPS/1 successfully', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = https.createServer(serverOptions, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+
+        server.listen(5678, function() {
+          http2.get('https://localhost:5678' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              done();
+            });
+          });
+        });
+      });
+    });
+    describe('2 parallel request to an HTTPS/1 server', function() {
+      it('should fall back to HTTPS/1 successfully', function(originalDone) {
+        var path = '/x';
+        var message = 'Hello world';
+        var done = util.callNTimes(2, function() {
+          server.close();
+          originalDone();
+        });
+
+        var server = https.createServer(serverOptions, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+
+        server.listen(6789, function() {
+          http2.get('https://localhost:6789' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              done();
+            });
+          });
+          http2.get('https://localhost:6789' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              done();
+            });
+          });
+        });
+      });
+    });
+    describe('HTTPS/1 request to a HTTP/2 server', function() {
+      it('should fall back to HTTPS/1 successfully', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+
+        server.listen(1236, function() {
+          var options = url.parse('https://localhost:1236' + path);
+          options.agent = new https.Agent(agentOptions);
+          https.get(options, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              done();
+            });
+          });
+        });
+      });
+    });
+    describe('two parallel request', function() {
+      it('should work as expected', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+
+        server.listen(1237, function() {
+          done = util.callNTimes(2, done);
+          // 1. request
+          http2.get('https://localhost:1237' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              done();
+            });
+          });
+          // 2. request
+          http2.get('https://localhost:1237' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+              done();
+            });
+          });
+        });
+      });
+    });
+    describe('two subsequent request', function() {
+      it('should use the same HTTP/2 connection', function(done) {
+        var path = '/x';
+        var message = 'Hello world';
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          expect(request.url).to.equal(path);
+          response.end(message);
+        });
+
+        server.listen(1238, function() {
+          // 1. request
+          http2.get('https://localhost:1238' + path, function(response) {
+            response.on('data', function(data) {
+              expect(data.toString()).to.equal(message);
+
+              // 2. request
+              http2.get('https://localhost:1238' + path, function(response) {
+                response.on('data', function(data) {
+                  expect(data.toString()).to.equal(message);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+    describe('https server node module specification conformance', function() {
+      it('should provide API for remote HTTP 1.1 client address', function(done) {
+        var remoteAddress = null;
+        var remotePort = null;
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          // HTTPS 1.1 client with Node 0.10 server
+          if (!request.remoteAddress) {
+            if (request.socket.socket) {
+              remoteAddress = request.socket.socket.remoteAddress;
+              remotePort = request.socket.socket.remotePort;
+            } else {
+              remoteAddress = request.socket.remoteAddress;
+              remotePort = request.socket.remotePort;
+            }
+          } else {
+            // HTTPS 1.1/2.0 client with Node 0.12 server
+            remoteAddress = request.remoteAddress;
+            remotePort = request.remotePort;
+          }
+          response.write('Pong');
+          response.end();
+        });
+
+        server.listen(1259, 'localhost', function() {
+          var request = https.request({
+            host: 'localhost',
+            port: 1259,
+            path: '/',
+            ca: serverOptions.cert
+          });
+          request.write('Ping');
+          request.end();
+          request.on('response', function(response) {
+            response.on('data', function(data) {
+              var localAddress = response.socket.address();
+              expect(remoteAddress).to.equal(localAddress.address);
+              expect(remotePort).to.equal(localAddress.port);
               server.close();
               done();
             });
@@ -702,6 +1553,346 @@ describe('http.js', function() {
         });
       });
     });
+    describe('request trailers', function() {
+      it('should be emitted in \'trailers\' before \'end\'', function(done) {
+        var body = new Buffer('Checksum at the end');
+        var checksum = require('crypto').createHash('md5').update(body).digest('base64');
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          var hash = require('crypto').createHash('md5');
+          var trailersSeen = false;
+          expect(request.headers.trailer).to.equal('content-md5');
+          request.on('data', function(data) {
+            hash.update(data);
+          });
+          request.on('trailers', function(trailers) {
+            trailersSeen = true;
+            expect(trailers).to.deep.equal({ 'content-md5': checksum });
+          });
+          request.on('end', function() {
+            expect(trailersSeen).to.equal(true);
+            expect(request.trailers['content-md5']).to.equal(hash.digest('base64'));
+            response.end();
+          });
+        });
+
+        server.listen(1290, function() {
+          var request = http2.request({
+            host: 'localhost',
+            port: 1290,
+            method: 'POST',
+            path: '/upload',
+            headers: { trailer: 'content-md5' }
+          });
+          request.write(body);
+          request.addTrailers({ 'content-md5': checksum });
+          request.end();
+          request.on('response', function(response) {
+            response.resume();
+            response.on('end', function() {
+              server.close();
+              done();
+            });
+          });
+        });
+      });
+      it('should reset the stream if the trailers contain pseudo-header fields', function(done) {
+        var server = http2.createServer(serverOptions, function(request, response) {
+          response.write('Hello');
+          response.stream.trailers({ ':status': '200' });
+        });
+
+        server.listen(1291, function() {
+          http2.get('https://localhost:1291/', function(response) {
+            response.on('trailers', function() {
+              throw new Error('Should not be called');
+            });
+            response.resume();
+            response.stream.on('state', function(state) {
+              if (state === 'CLOSED') {
+                expect(response.trailers).to.equal(undefined);
+                server.close();
+                done();
+              }
+            });
+          });
+        });
+      });
+    });
+    describe('request with interim responses', function() {
+      it('should emit \'information\' before \'response\'', function(done) {
+        var hints = { link: ['</style.css>; rel=preload; as=style', '</app.js>; rel=preload; as=script'] };
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          response.writeEarlyHints(hints);
+          setTimeout(function() {
+            response.end('Hello world');
+          }, 10);
+        });
+
+        server.listen(1272, function() {
+          var information = [];
+          var request = http2.get('https://localhost:1272/x');
+          request.on('information', function(info) {
+            information.push(info);
+          });
+          request.on('response', function(response) {
+            expect(response.statusCode).to.equal(200);
+            expect(information.length).to.equal(1);
+            expect(information[0].statusCode).to.equal(103);
+            expect(information[0].headers).to.deep.equal(hints);
+            response.on('data', util.noop);
+            response.once('end', function() {
+              server.close();
+              done();
+            });
+          });
+        });
+      });
+      it('should emit an error on the request if the server answers with 101', function(done) {
+        var server = http2.createServer(serverOptions, function(request, response) {
+          response.stream.headers({ ':status': '101' });
+        });
+
+        server.listen(1298, function() {
+          var request = http2.get('https://localhost:1298/x', function() {
+            throw new Error('Unexpected response');
+          });
+          request.on('error', function(error) {
+            expect(error.code).to.equal('PROTOCOL_ERROR');
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should emit an error on the request if an interim response ends the stream', function(done) {
+        var server = http2.createServer(serverOptions, function(request, response) {
+          response.stream.trailers({ ':status': '103' });
+        });
+
+        server.listen(1299, function() {
+          var request = http2.get('https://localhost:1299/x', function() {
+            throw new Error('Unexpected response');
+          });
+          request.on('information', function() {
+            throw new Error('Unexpected information');
+          });
+          request.on('error', function(error) {
+            expect(error.code).to.equal('PROTOCOL_ERROR');
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should send 100 Continue when the server has no \'checkContinue\' listener', function(done) {
+        var message = 'Hello world';
+
+        var server = http2.createServer(serverOptions, function(request, response) {
+          request.once('data', function(data) {
+            expect(data.toString()).to.equal(message);
+            response.end();
+          });
+        });
+
+        server.listen(1273, function() {
+          var request = http2.request({
+            host: 'localhost',
+            port: 1273,
+            path: '/x',
+            method: 'POST',
+            headers: { expect: '100-continue' }
+          });
+          request.on('continue', function() {
+            request.end(message);
+          });
+          request.on('response', function(response) {
+            expect(response.statusCode).to.equal(200);
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should emit \'checkContinue\' instead of \'request\' if there are listeners', function(done) {
+        var server = http2.createServer(serverOptions, function() {
+          throw new Error('Should not be called');
+        });
+        server.on('checkContinue', function(request, response) {
+          expect(request.headers.expect).to.equal('100-continue');
+          response.writeHead(413);
+          response.end();
+        });
+
+        server.listen(1274, function() {
+          var request = http2.request({
+            host: 'localhost',
+            port: 1274,
+            path: '/x',
+            method: 'POST',
+            headers: { expect: '100-continue' }
+          });
+          request.on('continue', function() {
+            throw new Error('Should not be called');
+          });
+          request.on('response', function(response) {
+            expect(response.statusCode).to.equal(413);
+            request.abort();
+            server.close();
+            done();
+          });
+        });
+      });
+    });
+    describe('CONNECT tunnel', function() {
+      it('should carry data both ways', function(done) {
+        var echo = net.createServer(function(socket) {
+          socket.pipe(socket);
+        });
+
+        var server = http2.createServer(serverOptions, function() {
+          throw new Error('Should not be called');
+        });
+        server.on('connect', function(request, tunnel) {
+          expect(request.url).to.equal('localhost:1276');
+          var target = request.url.split(':');
+          var socket = net.connect(target[1], target[0], function() {
+            tunnel.pipe(socket).pipe(tunnel);
+          });
+        });
+
+        echo.listen(1276, function() {
+          server.listen(1275, function() {
+            var tunnel = http2.globalAgent.connect('localhost:1276', { host: 'localhost', port: 1275 });
+            var received = '';
+            tunnel.on('connect', function(response) {
+              expect(response.statusCode).to.equal(200);
+            });
+            tunnel.on('data', function(data) {
+              received += data;
+            });
+            tunnel.on('end', function() {
+              expect(received).to.equal('Hello world');
+              server.close();
+              echo.close();
+              done();
+            });
+            tunnel.end('Hello world');
+          });
+        });
+      });
+      it('should be usable by clients that wait for the 200 before sending', function(done) {
+        var echo = net.createServer(function(socket) {
+          socket.pipe(socket);
+        });
+
+        var server = http2.createServer(serverOptions);
+        server.on('connect', function(request, tunnel) {
+          var target = request.url.split(':');
+          var socket = net.connect(target[1], target[0], function() {
+            tunnel.accept();
+            tunnel.pipe(socket).pipe(tunnel);
+          });
+        });
+
+        echo.listen(1293, function() {
+          server.listen(1292, function() {
+            var tunnel = http2.globalAgent.connect('localhost:1293', { host: 'localhost', port: 1292 });
+            tunnel.on('connect', function(response) {
+              expect(response.statusCode).to.equal(200);
+              tunnel.write('Hello');
+            });
+            tunnel.on('data', function(data) {
+              expect(data.toString()).to.equal('Hello');
+              tunnel.end();
+              server.close();
+              echo.close();
+              done();
+            });
+          });
+        });
+      });
+      it('should emit an error if the proxy refuses the tunnel', function(done) {
+        var server = http2.createServer(serverOptions);
+        server.on('connect', function(request, tunnel, response) {
+          response.writeHead(403);
+          response.end();
+        });
+
+        server.listen(1277, function() {
+          var tunnel = http2.globalAgent.connect('localhost:1', { host: 'localhost', port: 1277 });
+          tunnel.on('connect', function() {
+            throw new Error('Should not be called');
+          });
+          tunnel.on('error', function(error) {
+            expect(error.code).to.equal('CONNECT_REFUSED');
+            expect(error.statusCode).to.equal(403);
+            server.close();
+            done();
+          });
+        });
+      });
+    });
+    describe('WebSocket over extended CONNECT', function() {
+      it('should exchange messages on an HTTP/2 stream', function(done) {
+        var server = http2.createServer(serverOptions, function() {
+          throw new Error('Should not be called');
+        });
+        server.on('websocket', function(socket, request) {
+          expect(request.protocol).to.equal('websocket');
+          expect(request.url).to.equal('/chat');
+          expect(request.headers['sec-websocket-version']).to.equal('13');
+          socket.on('message', function(data) {
+            socket.send('echo: ' + data);
+          });
+        });
+
+        server.listen(1278, function() {
+          var socket = http2.globalAgent.webSocket('https://localhost:1278/chat');
+          socket.on('open', function(response) {
+            expect(response.statusCode).to.equal(200);
+            socket.send('hello');
+          });
+          socket.on('message', function(data) {
+            expect(data).to.equal('echo: hello');
+            socket.close();
+          });
+          socket.on('close', function(code) {
+            expect(code).to.equal(1000);
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should not be attempted if the server does not enable it', function(done) {
+        var options = extend({ settings: { SETTINGS_ENABLE_CONNECT_PROTOCOL: false } }, serverOptions);
+        var server = http2.createServer(options);
+        server.on('websocket', function() {
+          throw new Error('Should not be called');
+        });
+
+        server.listen(1279, function() {
+          var socket = http2.globalAgent.webSocket('https://localhost:1279/chat');
+          socket.on('error', function(error) {
+            expect(error.code).to.equal('CONNECT_PROTOCOL_NOT_ENABLED');
+            server.close();
+            done();
+          });
+        });
+      });
+      it('should fail if the connection is closed before the SETTINGS of the server', function(done) {
+        var server = net.createServer(function(socket) {
+          socket.end();
+        });
+
+        server.listen(1297, function() {
+          var socket = http2.globalAgent.webSocket({ plain: true, host: 'localhost', port: 1297, path: '/' });
+          socket.on('error', function(error) {
+            expect(error.code).to.equal('CONNECTION_CLOSED');
+            server.close();
+            done();
+          });
+        });
+      });
+    });
     describe('Handle socket error', function () {
       it('HTTPS on Connection Refused error', function (done) {
         var path = '/x';
@@ -0,0 +1,246 @@
+var expect = require('chai').expect;
+var util = require('./util');
+
+var Connection = require('../lib/protocol/connection').Connection;
+var scheduler = require('../lib/protocol/scheduler');
+
+var settings = {
+  SETTINGS_MAX_CONCURRENT_STREAMS: 100,
+  SETTINGS_INITIAL_WINDOW_SIZE: 100000
+};
+
+// Creates a stream that has an infinite number of `size` long DATA frames to send
+function createSendingStream(connection, id, size) {
+  var stream = {
+    id: id,
+    _priority: { parent: 0, weight: 16, exclusive: false },
+    urgency: 3,
+    incremental: undefined,
+    on: function() {},
+    upstream: {
+      on: function() {},
+      read: function(limit) {
+        if (limit === -1) {
+          return null;
+        }
+        var length = ((limit === undefined) || (limit > size)) ? size : limit;
+        return { type: 'DATA', flags: {}, data: new Buffer(length) };
+      }
+    }
+  };
+  connection._streamIds[id] = stream;
+  connection._allocatePriority(stream);
+  return stream;
+}
+
+// Lets the connection forward `count` frames, and returns them
+function sendFrames(connection, count) {
+  var frames = [];
+  connection.push = function(frame) {
+    frames.push(frame);
+    return frames.length < count;
+  };
+  connection._send(true);
+  return frames;
+}
+
+function streamsOf(frames) {
+  return frames.map(function(frame) {
+    return frame.stream;
+  });
+}
+
+function countFrames(frames) {
+  var count = {};
+  frames.forEach(function(frame) {
+    count[frame.stream] = (count[frame.stream] || 0) + 1;
+  });
+  return count;
+}
+
+describe('scheduler.js', function() {
+  describe('createScheduler(scheduler)', function() {
+    it('should create a PriorityScheduler by default', function() {
+      expect(scheduler.createScheduler()).to.be.instanceof(scheduler.PriorityScheduler);
+      expect(new Connection(util.log, 1, settings)._scheduler)
+        .to.be.instanceof(scheduler.PriorityScheduler);
+    });
+    it('should create the built-in schedulers by name', function() {
+      expect(scheduler.createScheduler('priority')).to.be.instanceof(scheduler.PriorityScheduler);
+      expect(scheduler.createScheduler('fifo')).to.be.instanceof(scheduler.FifoScheduler);
+      expect(scheduler.createScheduler('strict')).to.be.instanceof(scheduler.StrictPriorityScheduler);
+      expect(scheduler.createScheduler('wfq')).to.be.instanceof(scheduler.WeightedFairScheduler);
+      expect(scheduler.createScheduler('drr')).to.be.instanceof(scheduler.DeficitRoundRobinScheduler);
+    });
+    it('should throw for unknown scheduler names', function() {
+      expect(function() {
+        scheduler.createScheduler('lottery');
+      }).to.throw(Error);
+    });
+    it('should call the given constructor for every connection', function() {
+      var created = 0;
+      function LastStreamScheduler() {
+        created += 1;
+      }
+      LastStreamScheduler.prototype.select = function(root, read) {
+        var node = root.children[root.children.length - 1];
+        var frame = node && read(node.stream);
+        return frame ? { stream: node.stream, frame: frame } : undefined;
+      };
+
+      var connection = new Connection(util.log, 1, settings, { scheduler: LastStreamScheduler });
+      new Connection(util.log, 1, settings, { scheduler: LastStreamScheduler });
+      expect(created).to.equal(2);
+
+      createSendingStream(connection, 1, 100);
+      createSendingStream(connection, 3, 100);
+      expect(streamsOf(sendFrames(connection, 3))).to.deep.equal([3, 3, 3]);
+    });
+  });
+
+  describe('PriorityScheduler', function() {
+    it('should share the bandwidth between siblings in proportion to their weights', function() {
+      var connection = new Connection(util.log, 1, settings);
+      var a = createSendingStream(connection, 1, 100);
+      createSendingStream(connection, 3, 100);
+      connection._reprioritize(a, { parent: 0, weight: 48, exclusive: false });
+
+      expect(countFrames(sendFrames(connection, 400))).to.deep.equal({ 1: 300, 3: 100 });
+    });
+    it('should keep sharing the bandwidth in proportion to the weights when the tree changes', function() {
+      var connection = new Connection(util.log, 1, settings);
+      var a = createSendingStream(connection, 1, 100);
+      createSendingStream(connection, 3, 100);
+      connection._reprioritize(a, { parent: 0, weight: 48, exclusive: false });
+      expect(countFrames(sendFrames(connection, 400))).to.deep.equal({ 1: 300, 3: 100 });
+
+      createSendingStream(connection, 5, 100);
+      expect(countFrames(sendFrames(connection, 500))).to.deep.equal({ 1: 300, 3: 100, 5: 100 });
+
+      connection._removePrioritisedStream(a);
+      expect(connection._priorityRoot.nodes.length).to.equal(2);
+      expect(countFrames(sendFrames(connection, 200))).to.deep.equal({ 3: 100, 5: 100 });
+      expect(connection._priorityRoot.passOrder).to.have.length(2);
+    });
+    it('should not send frames of a dependent stream while its parent can make progress', function() {
+      var connection = new Connection(util.log, 1, settings);
+      var a = createSendingStream(connection, 1, 100);
+      var b = createSendingStream(connection, 3, 100);
+      connection._reprioritize(b, { parent: 1, weight: 16, exclusive: false });
+
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 1: 10 });
+      a.upstream.read = function() { return null; };
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 3: 10 });
+    });
+    it('should serve the more urgent streams first', function() {
+      var connection = new Connection(util.log, 1, settings);
+      var a = createSendingStream(connection, 1, 100);
+      var b = createSendingStream(connection, 3, 100);
+      var c = createSendingStream(connection, 5, 100);
+      b.urgency = 1;
+      c.urgency = 7;
+      connection._reprioritize(a, { parent: 5, weight: 16, exclusive: false });
+
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 3: 10 });
+      b.upstream.read = function() { return null; };
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 1: 10 });
+    });
+    it('should serve non-incremental streams one by one, and incremental ones round-robin', function() {
+      var connection = new Connection(util.log, 1, settings);
+      var a = createSendingStream(connection, 1, 100);
+      var b = createSendingStream(connection, 3, 100);
+      a.incremental = b.incremental = false;
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 1: 10 });
+
+      connection = new Connection(util.log, 1, settings);
+      a = createSendingStream(connection, 1, 100);
+      b = createSendingStream(connection, 3, 100);
+      a.incremental = b.incremental = true;
+      expect(countFrames(sendFrames(connection, 4))).to.deep.equal({ 1: 2, 3: 2 });
+    });
+  });
+
+  describe('FifoScheduler', function() {
+    it('should serve the streams in the order of their creation', function() {
+      var connection = new Connection(util.log, 1, settings, { scheduler: 'fifo' });
+      var a = createSendingStream(connection, 3, 100);
+      var b = createSendingStream(connection, 1, 100);
+      createSendingStream(connection, 5, 100);
+      b.urgency = 0;
+      connection._reprioritize(a, { parent: 1, weight: 16, exclusive: false });
+
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 3: 10 });
+      a.upstream.read = function() { return null; };
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 1: 10 });
+    });
+  });
+
+  describe('StrictPriorityScheduler', function() {
+    it('should serve the streams in the order of urgency, then weight', function() {
+      var connection = new Connection(util.log, 1, settings, { scheduler: 'strict' });
+      createSendingStream(connection, 1, 100);
+      var b = createSendingStream(connection, 3, 100);
+      var c = createSendingStream(connection, 5, 100);
+      c.urgency = 1;
+      connection._reprioritize(b, { parent: 1, weight: 200, exclusive: false });
+      connection._reprioritize(c, { parent: 0, weight: 1, exclusive: false });
+
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 5: 10 });
+      c.upstream.read = function() { return null; };
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 3: 10 });
+      b.upstream.read = function() { return null; };
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 1: 10 });
+    });
+  });
+
+  describe('WeightedFairScheduler', function() {
+    it('should share the bandwidth between all streams in proportion to their weights', function() {
+      var connection = new Connection(util.log, 1, settings, { scheduler: 'wfq' });
+      var a = createSendingStream(connection, 1, 100);
+      var b = createSendingStream(connection, 3, 100);
+      b.urgency = 0;
+      connection._reprioritize(a, { parent: 0, weight: 48, exclusive: false });
+      connection._reprioritize(b, { parent: 1, weight: 16, exclusive: false });
+
+      expect(countFrames(sendFrames(connection, 400))).to.deep.equal({ 1: 300, 3: 100 });
+    });
+    it('should not give a burst of bandwidth to a stream that was idle', function() {
+      var connection = new Connection(util.log, 1, settings, { scheduler: 'wfq' });
+      createSendingStream(connection, 1, 100);
+      var b = createSendingStream(connection, 3, 100);
+      var read = b.upstream.read;
+      b.upstream.read = function() { return null; };
+      sendFrames(connection, 100);
+
+      b.upstream.read = read;
+      expect(countFrames(sendFrames(connection, 10))).to.deep.equal({ 1: 5, 3: 5 });
+    });
+  });
+
+  describe('DeficitRoundRobinScheduler', function() {
+    it('should let the streams send a quantum proportional to their weight in turns', function() {
+      var connection = new Connection(util.log, 1, settings, { scheduler: 'drr' });
+      var a = createSendingStream(connection, 1, 10000);
+      createSendingStream(connection, 3, 10000);
+      connection._reprioritize(a, { parent: 0, weight: 32, exclusive: false });
+
+      var frames = sendFrames(connection, 12);
+      expect(streamsOf(frames)).to.deep.equal([1, 1, 1, 1, 3, 3, 1, 1, 1, 1, 3, 3]);
+
+      var bytes = {};
+      frames.forEach(function(frame) {
+        bytes[frame.stream] = (bytes[frame.stream] || 0) + frame.data.length;
+      });
+      expect(bytes).to.deep.equal({ 1: 2 * 32 * 1024, 3: 2 * 16 * 1024 });
+    });
+    it('should take away the deficit of streams that have nothing to send', function() {
+      var connection = new Connection(util.log, 1, settings, { scheduler: 'drr' });
+      var a = createSendingStream(connection, 1, 10000);
+      var b = createSendingStream(connection, 3, 10000);
+      a.upstream.read = function() { return null; };
+      sendFrames(connection, 9);
+      expect(a._priorityNode.deficit).to.equal(0);
+      expect(b._priorityNode.deficit).to.equal(16 * 1024 - 10000);
+    });
+  });
+});
@@ -248,6 +248,39 @@ describe('stream.js', function() {
         });
       });
     });
+    describe('.priority(priority) method', function() {
+      it('should throw for the numeric priorities of earlier versions', function() {
+        var stream = createStream();
+        expect(function() {
+          stream.priority(1);
+        }).to.throw(/must be an object/);
+        expect(stream._priority).to.deep.equal({ parent: 0, weight: 16, exclusive: false });
+        expect(stream._letPeerPrioritize).to.equal(true);
+      });
+    });
+    describe('.setTimeout(timeout, [callback]) method', function() {
+      it('should emit \'timeout\' when there are no frames for `timeout` milliseconds', function(done) {
+        var stream = createStream();
+        var started = Date.now();
+        stream.setTimeout(40, function() {
+          stream.setTimeout(0);
+          expect(Date.now() - started).to.be.at.least(60);
+          done();
+        });
+        setTimeout(function() {
+          stream.upstream.write({ type: 'HEADERS', flags: {}, headers: {} });
+        }, 20);
+      });
+      it('should stop when the stream is closed', function(done) {
+        var stream = createStream();
+        stream.setTimeout(20, function() {
+          throw new Error('Closed stream timed out');
+        });
+        stream.upstream.write({ type: 'HEADERS', flags: {}, headers: {} });
+        stream.reset('CANCEL');
+        setTimeout(done, 50);
+      });
+    });
   });
   describe('test scenario', function() {
     describe('sending request', function() {
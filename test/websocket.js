@@ -0,0 +1,196 @@
+var expect = require('chai').expect;
+var util = require('./util');
+var Duplex = require('stream').Duplex;
+
+var WebSocket = require('../lib/websocket').WebSocket;
+
+// Two duplex streams connected to each other, like the two ends of a tunnel. Data arrives
+// asynchronously, like over a real connection.
+function createSocketPair() {
+  var a = new Duplex(), b = new Duplex();
+  function deliver(target, chunk) {
+    setImmediate(function() {
+      target.push(chunk);
+    });
+  }
+  a._read = b._read = util.noop;
+  a._write = function(chunk, encoding, callback) { deliver(b, chunk); callback(); };
+  b._write = function(chunk, encoding, callback) { deliver(a, chunk); callback(); };
+  a.on('finish', deliver.bind(undefined, b, null));
+  b.on('finish', deliver.bind(undefined, a, null));
+  return [a, b];
+}
+
+// A raw frame with a 7 bit payload length
+function createFrame(fin, opcode, payload, mask) {
+  var header = new Buffer([(fin ? 0x80 : 0) | opcode, (mask ? 0x80 : 0) | payload.length]);
+  if (!mask) {
+    return Buffer.concat([header, payload]);
+  }
+  var masked = new Buffer(payload.length);
+  for (var i = 0; i < payload.length; i++) {
+    masked[i] = payload[i] ^ mask[i % 4];
+  }
+  return Buffer.concat([header, mask, masked]);
+}
+
+describe('websocket.js', function() {
+  describe('WebSocket class', function() {
+    var sockets, client, server;
+    beforeEach(function() {
+      sockets = createSocketPair();
+      client = new WebSocket(sockets[0], { client: true });
+      server = new WebSocket(sockets[1]);
+    });
+
+    describe('.send(data) method', function() {
+      it('should send strings as text and Buffers as binary messages', function(done) {
+        var binary = new Buffer([0, 1, 2, 255]);
+        server.once('message', function(data, isBinary) {
+          expect(data).to.equal('hello');
+          expect(isBinary).to.equal(false);
+          server.once('message', function(data, isBinary) {
+            expect(data).to.deep.equal(binary);
+            expect(isBinary).to.equal(true);
+            server.send('world');
+          });
+        });
+        client.on('message', function(data) {
+          expect(data).to.equal('world');
+          done();
+        });
+        client.send('hello');
+        client.send(binary);
+      });
+      it('should use the extended payload lengths for large messages', function(done) {
+        var medium = new Buffer(1000), large = new Buffer(70000);
+        medium.fill(1);
+        large.fill(2);
+        server.once('message', function(data) {
+          expect(data).to.deep.equal(medium);
+          server.once('message', function(data) {
+            expect(data).to.deep.equal(large);
+            done();
+          });
+        });
+        client.send(medium);
+        client.send(large);
+      });
+      it('should throw if the socket is not open', function() {
+        client.close();
+        expect(function() {
+          client.send('too late');
+        }).to.throw(Error);
+      });
+    });
+    describe('fragmented messages', function() {
+      it('should be reassembled, even with interleaved control frames', function(done) {
+        var mask = new Buffer([1, 2, 3, 4]);
+        var pinged = false;
+        server.on('ping', function(data) {
+          expect(data.toString()).to.equal('ping');
+          pinged = true;
+        });
+        server.on('message', function(data) {
+          expect(pinged).to.equal(true);
+          expect(data).to.equal('Hello, World!');
+          done();
+        });
+        sockets[0].write(createFrame(false, 0x1, new Buffer('Hello'), mask));
+        sockets[0].write(createFrame(true, 0x9, new Buffer('ping'), mask));
+        sockets[0].write(createFrame(false, 0x0, new Buffer(', '), mask));
+        sockets[0].write(createFrame(true, 0x0, new Buffer('World!'), mask));
+      });
+    });
+    describe('large frames arriving in small chunks', function() {
+      it('should be buffered without concatenating the chunks until the frame is complete', function() {
+        var payload = new Buffer(20000);
+        payload.fill(3);
+        var header = new Buffer([0x82, 0x80 | 126, 0, 0, 0, 0, 0, 0]);
+        header.writeUInt16BE(payload.length, 2);
+        var frame = Buffer.concat([header, payload]);
+
+        var received;
+        server.on('message', function(data) {
+          received = data;
+        });
+        var chunks = 0;
+        for (var i = 0; i < frame.length - 100; i += 100) {
+          server._receive(frame.slice(i, i + 100));
+          chunks += 1;
+        }
+        expect(server._chunks.length).to.equal(chunks);
+        server._receive(frame.slice(i));
+        expect(received).to.deep.equal(payload);
+        expect(server._bufferedLength).to.equal(0);
+      });
+    });
+    describe('.ping([data]) method', function() {
+      it('should be answered with a pong with the same data', function(done) {
+        client.on('pong', function(data) {
+          expect(data.toString()).to.equal('12345');
+          done();
+        });
+        client.ping('12345');
+      });
+    });
+    describe('.close([code], [reason]) method', function() {
+      it('should do the closing handshake and end the stream', function(done) {
+        var closed = util.callNTimes(3, done);
+        server.on('close', function(code, reason) {
+          expect(code).to.equal(4000);
+          expect(reason).to.equal('bye');
+          expect(server.readyState).to.equal('closed');
+          closed();
+        });
+        client.on('close', function(code) {
+          expect(code).to.equal(4000);
+          expect(client.readyState).to.equal('closed');
+          closed();
+        });
+        sockets[0].on('end', closed);
+        client.close(4000, 'bye');
+        expect(client.readyState).to.equal('closing');
+      });
+    });
+    describe('protocol errors', function() {
+      it('should close the connection with 1002 if the client does not mask frames', function(done) {
+        client.on('close', function(code) {
+          expect(code).to.equal(1002);
+          done();
+        });
+        server.on('error', function(error) {
+          expect(error.code).to.equal(1002);
+        });
+        sockets[0].write(createFrame(true, 0x1, new Buffer('unmasked')));
+      });
+      it('should not emit \'error\' without listeners', function(done) {
+        server.on('close', function(code) {
+          expect(code).to.equal(1002);
+          done();
+        });
+        sockets[0].write(createFrame(true, 0x3, new Buffer(0), new Buffer(4)));
+      });
+      it('should close the connection with 1009 if a message is too large', function(done) {
+        server = new WebSocket(createSocketPair()[1], { maxMessageSize: 10 });
+        server.on('error', function(error) {
+          expect(error.code).to.equal(1009);
+        });
+        server.on('close', function(code) {
+          expect(code).to.equal(1009);
+          done();
+        });
+        server.socket.push(createFrame(true, 0x2, new Buffer(11), new Buffer(4)));
+      });
+    });
+    describe('when the stream ends without a closing handshake', function() {
+      it('should emit \'close\' with 1006', function(done) {
+        server.on('close', function(code) {
+          expect(code).to.equal(1006);
+          done();
+        });
+        sockets[0].end();
+      });
+    });
+  });
+});